@@ -42,6 +42,34 @@ static NSString *detectSecurity(CWNetwork *network) {
   return @"UNKNOWN";
 }
 
+static NSString *detectBand(CWChannel *channel) {
+  switch (channel.channelBand) {
+    case kCWChannelBand2GHz:
+      return @"2.4ghz";
+    case kCWChannelBand5GHz:
+      return @"5ghz";
+    case kCWChannelBand6GHz:
+      return @"6ghz";
+    default:
+      return @"unknown";
+  }
+}
+
+static NSNumber *detectChannelWidth(CWChannel *channel) {
+  switch (channel.channelWidth) {
+    case kCWChannelWidth20MHz:
+      return @20;
+    case kCWChannelWidth40MHz:
+      return @40;
+    case kCWChannelWidth80MHz:
+      return @80;
+    case kCWChannelWidth160MHz:
+      return @160;
+    default:
+      return @0;
+  }
+}
+
 int main(void) {
   @autoreleasepool {
     CWWiFiClient *client = [CWWiFiClient sharedWiFiClient];
@@ -61,6 +89,10 @@ int main(void) {
     }
 
     NSMutableArray *rows = [NSMutableArray arrayWithCapacity:networks.count];
+    NSString *associatedBssid = iface.bssid ?: @"";
+    NSString *associatedSsid = iface.ssid ?: @"";
+    NSInteger associatedChannel = iface.wlanChannel.channelNumber;
+    NSNumber *linkRate = @(iface.transmitRate);
 
     for (CWNetwork *network in networks) {
       NSString *ssid = network.ssid ?: @"";
@@ -68,7 +100,14 @@ int main(void) {
       NSNumber *rssi = @(network.rssiValue);
       NSNumber *noise = @(network.noiseMeasurement);
       NSNumber *channel = @(network.wlanChannel.channelNumber);
+      NSString *band = detectBand(network.wlanChannel);
+      NSNumber *channelWidth = detectChannelWidth(network.wlanChannel);
       NSString *security = detectSecurity(network);
+      // BSSIDs are redacted without location permission; fall back to SSID + channel.
+      BOOL associated = associatedBssid.length > 0
+        ? [associatedBssid caseInsensitiveCompare:bssid] == NSOrderedSame
+        : (associatedSsid.length > 0 && [associatedSsid isEqualToString:ssid] &&
+           associatedChannel == network.wlanChannel.channelNumber);
 
       [rows addObject:@{
         @"ssid": ssid,
@@ -76,7 +115,11 @@ int main(void) {
         @"rssi": rssi,
         @"noise": noise,
         @"channel": channel,
+        @"band": band,
+        @"channelWidth": channelWidth,
         @"security": security,
+        @"associated": @(associated),
+        @"linkRateMbps": associated ? linkRate : [NSNull null],
       }];
     }
 
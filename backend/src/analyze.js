@@ -1,49 +1,23 @@
-import { buildAnalysisSummary, computeStabilityScore } from './insights.js';
-import {
-  buildCorrelationMatrix,
-  buildTopCorrelationEdges,
-  mean,
-  variance,
-} from './stats.js';
-import { buildClusters } from './topology.js';
+import { createWriteStream } from 'node:fs';
+import { mkdir } from 'node:fs/promises';
+import { dirname } from 'node:path';
+
+import { describeCalibration } from './calibration.js';
+import { buildAnalysisSummary } from './insights.js';
+import { DEFAULT_CAPTURE_BUCKET_MS } from './pcapImport.js';
+import { loadSurveyScans } from './surveyImport.js';
+import { createTopologyEngine } from './topologyEngine.js';
 import {
   DEFAULT_AIRPORT_PATH,
   getLastScanSource,
   scanWifiNetworks,
 } from './wifiScanner.js';
 
-const HIDDEN_SSID = '<hidden>';
-
 function round(value, precision = 2) {
   const factor = 10 ** precision;
   return Math.round(value * factor) / factor;
 }
 
-function shouldReplaceSsid(existingSsid, incomingSsid) {
-  if (existingSsid === incomingSsid) {
-    return false;
-  }
-
-  return !(isHiddenSsid(incomingSsid) && !isHiddenSsid(existingSsid));
-}
-
-function isHiddenSsid(value) {
-  return String(value || '').trim() === HIDDEN_SSID;
-}
-
-function deriveSampleWeight(ap) {
-  if (ap.rssiEstimated) {
-    return 0.12;
-  }
-  if (ap.scanSource === 'system_profiler') {
-    return 0.45;
-  }
-  if (ap.bssidSynthetic) {
-    return 0.35;
-  }
-  return 1;
-}
-
 function delay(ms) {
   if (ms <= 0) {
     return Promise.resolve();
@@ -53,145 +27,26 @@ function delay(ms) {
   });
 }
 
-function applyScanResults(apState, results, now, windowSize, evictAfterMs) {
-  for (const ap of results) {
-    if (!Number.isFinite(ap.rssi)) {
-      continue;
-    }
-
-    let record = apState.get(ap.bssid);
-
-    if (!record) {
-      record = {
-        bssid: ap.bssid,
-        ssid: ap.ssid,
-        ssidHistory: [ap.ssid],
-        samples: [],
-        sampleWeights: [],
-        sampleEstimated: [],
-        lastSeen: now,
-        latestRssi: ap.rssi,
-        latestWeight: deriveSampleWeight(ap),
-        rssiEstimated: Boolean(ap.rssiEstimated),
-        scanSource: ap.scanSource || 'airport',
-        channel: ap.channel,
-        band: ap.band,
-        security: ap.security,
-      };
-      apState.set(ap.bssid, record);
-    }
-
-    record.lastSeen = now;
-    record.latestRssi = ap.rssi;
-    record.latestWeight = deriveSampleWeight(ap);
-    record.rssiEstimated = Boolean(ap.rssiEstimated);
-    record.scanSource = ap.scanSource || 'airport';
-    record.channel = ap.channel;
-    record.band = ap.band;
-    record.security = ap.security;
-
-    if (shouldReplaceSsid(record.ssid, ap.ssid)) {
-      record.ssid = ap.ssid;
-      if (!record.ssidHistory.includes(ap.ssid)) {
-        record.ssidHistory.push(ap.ssid);
-        if (record.ssidHistory.length > 5) {
-          record.ssidHistory.shift();
-        }
-      }
-    }
-
-    record.samples.push(ap.rssi);
-    record.sampleWeights.push(record.latestWeight);
-    record.sampleEstimated.push(Boolean(ap.rssiEstimated));
-
-    if (record.samples.length > windowSize) {
-      record.samples.shift();
-      record.sampleWeights.shift();
-      record.sampleEstimated.shift();
-    }
-  }
-
-  for (const [bssid, record] of apState.entries()) {
-    if (now - record.lastSeen > evictAfterMs) {
-      apState.delete(bssid);
-    }
-  }
-}
-
-function buildAnalyzeSnapshot({ now, apState, config, scanCount }) {
-  const activeRecords = Array.from(apState.values())
-    .filter((record) => now - record.lastSeen <= config.evictAfterMs)
-    .sort((a, b) => b.latestRssi - a.latestRssi)
-    .slice(0, config.maxAps);
-
-  const ids = activeRecords.map((record) => record.bssid);
-  const sampleSeries = activeRecords.map((record) => record.samples);
-  const sampleWeightSeries = activeRecords.map((record) => record.sampleWeights);
-
-  const corrMatrix = buildCorrelationMatrix(
-    sampleSeries,
-    sampleWeightSeries,
-    config.minOverlap,
-  );
-
-  const edges = buildTopCorrelationEdges(
-    ids,
-    corrMatrix,
-    2,
-    config.edgeThreshold,
-    config.maxEdges,
-  );
-
-  const clusters = buildClusters(ids, edges, config.edgeThreshold);
-
-  const aps = activeRecords.map((record) => {
-    const sampleVariance = variance(record.samples);
-    return {
-      bssid: record.bssid,
-      ssid: record.ssid,
-      rssi: record.latestRssi,
-      channel: record.channel,
-      band: record.band,
-      security: record.security,
-      scanSource: record.scanSource,
-      rssiEstimated: record.rssiEstimated,
-      sampleQuality: round(mean(record.sampleWeights), 2),
-      sampleCount: record.samples.length,
-      meanRssi: round(mean(record.samples), 2),
-      variance: round(sampleVariance, 2),
-      stability: computeStabilityScore({
-        varianceValue: sampleVariance,
-        sampleCount: record.samples.length,
-        varRef: 100,
-        countRef: config.windowSize,
-      }),
-      clusterId: clusters.clusterById.get(record.bssid) || 0,
-      clusterSize: clusters.clusterSizeById.get(record.bssid) || 1,
-      lastSeen: record.lastSeen,
+function waitForDrain(stream) {
+  return new Promise((resolve, reject) => {
+    const onDrain = () => {
+      stream.off('error', onError);
+      resolve();
     };
+    const onError = (error) => {
+      stream.off('drain', onDrain);
+      reject(error);
+    };
+    stream.once('drain', onDrain);
+    stream.once('error', onError);
   });
+}
 
-  return {
-    type: 'snapshot',
-    t: now,
-    aps,
-    positions: {},
-    edges,
-    meta: {
-      mode: 'analyze',
-      scanPlatform: process.platform,
-      scanSource: getLastScanSource(),
-      scanIntervalMs: config.scanIntervalMs,
-      windowSize: config.windowSize,
-      edgeThreshold: config.edgeThreshold,
-      minOverlap: config.minOverlap,
-      maxAps: config.maxAps,
-      activeApCount: activeRecords.length,
-      clusterCount: clusters.summary.length,
-      clusterSizes: clusters.summary,
-      scanCount,
-    },
-  };
+function closeStream(stream) {
+  return new Promise((resolve, reject) => {
+    stream.once('error', reject);
+    stream.end(resolve);
+  });
 }
 
 export async function runAnalyzeSession({
@@ -204,53 +59,44 @@ export async function runAnalyzeSession({
   minOverlap,
   edgeThreshold,
   maxEdges,
+  scanProviders = [],
+  fixtureDir = '',
   airportPath = DEFAULT_AIRPORT_PATH,
+  calibration = null,
 }) {
-  const config = {
-    durationSec,
+  const engine = createTopologyEngine({
     scanIntervalMs,
-    scanTimeoutMs,
     windowSize,
     evictAfterMs,
     maxAps,
     minOverlap,
     edgeThreshold,
     maxEdges,
-  };
-
-  const apState = new Map();
+  });
   const observedBssids = new Set();
 
   const startedAt = Date.now();
-  const endAt = startedAt + config.durationSec * 1000;
-
-  let scanCount = 0;
+  const endAt = startedAt + durationSec * 1000;
 
   while (Date.now() < endAt) {
     const scanStartedAt = Date.now();
 
     const results = await scanWifiNetworks({
       airportPath,
-      timeoutMs: config.scanTimeoutMs,
+      timeoutMs: scanTimeoutMs,
       enableSystemProfilerFallback: true,
+      providers: scanProviders,
+      fixtureDir,
+      calibration,
     });
 
-    scanCount += 1;
-    const now = Date.now();
-
     for (const ap of results) {
       if (ap?.bssid) {
         observedBssids.add(ap.bssid);
       }
     }
 
-    applyScanResults(
-      apState,
-      results,
-      now,
-      config.windowSize,
-      config.evictAfterMs,
-    );
+    engine.ingest(results, Date.now(), { scanSource: getLastScanSource() });
 
     const elapsedMs = Date.now() - scanStartedAt;
     const remainingMs = endAt - Date.now();
@@ -258,23 +104,21 @@ export async function runAnalyzeSession({
       break;
     }
 
-    const sleepMs = Math.max(0, Math.min(config.scanIntervalMs - elapsedMs, remainingMs));
+    const sleepMs = Math.max(0, Math.min(scanIntervalMs - elapsedMs, remainingMs));
     await delay(sleepMs);
   }
 
   const endedAt = Date.now();
-  const snapshot = buildAnalyzeSnapshot({
-    now: endedAt,
-    apState,
-    config,
-    scanCount,
+  const snapshot = engine.snapshot(endedAt, {
+    mode: 'analyze',
+    meta: { calibration: describeCalibration(calibration) },
   });
 
   const summary = buildAnalysisSummary({
     aps: snapshot.aps,
     meta: snapshot.meta,
     mode: 'analyze',
-    durationSec: config.durationSec,
+    durationSec,
     observedApCount: observedBssids.size,
     generatedAt: endedAt,
   });
@@ -290,3 +134,102 @@ export async function runAnalyzeSession({
     summary,
   };
 }
+
+// Runs a capture or survey archive through the analyze pipeline. With an outputPath every scan is
+// written as a snapshot, so the result replays like a live recording (POST /replay/start); without
+// one only the summary is returned.
+export async function importSurveyFile({
+  inputPath,
+  outputPath = null,
+  format = null,
+  bucketMs = DEFAULT_CAPTURE_BUCKET_MS,
+  windowSize,
+  evictAfterMs,
+  maxAps,
+  minOverlap,
+  edgeThreshold,
+  maxEdges,
+}) {
+  const { scans, stats } = await loadSurveyScans(inputPath, { format, bucketMs });
+  if (!scans.length) {
+    const error = new Error(`No access points with a signal level found in ${stats.format} input`);
+    error.exitCode = 2;
+    throw error;
+  }
+
+  let stream = null;
+  let streamError = null;
+  if (outputPath) {
+    await mkdir(dirname(outputPath), { recursive: true });
+    stream = createWriteStream(outputPath, { flags: 'w' });
+    // Open and write failures (EACCES, ENOSPC) arrive as 'error' events at any point.
+    stream.on('error', (error) => {
+      streamError ??= error;
+    });
+  }
+  const engine = createTopologyEngine({
+    scanIntervalMs: bucketMs,
+    windowSize,
+    evictAfterMs,
+    maxAps,
+    minOverlap,
+    edgeThreshold,
+    maxEdges,
+  });
+  const observedBssids = new Set();
+  const pendingEvents = [];
+  engine.on('change', (events) => {
+    pendingEvents.push(...events);
+  });
+  let snapshot = null;
+
+  try {
+    for (const scan of scans) {
+      const networks = scan.networks.map((network) => ({ ...network, scanSource: stats.format }));
+      for (const network of networks) {
+        observedBssids.add(network.bssid);
+      }
+
+      // Capture time drives eviction, so gaps in the capture age APs out as they would live.
+      engine.ingest(networks, scan.t, { scanSource: stats.format });
+      snapshot = engine.snapshot(scan.t, { mode: 'import' });
+      // Same layout as a live recording: the tick's change events, then its snapshot.
+      const lines = pendingEvents.map((event) => JSON.stringify({ type: 'event', ...event }));
+      lines.push(JSON.stringify(snapshot));
+      pendingEvents.length = 0;
+      if (streamError) {
+        throw streamError;
+      }
+      if (stream && !stream.write(`${lines.join('\n')}\n`)) {
+        await waitForDrain(stream);
+      }
+    }
+  } finally {
+    if (stream && !streamError) {
+      await closeStream(stream);
+    } else if (stream) {
+      stream.destroy();
+    }
+  }
+  if (streamError) {
+    throw streamError;
+  }
+
+  // Archives collapsed to one scan keep each AP's age, which is how far back the survey reaches.
+  const oldestAgeMs = Math.max(0, ...scans[0].networks.map((network) => network.ageMs ?? 0));
+  const summary = buildAnalysisSummary({
+    aps: snapshot.aps,
+    meta: snapshot.meta,
+    mode: 'import',
+    durationSec: round((scans[scans.length - 1].t - scans[0].t + oldestAgeMs) / 1000 + bucketMs / 1000, 1),
+    observedApCount: observedBssids.size,
+    generatedAt: snapshot.t,
+  });
+
+  return {
+    outputPath,
+    scanCount: scans.length,
+    stats,
+    summary,
+  };
+}
@@ -0,0 +1,300 @@
+import { readFileSync } from 'node:fs';
+
+import { clamp, mean } from './stats.js';
+
+export const CALIBRATION_INPUTS = ['dbm', 'percent', 'stars'];
+
+const CALIBRATION_KEY_PATTERN = /^[A-Za-z0-9_.-]{1,64}(?::[A-Za-z0-9_.-]{1,32})?$/u;
+const MIN_PAIRS_PER_BIN = 3;
+const PERCENT_BIN_WIDTH = 10;
+const INPUT_RANGES = {
+  dbm: [-120, 0],
+  percent: [0, 100],
+  stars: [0, 5],
+};
+
+// A table maps "<scanSource>" or "<scanSource>:<interface>" to { input, points, offsetDb }. Points are
+// [reading, dBm] pairs interpolated piecewise-linearly; readings outside the points clamp to the ends.
+export function parseCalibrationTable(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('calibration must be an object keyed by scan source');
+  }
+
+  const table = {};
+  for (const [key, value] of Object.entries(input)) {
+    if (!CALIBRATION_KEY_PATTERN.test(key)) {
+      throw new Error(`invalid calibration key: ${key} (expected <scanSource> or <scanSource>:<interface>)`);
+    }
+    table[key] = parseCalibrationEntry(key, value);
+  }
+  return table;
+}
+
+export function readCalibrationFile(path) {
+  let parsed;
+  try {
+    parsed = JSON.parse(readFileSync(path, 'utf8'));
+  } catch (error) {
+    throw new Error(`invalid calibration file ${path}: ${error.message}`);
+  }
+  return parseCalibrationTable(parsed);
+}
+
+export function describeCalibration(table, file = '') {
+  const keys = Object.keys(table || {});
+  if (!keys.length) {
+    return null;
+  }
+  return { file: file || null, keys };
+}
+
+export function applyRssiCalibration(networks, table) {
+  if (!table || !Object.keys(table).length) {
+    return networks;
+  }
+
+  return networks.map((network) => {
+    // Invented values (system_profiler without signal data) have no reading to map.
+    if (network.rssiEstimated && !network.signalRaw) {
+      return network;
+    }
+
+    const source = network.scanSource;
+    const entry = resolveCalibrationEntry(table, source, network.interface);
+    if (!entry) {
+      return network;
+    }
+
+    const calibrated = { ...network, rssiUncalibrated: network.rssi, rssiCalibration: entry.key };
+    calibrated.rssi = calibrateReading(entry, network.signalRaw, network.rssi);
+    if (network.interfaceRssi) {
+      calibrated.interfaceRssi = {};
+      for (const [iface, rssi] of Object.entries(network.interfaceRssi)) {
+        const ifaceEntry = resolveCalibrationEntry(table, source, iface);
+        calibrated.interfaceRssi[iface] = ifaceEntry
+          ? calibrateReading(ifaceEntry, network.interfaceSignalRaw?.[iface] ?? null, rssi)
+          : rssi;
+      }
+    }
+    return calibrated;
+  });
+}
+
+// The unit a source reports in: percent (nmcli, netsh), stars (iwctl) or dBm when nothing else is kept.
+export function detectCalibrationInput(networks) {
+  return networks.find((network) => network.signalRaw)?.signalRaw.unit ?? 'dbm';
+}
+
+// Pairs each target reading with the reference dBm for the same BSSID. Sources that only know the
+// SSID (synthetic BSSIDs) are matched to the strongest reference AP on that SSID.
+export function collectCalibrationPairs(referenceNetworks, targetNetworks, input) {
+  const byBssid = new Map();
+  const bySsid = new Map();
+  for (const network of referenceNetworks) {
+    if (network.rssiEstimated || network.bssidSynthetic || !Number.isFinite(network.rssi)) {
+      continue;
+    }
+    byBssid.set(network.bssid, network.rssi);
+    bySsid.set(network.ssid, Math.max(bySsid.get(network.ssid) ?? -Infinity, network.rssi));
+  }
+
+  const pairs = [];
+  for (const network of targetNetworks) {
+    const reading = readCalibrationInput(network.signalRaw, network.rssi, input);
+    const reference = network.bssidSynthetic ? bySsid.get(network.ssid) : byBssid.get(network.bssid);
+    if (!Number.isFinite(reading) || !Number.isFinite(reference)) {
+      continue;
+    }
+    pairs.push({ bssid: network.bssid, reading, referenceRssi: reference, mappedRssi: network.rssi });
+  }
+  return pairs;
+}
+
+// dBm sources get a median offset; percent and star sources get a monotone curve through the
+// median reference dBm of each reading bin.
+export function fitCalibrationCurve(pairs, input) {
+  if (!CALIBRATION_INPUTS.includes(input)) {
+    throw new Error(`calibration input must be one of ${CALIBRATION_INPUTS.join(', ')}`);
+  }
+  if (!pairs.length) {
+    throw new Error('calibration requires overlapping readings from both sources');
+  }
+
+  let entry;
+  if (input === 'dbm') {
+    entry = {
+      input,
+      points: [],
+      offsetDb: round(median(pairs.map((pair) => pair.referenceRssi - pair.reading)), 1),
+    };
+  } else {
+    const bins = new Map();
+    for (const pair of pairs) {
+      const bin = input === 'stars' ? Math.round(pair.reading) : Math.floor(pair.reading / PERCENT_BIN_WIDTH);
+      const members = bins.get(bin) || [];
+      members.push(pair);
+      bins.set(bin, members);
+    }
+
+    const blocks = Array.from(bins.entries())
+      .filter(([, members]) => members.length >= MIN_PAIRS_PER_BIN)
+      .sort((a, b) => a[0] - b[0])
+      .map(([, members]) => ({
+        reading: mean(members.map((pair) => pair.reading)),
+        rssi: median(members.map((pair) => pair.referenceRssi)),
+        weight: members.length,
+      }));
+    if (blocks.length < 2) {
+      throw new Error(
+        `calibration requires at least 2 ${input} ranges with ${MIN_PAIRS_PER_BIN} or more readings each`,
+      );
+    }
+
+    const pooled = poolAdjacentViolators(blocks);
+    if (pooled.length < 2) {
+      throw new Error(`calibration found no ${input} range where stronger readings mean a stronger reference`);
+    }
+    entry = {
+      input,
+      points: pooled.map((block) => [round(block.reading, 1), round(block.rssi, 1)]),
+      offsetDb: 0,
+    };
+  }
+
+  return {
+    entry,
+    pairCount: pairs.length,
+    bssidCount: new Set(pairs.map((pair) => pair.bssid)).size,
+    rmseBeforeDb: round(rmse(pairs.map((pair) => pair.mappedRssi - pair.referenceRssi)), 2),
+    rmseAfterDb: round(
+      rmse(pairs.map((pair) => interpolateEntry(entry, pair.reading) - pair.referenceRssi)),
+      2,
+    ),
+  };
+}
+
+function parseCalibrationEntry(key, value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error(`calibration entry ${key} must be an object`);
+  }
+
+  const input = value.input === undefined ? 'dbm' : String(value.input).toLowerCase();
+  if (!CALIBRATION_INPUTS.includes(input)) {
+    throw new Error(`calibration entry ${key}: input must be one of ${CALIBRATION_INPUTS.join(', ')}`);
+  }
+
+  const offsetDb = value.offsetDb === undefined ? 0 : Number(value.offsetDb);
+  if (!Number.isFinite(offsetDb) || Math.abs(offsetDb) > 40) {
+    throw new Error(`calibration entry ${key}: offsetDb must be a number between -40 and 40`);
+  }
+
+  if (value.points !== undefined && !Array.isArray(value.points)) {
+    throw new Error(`calibration entry ${key}: points must be a list of [reading, dBm] pairs`);
+  }
+
+  const [minReading, maxReading] = INPUT_RANGES[input];
+  const points = [];
+  for (const point of value.points ?? []) {
+    const [reading, rssi] = Array.isArray(point) ? point.map(Number) : [];
+    if (
+      !Number.isFinite(reading) ||
+      !Number.isFinite(rssi) ||
+      reading < minReading ||
+      reading > maxReading ||
+      rssi < -120 ||
+      rssi > 0
+    ) {
+      throw new Error(
+        `calibration entry ${key}: points must be [${input} reading, dBm] pairs with dBm between -120 and 0`,
+      );
+    }
+    if (points.length && reading <= points[points.length - 1][0]) {
+      throw new Error(`calibration entry ${key}: points must be sorted by increasing reading`);
+    }
+    points.push([reading, rssi]);
+  }
+  if (input !== 'dbm' && points.length < 2) {
+    throw new Error(`calibration entry ${key}: points must be at least 2 pairs for ${input} input`);
+  }
+
+  return { key, input, points, offsetDb };
+}
+
+// An interface entry without its own curve shifts the source curve by its offset.
+function resolveCalibrationEntry(table, source, iface) {
+  const base = table[source] || null;
+  const specific = iface ? table[`${source}:${iface}`] : null;
+  if (!specific) {
+    return base;
+  }
+  if (specific.points.length || !base) {
+    return specific;
+  }
+  return { ...base, key: specific.key, offsetDb: base.offsetDb + specific.offsetDb };
+}
+
+function calibrateReading(entry, signalRaw, rssi) {
+  const reading = readCalibrationInput(signalRaw, rssi, entry.input);
+  // A curve for another unit (say a quality-reporting driver under a dBm entry) keeps only the offset.
+  const value = Number.isFinite(reading) ? interpolateEntry(entry, reading) : rssi + entry.offsetDb;
+  return clamp(Math.round(value), -120, 0);
+}
+
+function readCalibrationInput(signalRaw, rssi, input) {
+  if (signalRaw) {
+    return signalRaw.unit === input ? Number(signalRaw.value) : Number.NaN;
+  }
+  return input === 'dbm' ? rssi : Number.NaN;
+}
+
+function interpolateEntry(entry, reading) {
+  const { points } = entry;
+  if (!points.length) {
+    return reading + entry.offsetDb;
+  }
+  if (reading <= points[0][0]) {
+    return points[0][1] + entry.offsetDb;
+  }
+  for (let i = 1; i < points.length; i += 1) {
+    const [x1, y1] = points[i];
+    if (reading <= x1) {
+      const [x0, y0] = points[i - 1];
+      return y0 + ((reading - x0) / (x1 - x0)) * (y1 - y0) + entry.offsetDb;
+    }
+  }
+  return points[points.length - 1][1] + entry.offsetDb;
+}
+
+// A stronger reading must never map to a weaker dBm; merge neighbouring bins until that holds.
+function poolAdjacentViolators(blocks) {
+  const pooled = [];
+  for (const block of blocks) {
+    pooled.push({ ...block });
+    while (pooled.length > 1 && pooled[pooled.length - 2].rssi > pooled[pooled.length - 1].rssi) {
+      const last = pooled.pop();
+      const previous = pooled.pop();
+      const weight = previous.weight + last.weight;
+      pooled.push({
+        reading: (previous.reading * previous.weight + last.reading * last.weight) / weight,
+        rssi: (previous.rssi * previous.weight + last.rssi * last.weight) / weight,
+        weight,
+      });
+    }
+  }
+  return pooled;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function rmse(errors) {
+  return errors.length ? Math.sqrt(mean(errors.map((error) => error * error))) : 0;
+}
+
+function round(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
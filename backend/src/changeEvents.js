@@ -0,0 +1,128 @@
+export const CHANGE_EVENT_KINDS = [
+  'ap_appeared',
+  'ap_evicted',
+  'ssid_changed',
+  'channel_changed',
+  'band_changed',
+  'security_changed',
+  'rssi_step',
+  'cluster_changed',
+];
+
+const STEP_RECENT_SAMPLES = 3;
+const STEP_BASELINE_SAMPLES = 5;
+const CLUSTER_SETTLE_SNAPSHOTS = 5;
+const TRACKED_ATTRIBUTES = [
+  ['channel', 'channel_changed'],
+  ['band', 'band_changed'],
+  ['security', 'security_changed'],
+];
+
+// Compares a stored AP record with the incoming scan row before the record is updated. Rows that
+// lack a field (a sensor that does not report security, say) are not treated as a change.
+export function diffApAttributes(record, ap) {
+  const changes = [];
+  for (const [field, kind] of TRACKED_ATTRIBUTES) {
+    const next = ap[field];
+    if (next === undefined || next === null || next === '') {
+      continue;
+    }
+    const previous = record[field];
+    if (previous !== undefined && previous !== null && previous !== '' && String(previous) !== String(next)) {
+      changes.push({ kind, from: previous, to: next });
+    }
+  }
+  return changes;
+}
+
+// A step is the median of the last 3 fresh samples moving stepDb or more away from the median of
+// the 5 before them. After a step both windows must refill before the next one can fire, so one
+// jump yields one event rather than one per scan.
+export function detectRssiStep(record, stepDb) {
+  const span = STEP_RECENT_SAMPLES + STEP_BASELINE_SAMPLES;
+  if (record.samplesSinceStep < span) {
+    return null;
+  }
+
+  const fresh = record.samples.filter((_, index) => !record.sampleStale[index]).slice(-span);
+  if (fresh.length < span) {
+    return null;
+  }
+
+  const baseline = median(fresh.slice(0, STEP_BASELINE_SAMPLES));
+  const recent = median(fresh.slice(STEP_BASELINE_SAMPLES));
+  const deltaDb = recent - baseline;
+  if (Math.abs(deltaDb) < stepDb) {
+    return null;
+  }
+  return { from: baseline, to: recent, deltaDb };
+}
+
+// Cluster ids are renumbered every snapshot, so membership is compared by peer sets. An AP reports a
+// change only when fewer than half of its reported peers carried over and the new peer set has held
+// for settleSnapshots snapshots in a row; smaller drift is absorbed into the reported set quietly.
+// After reporting, an AP stays quiet for quietSnapshots snapshots so the correlation window can turn
+// over before its next move counts. Only trackedIds are followed, so an AP still filling its window
+// sets its baseline once its correlations mean something.
+export function diffClusterMembership(
+  previousState,
+  ids,
+  clusterById,
+  { trackedIds = ids, settleSnapshots = CLUSTER_SETTLE_SNAPSHOTS, quietSnapshots = 0 } = {},
+) {
+  const membersByCluster = new Map();
+  for (const id of ids) {
+    const clusterId = clusterById.get(id) || 0;
+    if (!clusterId) {
+      continue;
+    }
+    if (!membersByCluster.has(clusterId)) {
+      membersByCluster.set(clusterId, []);
+    }
+    membersByCluster.get(clusterId).push(id);
+  }
+
+  const reported = new Map();
+  const pending = new Map();
+  const quiet = new Map();
+  const changes = [];
+  for (const id of trackedIds) {
+    const members = membersByCluster.get(clusterById.get(id) || 0) || [];
+    const next = members.filter((member) => member !== id).sort();
+    const previous = previousState?.reported.get(id);
+    const quietLeft = (previousState?.quiet.get(id) || 0) - 1;
+    if (quietLeft > 0) {
+      quiet.set(id, quietLeft);
+    }
+    if (!previous || !isMembershipShift(previous, next)) {
+      reported.set(id, next);
+      continue;
+    }
+
+    const candidate = previousState.pending.get(id);
+    const settled = candidate && !isMembershipShift(candidate.peers, next) ? candidate.count + 1 : 1;
+    if (settled >= settleSnapshots && quietLeft <= 0) {
+      changes.push({ bssid: id, from: previous, to: next });
+      reported.set(id, next);
+      quiet.set(id, quietSnapshots);
+    } else {
+      reported.set(id, previous);
+      pending.set(id, { peers: candidate && settled > 1 ? candidate.peers : next, count: settled });
+    }
+  }
+  return { state: { reported, pending, quiet }, changes };
+}
+
+function isMembershipShift(previous, next) {
+  if (previous.join() === next.join()) {
+    return false;
+  }
+  const kept = next.filter((member) => previous.includes(member)).length;
+  return kept < Math.max(previous.length, next.length) / 2;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
@@ -0,0 +1,139 @@
+import { readdir, readFile } from 'node:fs/promises';
+import { basename, join } from 'node:path';
+
+import {
+  parseAirportOutput,
+  parseIwScanOutput,
+  parseNetshOutput,
+  parseNmcliOutput,
+  parseSystemProfilerOutput,
+  parseWpaCliScanResults,
+} from './parser.js';
+import { CAPTURE_FILE_PATTERN, loadCaptureScans } from './pcapImport.js';
+
+export const FIXTURE_PARSERS = {
+  airport: parseAirportOutput,
+  iw: parseIwScanOutput,
+  netsh: parseNetshOutput,
+  nmcli: parseNmcliOutput,
+  system_profiler: parseSystemProfilerOutput,
+  wpa_cli: parseWpaCliScanResults,
+};
+
+const cursorByDir = new Map();
+
+export function detectFixtureKind(fileName, rawOutput) {
+  const name = basename(String(fileName || '')).toLowerCase();
+
+  if (/system_profiler|spairport/u.test(name)) {
+    return 'system_profiler';
+  }
+  if (/wpa_cli|wpa-cli|scan_results/u.test(name)) {
+    return 'wpa_cli';
+  }
+  if (/nmcli/u.test(name)) {
+    return 'nmcli';
+  }
+  if (/netsh/u.test(name)) {
+    return 'netsh';
+  }
+  if (/airport/u.test(name)) {
+    return 'airport';
+  }
+  if (/(^|[^a-z])iw([^a-z]|$)/u.test(name)) {
+    return 'iw';
+  }
+
+  const text = String(rawOutput || '');
+  if (/"SPAirPortDataType"/u.test(text)) {
+    return 'system_profiler';
+  }
+  if (/^bssid \/ frequency \/ signal level/mu.test(text)) {
+    return 'wpa_cli';
+  }
+  if (/^\s*BSS\s+(?:[0-9a-fA-F]{2}:){5}[0-9a-fA-F]{2}/mu.test(text)) {
+    return 'iw';
+  }
+  if (/^\s*SSID\s+\d+\s*:/mu.test(text)) {
+    return 'netsh';
+  }
+  if (/^.*BSSID.*RSSI/mu.test(text)) {
+    return 'airport';
+  }
+  if (/^(?:[0-9a-fA-F]{2}\\:){5}[0-9a-fA-F]{2}:/mu.test(text)) {
+    return 'nmcli';
+  }
+
+  return null;
+}
+
+export async function readNextFixture(fixtureDir) {
+  let cursor = cursorByDir.get(fixtureDir);
+  if (!cursor) {
+    const entries = await readdir(fixtureDir, { withFileTypes: true });
+    const files = entries
+      .filter((entry) => entry.isFile() && !entry.name.startsWith('.'))
+      .map((entry) => entry.name)
+      .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+
+    cursor = { files, index: 0, capture: null };
+    cursorByDir.set(fixtureDir, cursor);
+  }
+
+  if (!cursor.files.length) {
+    return null;
+  }
+
+  const file = cursor.files[cursor.index % cursor.files.length];
+  if (CAPTURE_FILE_PATTERN.test(file)) {
+    return readNextCaptureScan(fixtureDir, cursor, file);
+  }
+  cursor.index = (cursor.index + 1) % cursor.files.length;
+
+  const rawOutput = await readFile(join(fixtureDir, file), 'utf8');
+  const kind = detectFixtureKind(file, rawOutput);
+  if (!kind) {
+    return { kind: null, file, networks: [] };
+  }
+
+  return {
+    kind,
+    file,
+    networks: FIXTURE_PARSERS[kind](rawOutput),
+  };
+}
+
+// A capture holds many scans, so the cursor stays on it until every bucket has been served.
+async function readNextCaptureScan(fixtureDir, cursor, file) {
+  if (cursor.capture?.file !== file) {
+    try {
+      const { scans } = await loadCaptureScans(join(fixtureDir, file));
+      cursor.capture = { file, scans, index: 0 };
+    } catch {
+      cursor.index = (cursor.index + 1) % cursor.files.length;
+      return { kind: null, file, networks: [] };
+    }
+  }
+
+  const { capture } = cursor;
+  const scan = capture.scans[capture.index];
+  capture.index += 1;
+  if (capture.index >= capture.scans.length) {
+    cursor.capture = null;
+    cursor.index = (cursor.index + 1) % cursor.files.length;
+  }
+
+  return {
+    kind: 'pcap',
+    file,
+    networks: scan?.networks ?? [],
+  };
+}
+
+export function resetFixtureCursor(fixtureDir) {
+  if (fixtureDir) {
+    cursorByDir.delete(fixtureDir);
+    return;
+  }
+  cursorByDir.clear();
+}
@@ -0,0 +1,237 @@
+import { createReadStream, createWriteStream } from 'node:fs';
+import { mkdir, readdir, unlink } from 'node:fs/promises';
+import { join } from 'node:path';
+import { createInterface } from 'node:readline';
+
+export const HISTORY_SEGMENT_MS = 60 * 60_000;
+export const MAX_HISTORY_POINTS = 2000;
+
+const SEGMENT_FILE_PATTERN = /^history-(\d{4})(\d{2})(\d{2})(\d{2})\.ndjson$/u;
+
+// Hourly append-only NDJSON segments. A scan line holds [bssid, rssi] pairs per sensor; an info line
+// (SSID, channel, band) is written the first time a BSSID shows up in a segment or when it changes,
+// so every segment can be read on its own and expired by deleting the file.
+export function createHistoryStore({ dir, retentionMs }) {
+  let stream = null;
+  let segmentStart = null;
+  let writtenInfo = new Map();
+  let lastPruneAt = 0;
+
+  async function open() {
+    await mkdir(dir, { recursive: true });
+    await prune(Date.now());
+  }
+
+  function append(t, sensorId, networks) {
+    if (!networks.length) {
+      return;
+    }
+
+    rotate(t);
+    const aps = [];
+    const changedInfo = {};
+    for (const network of networks) {
+      if (!network?.bssid || !Number.isFinite(network.rssi)) {
+        continue;
+      }
+      aps.push([network.bssid, network.rssi]);
+
+      const info = {
+        ssid: network.ssid ?? null,
+        channel: network.channel ?? null,
+        band: network.band ?? null,
+      };
+      const infoKey = `${sensorId}|${network.bssid}`;
+      const infoText = JSON.stringify(info);
+      if (writtenInfo.get(infoKey) !== infoText) {
+        changedInfo[network.bssid] = info;
+        writtenInfo.set(infoKey, infoText);
+      }
+    }
+    if (!aps.length) {
+      return;
+    }
+
+    if (Object.keys(changedInfo).length) {
+      stream.write(`${JSON.stringify({ t, sensor: sensorId, info: changedInfo })}\n`);
+    }
+    stream.write(`${JSON.stringify({ t, sensor: sensorId, aps })}\n`);
+  }
+
+  function rotate(t) {
+    const start = Math.floor(t / HISTORY_SEGMENT_MS) * HISTORY_SEGMENT_MS;
+    if (stream && start === segmentStart) {
+      return;
+    }
+
+    stream?.end();
+    segmentStart = start;
+    writtenInfo = new Map();
+    stream = createWriteStream(join(dir, segmentFileName(start)), { flags: 'a' });
+    stream.on('error', (error) => {
+      console.error('[history] write error:', error.message);
+    });
+    if (t - lastPruneAt >= HISTORY_SEGMENT_MS) {
+      void prune(t);
+    }
+  }
+
+  async function prune(now) {
+    lastPruneAt = now;
+    for (const segment of await listSegments()) {
+      if (segment.start + HISTORY_SEGMENT_MS < now - retentionMs) {
+        await unlink(segment.path).catch(() => {});
+      }
+    }
+  }
+
+  async function listSegments() {
+    const names = await readdir(dir).catch(() => []);
+    return names
+      .map((name) => {
+        const match = SEGMENT_FILE_PATTERN.exec(name);
+        if (!match) {
+          return null;
+        }
+        const [, yyyy, mm, dd, hh] = match;
+        return { path: join(dir, name), start: Date.UTC(Number(yyyy), Number(mm) - 1, Number(dd), Number(hh)) };
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.start - b.start);
+  }
+
+  // Buckets samples per sensor into resolutionMs slots with mean/min/max, oldest first.
+  async function query({ bssid, from, to, resolutionMs, sensorId = null }) {
+    let buckets = new Map();
+    const info = new Map();
+    let rawCount = 0;
+
+    const segments = (await listSegments()).filter(
+      (segment) => segment.start <= to && segment.start + HISTORY_SEGMENT_MS > from,
+    );
+    for (const segment of segments) {
+      const lines = createInterface({ input: createReadStream(segment.path), crlfDelay: Infinity });
+      for await (const line of lines) {
+        if (!line.includes(bssid)) {
+          continue;
+        }
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch {
+          continue;
+        }
+        if (!Number.isFinite(entry.t) || entry.t > to || (sensorId && entry.sensor !== sensorId)) {
+          continue;
+        }
+        if (entry.info?.[bssid]) {
+          // The last info line at or before `to` describes the AP; earlier ones only seed it.
+          info.set(entry.sensor, { ...entry.info[bssid], since: entry.t });
+          continue;
+        }
+        if (entry.t < from || !Array.isArray(entry.aps)) {
+          continue;
+        }
+        const sample = entry.aps.find((pair) => pair[0] === bssid);
+        if (!sample) {
+          continue;
+        }
+
+        rawCount += 1;
+        addToBucket(buckets, entry.sensor, Math.floor(entry.t / resolutionMs) * resolutionMs, {
+          sum: sample[1],
+          count: 1,
+          min: sample[1],
+          max: sample[1],
+        });
+      }
+    }
+
+    // The cap covers the whole response: several sensors together widen the slots by a whole
+    // multiple so every point still spans an exact number of the requested slots.
+    while (buckets.size > MAX_HISTORY_POINTS && resolutionMs < to - from) {
+      resolutionMs *= Math.ceil(buckets.size / MAX_HISTORY_POINTS);
+      buckets = mergeBuckets(buckets, resolutionMs);
+    }
+
+    const series = {};
+    for (const bucket of Array.from(buckets.values()).sort((a, b) => a.t - b.t)) {
+      series[bucket.sensorId] ??= [];
+      series[bucket.sensorId].push({
+        t: bucket.t,
+        rssi: round(bucket.sum / bucket.count, 1),
+        min: bucket.min,
+        max: bucket.max,
+        count: bucket.count,
+      });
+    }
+
+    return {
+      bssid,
+      from,
+      to,
+      resolutionMs,
+      sampleCount: rawCount,
+      info: Object.fromEntries(info),
+      series,
+    };
+  }
+
+  async function close() {
+    if (!stream) {
+      return;
+    }
+    const closing = stream;
+    stream = null;
+    segmentStart = null;
+    await new Promise((resolve) => {
+      closing.end(resolve);
+    });
+  }
+
+  return {
+    dir,
+    retentionMs,
+    open,
+    append,
+    query,
+    close,
+  };
+}
+
+// Buckets keep running totals rather than raw samples, so a week-long slot costs the same as a
+// one-second one.
+function addToBucket(buckets, sensorId, slot, stats) {
+  const key = `${sensorId}|${slot}`;
+  const bucket = buckets.get(key);
+  if (!bucket) {
+    buckets.set(key, { sensorId, t: slot, ...stats });
+    return;
+  }
+  bucket.sum += stats.sum;
+  bucket.count += stats.count;
+  bucket.min = Math.min(bucket.min, stats.min);
+  bucket.max = Math.max(bucket.max, stats.max);
+}
+
+function mergeBuckets(buckets, resolutionMs) {
+  const merged = new Map();
+  for (const { sensorId, t, ...stats } of buckets.values()) {
+    addToBucket(merged, sensorId, Math.floor(t / resolutionMs) * resolutionMs, stats);
+  }
+  return merged;
+}
+
+function segmentFileName(start) {
+  const date = new Date(start);
+  const yyyy = String(date.getUTCFullYear());
+  const mm = String(date.getUTCMonth() + 1).padStart(2, '0');
+  const dd = String(date.getUTCDate()).padStart(2, '0');
+  const hh = String(date.getUTCHours()).padStart(2, '0');
+  return `history-${yyyy}${mm}${dd}${hh}.ndjson`;
+}
+
+function round(value, precision = 2) {
+  const factor = 10 ** precision;
+  return Math.round(value * factor) / factor;
+}
@@ -0,0 +1,15 @@
+// Public entry point for embedding the pipeline without the HTTP server.
+export {
+  ENGINE_EVENTS,
+  LOCAL_SENSOR_ID,
+  MERGED_SENSOR_VIEW,
+  createTopologyEngine,
+} from './topologyEngine.js';
+export { parseCalibrationTable, readCalibrationFile } from './calibration.js';
+export { CHANGE_EVENT_KINDS } from './changeEvents.js';
+export {
+  listScanProviders,
+  parseScanProviderList,
+  parseScanTarget,
+  scanWifiNetworks,
+} from './wifiScanner.js';
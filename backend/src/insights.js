@@ -7,15 +7,43 @@ function round(value, precision = 2) {
   return Math.round(value * factor) / factor;
 }
 
+// 6GHz 20MHz channels are 1, 5, 9 ... 233 (plus channel 2); preferred scanning channels (PSC)
+// are every fourth one starting at 5, and are where 6GHz-only APs are expected to be discovered.
+const BAND6_PSC_CHANNELS = Array.from({ length: 15 }, (_, index) => 5 + index * 16);
+const BAND6_CHANNELS = Array.from({ length: 59 }, (_, index) => 1 + index * 4);
+// 5GHz runs 36-144 in UNII-1/2/2e, then restarts at 149 for UNII-3 and UNII-4 up to 177.
+const BAND5_CHANNELS = [
+  ...Array.from({ length: 28 }, (_, index) => 36 + index * 4),
+  ...Array.from({ length: 8 }, (_, index) => 149 + index * 4),
+];
+
+// APs without a BSS Load element count as lightly loaded; a station count of this size is
+// treated as a saturated cell.
+const UNKNOWN_AP_LOAD = 0.15;
+const SATURATED_STATION_COUNT = 40;
+
+export function isValid6GhzChannel(channel) {
+  return channel === 2 || (channel >= 1 && channel <= 233 && (channel - 1) % 4 === 0);
+}
+
+export function isPreferredScanningChannel(channel) {
+  return BAND6_PSC_CHANNELS.includes(channel);
+}
+
 function normalizeBand(band, channel) {
   const text = String(band || '').toLowerCase();
   if (text.includes('2.4')) {
     return '2.4GHz';
   }
+  if (text.includes('6')) {
+    return '6GHz';
+  }
   if (text.includes('5')) {
     return '5GHz';
   }
 
+  // Channel-only fallback cannot tell 6GHz channels apart; parsers prefer frequency for that.
+
   const channelNumber = Number.parseInt(channel, 10);
   if (!Number.isFinite(channelNumber)) {
     return null;
@@ -35,9 +63,14 @@ function normalizeAp(ap) {
   return {
     ssid: ap.ssid || '<hidden>',
     bssid: ap.bssid,
+    vendor: ap.vendor || null,
+    randomizedMac: Boolean(ap.randomizedMac),
     band: ap.band || 'unknown',
     channel: ap.channel || '?',
     security: ap.security || 'UNKNOWN',
+    securityDetail: ap.securityDetail && typeof ap.securityDetail === 'object' ? ap.securityDetail : null,
+    roaming: ap.roaming && typeof ap.roaming === 'object' ? ap.roaming : null,
+    wps: ap.wps && typeof ap.wps === 'object' ? ap.wps : null,
     latestRssi: Number.isFinite(ap.rssi)
       ? ap.rssi
       : Number.isFinite(ap.latestRssi)
@@ -49,6 +82,10 @@ function normalizeAp(ap) {
     stability: Number.isFinite(ap.stability) ? ap.stability : 0,
     clusterId: Number.isFinite(ap.clusterId) ? ap.clusterId : 0,
     clusterSize: Number.isFinite(ap.clusterSize) ? ap.clusterSize : 1,
+    channelWidth: Number.isFinite(ap.channelWidth) ? ap.channelWidth : null,
+    bssLoad: ap.bssLoad && typeof ap.bssLoad === 'object' ? ap.bssLoad : null,
+    secondaryChannelOffset: ap.secondaryChannelOffset || null,
+    phy: ap.phy || null,
   };
 }
 
@@ -87,8 +124,11 @@ export function computeStabilityScore({ varianceValue, sampleCount, varRef = 100
 }
 
 export function buildChannelDensity(aps = []) {
-  const band24 = new Map();
-  const band5 = new Map();
+  const bands = {
+    '2.4GHz': { counts: new Map(), overlaps: new Map(), spans: [] },
+    '5GHz': { counts: new Map(), overlaps: new Map(), spans: [] },
+    '6GHz': { counts: new Map(), overlaps: new Map(), spans: [] },
+  };
 
   for (const apRaw of aps) {
     const ap = normalizeAp(apRaw);
@@ -102,15 +142,53 @@ export function buildChannelDensity(aps = []) {
       continue;
     }
 
-    const target = band === '2.4GHz' ? band24 : band5;
-    target.set(channelNumber, (target.get(channelNumber) || 0) + 1);
+    if (band === '6GHz' && !isValid6GhzChannel(channelNumber)) {
+      continue;
+    }
+
+    const target = bands[band];
+    target.counts.set(channelNumber, (target.counts.get(channelNumber) || 0) + 1);
+    target.spans.push({
+      ...occupiedSpanMhz(band, channelNumber, ap.channelWidth || 20, ap.secondaryChannelOffset),
+      load: estimateApLoad(ap.bssLoad),
+    });
   }
 
-  const toRows = (map) => [...map.entries()].map(([channel, count]) => ({ channel, count }));
+  // Overlap counts every AP whose occupied bandwidth touches a channel, so one 80MHz AP on
+  // ch 36 also congests 40, 44 and 48 even though none of those is its primary.
+  for (const [band, target] of Object.entries(bands)) {
+    // Every AP keeps a row for its own primary channel, even off the 20MHz grid.
+    const candidates = band === '2.4GHz'
+      ? [...target.counts.keys()]
+      : [...new Set([...target.counts.keys(), ...target.spans.flatMap((span) => channelsInSpan(band, span))])];
+
+    for (const channel of candidates) {
+      const channelSpan = occupiedSpanMhz(band, channel, 20, null);
+      const overlapping = target.spans.filter((span) => spansOverlap(span, channelSpan));
+      target.overlaps.set(channel, {
+        overlap: overlapping.length,
+        congestion: round(overlapping.reduce((sum, span) => sum + span.load, 0), 2),
+      });
+    }
+  }
+
+  const toRows = (target) =>
+    sortChannelsAscending(
+      [...target.overlaps.entries()].map(([channel, { overlap, congestion }]) => ({
+        channel,
+        count: target.counts.get(channel) || 0,
+        overlap,
+        congestion,
+      })),
+    );
 
   return {
-    band24: sortChannelsAscending(toRows(band24)),
-    band5: sortChannelsAscending(toRows(band5)),
+    band24: toRows(bands['2.4GHz']),
+    band5: toRows(bands['5GHz']),
+    band6: toRows(bands['6GHz']).map((row) => ({
+      ...row,
+      psc: isPreferredScanningChannel(row.channel),
+    })),
   };
 }
 
@@ -118,6 +196,16 @@ export function recommendChannels(channelDensity, limit = 2) {
   const pickLowest = (rows) =>
     [...rows]
       .sort((a, b) => {
+        const aCongestion = a.congestion ?? 0;
+        const bCongestion = b.congestion ?? 0;
+        if (aCongestion !== bCongestion) {
+          return aCongestion - bCongestion;
+        }
+        const aOverlap = a.overlap ?? a.count;
+        const bOverlap = b.overlap ?? b.count;
+        if (aOverlap !== bOverlap) {
+          return aOverlap - bOverlap;
+        }
         if (a.count !== b.count) {
           return a.count - b.count;
         }
@@ -125,12 +213,91 @@ export function recommendChannels(channelDensity, limit = 2) {
       })
       .slice(0, limit);
 
+  // 6GHz recommendations only consider PSC channels, including ones nobody is using yet.
+  const band6ByChannel = new Map((channelDensity.band6 || []).map((row) => [row.channel, row]));
+  const band6Candidates = (channelDensity.band6 || []).length
+    ? BAND6_PSC_CHANNELS.map((channel) => ({
+        channel,
+        count: band6ByChannel.get(channel)?.count || 0,
+        overlap: band6ByChannel.get(channel)?.overlap || 0,
+        congestion: band6ByChannel.get(channel)?.congestion || 0,
+        psc: true,
+      }))
+    : [];
+
   return {
     band24: pickLowest(channelDensity.band24 || []),
     band5: pickLowest(channelDensity.band5 || []),
+    band6: pickLowest(band6Candidates),
   };
 }
 
+// Airtime utilisation is the direct measure; station count stands in when an AP only
+// advertises clients, so one busy AP outweighs several idle ones on the same channel.
+function estimateApLoad(bssLoad) {
+  if (!bssLoad) {
+    return UNKNOWN_AP_LOAD;
+  }
+
+  const utilization = Number.isFinite(bssLoad.channelUtilization) ? bssLoad.channelUtilization : null;
+  const stationLoad = Number.isFinite(bssLoad.stationCount)
+    ? clamp(bssLoad.stationCount / SATURATED_STATION_COUNT, 0, 1)
+    : null;
+
+  if (utilization == null && stationLoad == null) {
+    return UNKNOWN_AP_LOAD;
+  }
+  return Math.max(utilization ?? 0, stationLoad ?? 0);
+}
+
+function channelCenterMhz(band, channel) {
+  if (band === '2.4GHz') {
+    return channel === 14 ? 2484 : 2407 + channel * 5;
+  }
+  if (band === '6GHz') {
+    return channel === 2 ? 5935 : 5950 + channel * 5;
+  }
+  return 5000 + channel * 5;
+}
+
+function occupiedSpanMhz(band, channel, width, secondaryChannelOffset) {
+  const primaryCenter = channelCenterMhz(band, channel);
+
+  if (band === '2.4GHz') {
+    // 2.4GHz channels are 5MHz apart but ~22MHz wide; 40MHz bonds toward the secondary.
+    let center = primaryCenter;
+    if (width >= 40) {
+      const above = secondaryChannelOffset ? secondaryChannelOffset === 'above' : channel <= 7;
+      center += above ? 10 : -10;
+    }
+    const halfWidth = Math.min(width, 40) / 2 + 1;
+    return { low: center - halfWidth, high: center + halfWidth };
+  }
+
+  if (width <= 20) {
+    return { low: primaryCenter - 10, high: primaryCenter + 10 };
+  }
+
+  // 5GHz and 6GHz bond into fixed blocks aligned to the start of each sub-band.
+  const base = band === '6GHz' ? 1 : channel >= 149 ? 149 : 36;
+  const step = width / 5;
+  const blockStart = base + Math.floor((channel - base) / step) * step;
+  const low = channelCenterMhz(band, blockStart) - 10;
+  return { low, high: low + width };
+}
+
+function channelsInSpan(band, span) {
+  const channels = band === '6GHz' ? BAND6_CHANNELS : BAND5_CHANNELS;
+  return channels.filter((channel) => {
+    const center = channelCenterMhz(band, channel);
+    return center > span.low && center < span.high;
+  });
+}
+
+function spansOverlap(a, b) {
+  return a.low < b.high && b.low < a.high;
+}
+
 export function selectStrongestAps(aps = [], limit = 5) {
   return aps
     .map(normalizeAp)
@@ -154,6 +321,87 @@ export function selectMostVolatileAps(aps = [], limit = 5) {
     .slice(0, limit);
 }
 
+export function buildSecurityAudit(aps = []) {
+  const audit = { open: 0, wep: 0, tkip: 0, transitionMode: 0, wpa3: 0, mfpRequired: 0, unknown: 0 };
+
+  for (const ap of aps) {
+    const detail = ap.securityDetail;
+    if (!detail) {
+      audit.unknown += 1;
+      continue;
+    }
+
+    const protocols = detail.protocols || [];
+    const akmSuites = detail.akmSuites || [];
+    if (!protocols.length && !akmSuites.length) {
+      audit.open += 1;
+    }
+    if (protocols.includes('WEP')) {
+      audit.wep += 1;
+    }
+    if (detail.usesTkip) {
+      audit.tkip += 1;
+    }
+    if (detail.transitionMode) {
+      audit.transitionMode += 1;
+    }
+    if (akmSuites.some((akm) => akm.includes('SAE') || akm === 'OWE' || akm === '802.1X-SUITE-B-192')) {
+      audit.wpa3 += 1;
+    }
+    if (detail.mfp === 'required') {
+      audit.mfpRequired += 1;
+    }
+  }
+
+  return audit;
+}
+
+function countRoamingFlags(aps) {
+  const counts = { reported: 0, neighborReport: 0, bssTransition: 0, fastTransition: 0 };
+  for (const ap of aps) {
+    if (!ap.roaming) {
+      continue;
+    }
+    counts.reported += 1;
+    counts.neighborReport += ap.roaming.neighborReport ? 1 : 0;
+    counts.bssTransition += ap.roaming.bssTransition ? 1 : 0;
+    counts.fastTransition += ap.roaming.fastTransition ? 1 : 0;
+  }
+  return counts;
+}
+
+export function buildRoamingSummary(aps = [], limit = 10) {
+  const byClusterId = new Map();
+  for (const ap of aps) {
+    if (!ap.clusterId || ap.clusterId < 1) {
+      continue;
+    }
+    if (!byClusterId.has(ap.clusterId)) {
+      byClusterId.set(ap.clusterId, []);
+    }
+    byClusterId.get(ap.clusterId).push(ap);
+  }
+
+  const clusters = [...byClusterId.entries()]
+    .map(([clusterId, members]) => ({
+      clusterId,
+      apCount: members.length,
+      ssids: [...new Set(members.map((ap) => ap.ssid || '<hidden>'))].sort(),
+      ...countRoamingFlags(members),
+    }))
+    .sort((a, b) => b.apCount - a.apCount || a.clusterId - b.clusterId)
+    .slice(0, limit);
+
+  const wpsAps = aps.filter((ap) => ap.wps);
+  return {
+    apCount: aps.length,
+    ...countRoamingFlags(aps),
+    wpsEnabled: wpsAps.length,
+    wpsUnlocked: wpsAps.filter((ap) => !ap.wps.locked).length,
+    clusters,
+  };
+}
+
 export function buildAnalysisSummary({
   aps = [],
   meta = {},
@@ -177,12 +425,15 @@ export function buildAnalysisSummary({
     windowSize: Number.isFinite(meta.windowSize) ? meta.windowSize : null,
     durationSec: Number.isFinite(durationSec) ? durationSec : null,
     scanCount: Number.isFinite(meta.scanCount) ? meta.scanCount : null,
+    staleRatio: Number.isFinite(meta.staleRatio) ? meta.staleRatio : null,
     apsObserved: Number.isFinite(observedApCount) ? observedApCount : normalizedAps.length,
     apsTracked: normalizedAps.length,
     clustersDetected: clusterSizes.length,
     topClusterSizes: clusterSizes.slice(0, 5),
     channelDensity,
     recommendations,
+    securityAudit: buildSecurityAudit(normalizedAps),
+    roaming: buildRoamingSummary(normalizedAps),
     strongestAps: selectStrongestAps(normalizedAps, 5),
     mostVolatileAps: selectMostVolatileAps(normalizedAps, 5),
   };
@@ -200,8 +451,25 @@ function renderChannelDensitySection(channelRows) {
     return ['- (no data)'];
   }
 
-  const maxCount = Math.max(...channelRows.map((row) => row.count), 1);
-  return channelRows.map((row) => `- ch ${row.channel} ${buildAsciiBar(row.count, maxCount)} (${row.count})`);
+  const maxCount = Math.max(...channelRows.map((row) => row.overlap ?? row.count), 1);
+  return channelRows.map((row) => {
+    const overlap = row.overlap ?? row.count;
+    const extra = overlap > row.count ? ` +${overlap - row.count} overlapping` : '';
+    const load = Number.isFinite(row.congestion) ? ` load ${row.congestion.toFixed(2)}` : '';
+    return `- ch ${row.channel}${row.psc ? ' (PSC)' : ''} ${buildAsciiBar(overlap, maxCount)} (${row.count}${extra})${load}`;
+  });
+}
+
+function formatRecommendation(items) {
+  return items.map((item) => `ch ${item.channel}${item.psc ? ' (PSC)' : ''}`).join(', ');
+}
+
+function hasRecommendations(recommendations) {
+  return ['band24', 'band5', 'band6'].some((key) => (recommendations?.[key] || []).length > 0);
+}
+
+function formatSecurityAudit(audit) {
+  return `open ${audit.open}, WEP ${audit.wep}, TKIP ${audit.tkip}, WPA2/WPA3 transition ${audit.transitionMode}, WPA3/OWE ${audit.wpa3}, PMF required ${audit.mfpRequired}`;
 }
 
 function escapeCell(value) {
@@ -215,14 +483,62 @@ function formatRssi(value) {
   return `${round(value, 2)}`;
 }
 
+function formatVendor(ap) {
+  if (ap.vendor) {
+    return ap.vendor;
+  }
+  return ap.randomizedMac ? 'randomized' : 'unknown';
+}
+
+function formatRoaming(ap) {
+  if (!ap.roaming) {
+    return '?';
+  }
+  const flags = [
+    ap.roaming.neighborReport ? 'k' : '',
+    ap.roaming.bssTransition ? 'v' : '',
+    ap.roaming.fastTransition ? 'r' : '',
+  ].filter(Boolean);
+  return flags.length ? flags.join('/') : '-';
+}
+
+function formatFlagRatio(count, reported) {
+  return reported ? `${count}/${reported}` : 'n/a';
+}
+
+function renderRoamingSection(roaming) {
+  const lines = [
+    `- 802.11k neighbor report: ${formatFlagRatio(roaming.neighborReport, roaming.reported)}`,
+    `- 802.11v BSS transition: ${formatFlagRatio(roaming.bssTransition, roaming.reported)}`,
+    `- 802.11r fast transition: ${formatFlagRatio(roaming.fastTransition, roaming.reported)}`,
+    `- WPS enabled: ${roaming.wpsEnabled} (${roaming.wpsUnlocked} unlocked)`,
+  ];
+  if (roaming.reported < roaming.apCount) {
+    lines.push(`- Roaming flags unavailable for ${roaming.apCount - roaming.reported} APs (scan source does not expose IEs)`);
+  }
+
+  lines.push('');
+  lines.push('| Cluster | APs | SSIDs | 11k | 11v | 11r |');
+  lines.push('| --- | --- | --- | --- | --- | --- |');
+  if (!roaming.clusters.length) {
+    lines.push('| - | - | - | - | - | - |');
+  }
+  for (const cluster of roaming.clusters) {
+    lines.push(
+      `| C${cluster.clusterId} | ${cluster.apCount} | ${escapeCell(cluster.ssids.join(', '))} | ${formatFlagRatio(cluster.neighborReport, cluster.reported)} | ${formatFlagRatio(cluster.bssTransition, cluster.reported)} | ${formatFlagRatio(cluster.fastTransition, cluster.reported)} |`,
+    );
+  }
+  return lines;
+}
+
 function renderApTableRows(aps) {
   if (!aps.length) {
-    return ['| - | - | - | - | - | - | - | - | - |'];
+    return ['| - | - | - | - | - | - | - | - | - | - | - |'];
   }
 
   return aps.map((ap) => {
     const name = ap.ssid || '<hidden>';
-    return `| ${escapeCell(name)} | ${ap.bssid} | ${ap.band} | ${ap.channel} | ${escapeCell(ap.security)} | ${formatRssi(ap.meanRssi)} | ${formatRssi(ap.latestRssi)} | ${round(ap.variance, 2)} | ${round(ap.stability, 2)} |`;
+    return `| ${escapeCell(name)} | ${ap.bssid} | ${escapeCell(formatVendor(ap))} | ${ap.band} | ${ap.channel} | ${escapeCell(ap.security)} | ${formatRoaming(ap)} | ${formatRssi(ap.meanRssi)} | ${formatRssi(ap.latestRssi)} | ${round(ap.variance, 2)} | ${round(ap.stability, 2)} |`;
   });
 }
 
@@ -244,6 +560,9 @@ export function buildMarkdownReport({ summary }) {
     );
   }
 
+  if (summary.staleRatio != null) {
+    lines.push(`- Stale samples: ${Math.round(summary.staleRatio * 100)}% (cached scan results, excluded from correlation)`);
+  }
   lines.push(`- APs observed: ${summary.apsObserved}`);
   lines.push(`- APs tracked: ${summary.apsTracked}`);
 
@@ -255,18 +574,24 @@ export function buildMarkdownReport({ summary }) {
   lines.push('');
   lines.push('### 5GHz');
   lines.push(...renderChannelDensitySection(summary.channelDensity.band5 || []));
+  lines.push('');
+  lines.push('### 6GHz');
+  lines.push(...renderChannelDensitySection(summary.channelDensity.band6 || []));
 
   lines.push('');
   lines.push('## Channel Recommendations (Heuristic)');
   lines.push('');
 
   if ((summary.recommendations.band24 || []).length) {
-    lines.push(`- 2.4GHz: ${summary.recommendations.band24.map((item) => `ch ${item.channel}`).join(', ')}`);
+    lines.push(`- 2.4GHz: ${formatRecommendation(summary.recommendations.band24)}`);
   }
   if ((summary.recommendations.band5 || []).length) {
-    lines.push(`- 5GHz: ${summary.recommendations.band5.map((item) => `ch ${item.channel}`).join(', ')}`);
+    lines.push(`- 5GHz: ${formatRecommendation(summary.recommendations.band5)}`);
+  }
+  if ((summary.recommendations.band6 || []).length) {
+    lines.push(`- 6GHz: ${formatRecommendation(summary.recommendations.band6)}`);
   }
-  if (!(summary.recommendations.band24 || []).length && !(summary.recommendations.band5 || []).length) {
+  if (!hasRecommendations(summary.recommendations)) {
     lines.push('- No recommendation data available');
   }
 
@@ -280,18 +605,40 @@ export function buildMarkdownReport({ summary }) {
     lines.push('- Top cluster sizes: none');
   }
 
+  if (summary.securityAudit) {
+    lines.push('');
+    lines.push('## Security Audit');
+    lines.push('');
+    lines.push(`- Open: ${summary.securityAudit.open}`);
+    lines.push(`- WEP: ${summary.securityAudit.wep}`);
+    lines.push(`- Legacy TKIP: ${summary.securityAudit.tkip}`);
+    lines.push(`- WPA2/WPA3 transition mode: ${summary.securityAudit.transitionMode}`);
+    lines.push(`- WPA3 / OWE capable: ${summary.securityAudit.wpa3}`);
+    lines.push(`- PMF required: ${summary.securityAudit.mfpRequired}`);
+    if (summary.securityAudit.unknown) {
+      lines.push(`- No security detail: ${summary.securityAudit.unknown}`);
+    }
+  }
+
+  if (summary.roaming) {
+    lines.push('');
+    lines.push('## Roaming Capabilities');
+    lines.push('');
+    lines.push(...renderRoamingSection(summary.roaming));
+  }
+
   lines.push('');
   lines.push('## Top 5 Strongest APs');
   lines.push('');
-  lines.push('| SSID | BSSID | Band | Channel | Security | Mean RSSI | Latest RSSI | Variance | Stability |');
-  lines.push('| --- | --- | --- | --- | --- | --- | --- | --- | --- |');
+  lines.push('| SSID | BSSID | Vendor | Band | Channel | Security | Roaming | Mean RSSI | Latest RSSI | Variance | Stability |');
+  lines.push('| --- | --- | --- | --- | --- | --- | --- | --- | --- | --- | --- |');
   lines.push(...renderApTableRows(summary.strongestAps || []));
 
   lines.push('');
   lines.push('## Top 5 Most Volatile APs');
   lines.push('');
-  lines.push('| SSID | BSSID | Band | Channel | Security | Mean RSSI | Latest RSSI | Variance | Stability |');
-  lines.push('| --- | --- | --- | --- | --- | --- | --- | --- | --- |');
+  lines.push('| SSID | BSSID | Vendor | Band | Channel | Security | Roaming | Mean RSSI | Latest RSSI | Variance | Stability |');
+  lines.push('| --- | --- | --- | --- | --- | --- | --- | --- | --- | --- | --- |');
   lines.push(...renderApTableRows(summary.mostVolatileAps || []));
 
   lines.push('');
@@ -316,6 +663,9 @@ export function formatAnalyzeSummary(summary) {
   if (summary.scanCount != null) {
     lines.push(`Scans: ${summary.scanCount}`);
   }
+  if (summary.staleRatio != null) {
+    lines.push(`Stale samples: ${Math.round(summary.staleRatio * 100)}%`);
+  }
   lines.push(`APs observed: ${summary.apsObserved}`);
   lines.push(`APs tracked: ${summary.apsTracked}`);
   lines.push(`Clusters detected: ${summary.clustersDetected}`);
@@ -326,16 +676,33 @@ export function formatAnalyzeSummary(summary) {
   lines.push('');
   lines.push('Channel density 5GHz:');
   lines.push(...renderChannelDensitySection(summary.channelDensity.band5 || []));
+  lines.push('');
+  lines.push('Channel density 6GHz:');
+  lines.push(...renderChannelDensitySection(summary.channelDensity.band6 || []));
 
-  if ((summary.recommendations.band24 || []).length || (summary.recommendations.band5 || []).length) {
+  if (hasRecommendations(summary.recommendations)) {
     lines.push('');
     lines.push('Recommended low-congestion channels (heuristic):');
     if ((summary.recommendations.band24 || []).length) {
-      lines.push(`- 2.4GHz: ${summary.recommendations.band24.map((item) => `ch ${item.channel}`).join(', ')}`);
+      lines.push(`- 2.4GHz: ${formatRecommendation(summary.recommendations.band24)}`);
     }
     if ((summary.recommendations.band5 || []).length) {
-      lines.push(`- 5GHz: ${summary.recommendations.band5.map((item) => `ch ${item.channel}`).join(', ')}`);
+      lines.push(`- 5GHz: ${formatRecommendation(summary.recommendations.band5)}`);
     }
+    if ((summary.recommendations.band6 || []).length) {
+      lines.push(`- 6GHz: ${formatRecommendation(summary.recommendations.band6)}`);
+    }
+  }
+
+  if (summary.securityAudit) {
+    lines.push('');
+    lines.push(`Security audit: ${formatSecurityAudit(summary.securityAudit)}`);
+  }
+  if (summary.roaming) {
+    const { roaming } = summary;
+    lines.push(
+      `Roaming: 11k ${formatFlagRatio(roaming.neighborReport, roaming.reported)}, 11v ${formatFlagRatio(roaming.bssTransition, roaming.reported)}, 11r ${formatFlagRatio(roaming.fastTransition, roaming.reported)}, WPS ${roaming.wpsEnabled}`,
+    );
   }
 
   lines.push('');
@@ -0,0 +1,59 @@
+import { readFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const OUI_TABLE_PATH = join(__dirname, '..', 'data', 'oui.tsv');
+
+// MA-S and MA-M blocks are carved out of MA-L prefixes, so the longest match wins.
+const PREFIX_LENGTHS = [9, 7, 6];
+
+let vendorByPrefix = null;
+
+export function lookupVendor(bssid) {
+  const hex = String(bssid || '').replace(/[^0-9a-f]/giu, '').toUpperCase();
+  if (hex.length !== 12 || isLocallyAdministered(bssid)) {
+    return null;
+  }
+
+  const table = loadOuiTable();
+  for (const length of PREFIX_LENGTHS) {
+    const vendor = table.get(hex.slice(0, length));
+    if (vendor) {
+      return vendor;
+    }
+  }
+  return null;
+}
+
+// The U/L bit (0x02 of the first octet) marks addresses that were not assigned from an OUI,
+// which for BSSIDs almost always means a randomized or per-SSID virtual address.
+export function isLocallyAdministered(bssid) {
+  const firstOctet = Number.parseInt(String(bssid || '').slice(0, 2), 16);
+  return Number.isFinite(firstOctet) && (firstOctet & 0x02) !== 0;
+}
+
+function loadOuiTable() {
+  if (vendorByPrefix) {
+    return vendorByPrefix;
+  }
+
+  vendorByPrefix = new Map();
+  let text = '';
+  try {
+    text = readFileSync(OUI_TABLE_PATH, 'utf8');
+  } catch {
+    return vendorByPrefix;
+  }
+
+  for (const line of text.split('\n')) {
+    if (!line || line.startsWith('#')) {
+      continue;
+    }
+    const tab = line.indexOf('\t');
+    if (tab > 0) {
+      vendorByPrefix.set(line.slice(0, tab), line.slice(tab + 1));
+    }
+  }
+  return vendorByPrefix;
+}
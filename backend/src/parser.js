@@ -1,5 +1,18 @@
+import {
+  addAkmSuites,
+  addCiphers,
+  addProtocol,
+  createSecurityDetail,
+  finalizeSecurityDetail,
+  formatElementSecurityLabel,
+  parseSecurityText,
+  setMfpFromCapabilities,
+} from './security.js';
+
 const BSSID_PATTERN = /(?:[0-9a-fA-F]{2}:){5}[0-9a-fA-F]{2}/;
 const EXACT_BSSID_PATTERN = /^(?:[0-9a-fA-F]{2}:){5}[0-9a-fA-F]{2}$/u;
+const IW_ROAMING_SECTIONS = new Set(['md', 'rm', 'ext_cap']);
+const NMCLI_FLAG_TOKEN = /^(?:(?:pair|group)_[a-z0-9]+|psk|802\.1X|sae|owe|owe_tm|eap_suite_b_192)$/iu;
 const LINE_PATTERN = /^(?<ssid>.*?)\s+(?<bssid>(?:[0-9a-fA-F]{2}:){5}[0-9a-fA-F]{2})\s+(?<rssi>-?\d+)\s+(?<channel>\S+)\s*(?<rest>.*)$/;
 
 export function parseAirportOutput(rawOutput) {
@@ -83,6 +96,9 @@ export function parseSystemProfilerOutput(rawOutput) {
       seenByKey,
     );
     if (current) {
+      const rate = Number.parseFloat(wifiInterface.spairport_current_network_information.spairport_network_rate);
+      current.associated = true;
+      current.linkRateMbps = Number.isFinite(rate) && rate > 0 ? rate : null;
       parsedNetworks.push(current);
     }
   }
@@ -136,17 +152,19 @@ export function parseNetshOutput(rawOutput) {
       const rssi = signalPercentToRssi(ssidBlock.signalPercent);
       if (Number.isFinite(rssi)) {
         syntheticIndex += 1;
-        parsedEntries.push(
-          buildNormalizedNetwork({
-            bssid: null,
-            syntheticSeed: `${ssidBlock.ssid}::${ssidBlock.channel || '?'}::${security}::${syntheticIndex}`,
-            ssid: ssidBlock.ssid,
-            rssi,
-            channel: ssidBlock.channel,
-            bandText: ssidBlock.bandText,
-            security,
-          }),
-        );
+        const network = buildNormalizedNetwork({
+          bssid: null,
+          syntheticSeed: `${ssidBlock.ssid}::${ssidBlock.channel || '?'}::${security}::${syntheticIndex}`,
+          ssid: ssidBlock.ssid,
+          rssi,
+          channel: ssidBlock.channel,
+          bandText: ssidBlock.bandText,
+          security,
+        });
+        if (network) {
+          network.signalRaw = { unit: 'percent', value: ssidBlock.signalPercent };
+        }
+        parsedEntries.push(network);
       }
       ssidBlock = null;
       bssidBlock = null;
@@ -159,17 +177,22 @@ export function parseNetshOutput(rawOutput) {
         continue;
       }
 
-      parsedEntries.push(
-        buildNormalizedNetwork({
-          bssid: entry.bssid,
-          syntheticSeed: `${ssidBlock.ssid}::${entry.channel || ssidBlock.channel || '?'}::${security}::${entry.index}`,
-          ssid: ssidBlock.ssid,
-          rssi,
-          channel: entry.channel || ssidBlock.channel,
-          bandText: entry.bandText || ssidBlock.bandText,
-          security,
-        }),
-      );
+      const network = buildNormalizedNetwork({
+        bssid: entry.bssid,
+        syntheticSeed: `${ssidBlock.ssid}::${entry.channel || ssidBlock.channel || '?'}::${security}::${entry.index}`,
+        ssid: ssidBlock.ssid,
+        rssi,
+        channel: entry.channel || ssidBlock.channel,
+        bandText: entry.bandText || ssidBlock.bandText,
+        security,
+      });
+
+      if (network) {
+        network.signalRaw = { unit: 'percent', value: entry.signalPercent ?? ssidBlock.signalPercent };
+        network.phy = parseRadioType(entry.radioType) ?? null;
+        network.securityDetail = parseSecurityText(ssidBlock.auth, ssidBlock.encryption);
+      }
+      parsedEntries.push(network);
     }
 
     ssidBlock = null;
@@ -221,6 +244,7 @@ export function parseNetshOutput(rawOutput) {
         signalPercent: null,
         channel: '',
         bandText: '',
+        radioType: '',
       };
       ssidBlock.bssids.push(bssidBlock);
       continue;
@@ -250,6 +274,14 @@ export function parseNetshOutput(rawOutput) {
       continue;
     }
 
+    const radioTypeMatch = trimmed.match(/^Radio type\s*:\s*(.*)$/iu);
+    if (radioTypeMatch) {
+      if (bssidBlock) {
+        bssidBlock.radioType = radioTypeMatch[1].trim();
+      }
+      continue;
+    }
+
     const bandMatch = trimmed.match(/^Band\s*:\s*(.*)$/iu);
     if (bandMatch) {
       const bandText = bandMatch[1].trim();
@@ -284,23 +316,61 @@ export function parseNmcliOutput(rawOutput) {
       continue;
     }
 
-    const [bssidField, ssidField, signalField, channelField, ...securityParts] = fields;
+    // FREQ, RATE and MODE are optional so captures from the older
+    // BSSID,SSID,SIGNAL,CHAN,SECURITY layout still parse.
+    const [bssidField, ssidField, signalField, channelField] = fields;
+    let cursor = 4;
+    let frequencyField = '';
+    let rateField = '';
+    let modeField = '';
+    if (fields.length > cursor + 1 && /^\d+\s*MHz$/iu.test(fields[cursor].trim())) {
+      frequencyField = fields[cursor];
+      cursor += 1;
+    }
+    if (fields.length > cursor + 1 && /^\d+(?:\.\d+)?\s*Mbit\/s$/iu.test(fields[cursor].trim())) {
+      rateField = fields[cursor];
+      cursor += 1;
+    }
+    if (fields.length > cursor + 1 && /^(infra|ad-hoc|mesh|n\/a)$/iu.test(fields[cursor].trim())) {
+      modeField = fields[cursor];
+      cursor += 1;
+    }
+    // WPA-FLAGS and RSN-FLAGS trail SECURITY when requested; they carry the AKM and cipher detail.
+    let wpaFlags = '';
+    let rsnFlags = '';
+    if (fields.length >= cursor + 3 && isNmcliFlagField(fields.at(-1)) && isNmcliFlagField(fields.at(-2))) {
+      rsnFlags = fields.at(-1);
+      wpaFlags = fields.at(-2);
+      fields.length -= 2;
+    }
+    const securityParts = fields.slice(cursor);
     const signalPercent = Number.parseInt(signalField, 10);
     const rssi = signalPercentToRssi(signalPercent);
     if (!Number.isFinite(rssi)) {
       continue;
     }
 
-    parsedEntries.push(
-      buildNormalizedNetwork({
-        bssid: bssidField,
-        syntheticSeed: `${ssidField || '<hidden>'}::${channelField || '?'}::${index + 1}`,
-        ssid: ssidField,
-        rssi,
-        channel: channelField,
-        security: securityParts.join(':').trim() || 'UNKNOWN',
-      }),
-    );
+    const network = buildNormalizedNetwork({
+      bssid: bssidField,
+      syntheticSeed: `${ssidField || '<hidden>'}::${channelField || '?'}::${index + 1}`,
+      ssid: ssidField,
+      rssi,
+      channel: channelField,
+      frequency: frequencyField,
+      security: securityParts.join(':').trim() || 'UNKNOWN',
+    });
+
+    if (network) {
+      const maxRateMbps = Number.parseFloat(rateField);
+      network.maxRateMbps = Number.isFinite(maxRateMbps) ? maxRateMbps : null;
+      network.mode = modeField.trim() || null;
+      network.signalRaw = { unit: 'percent', value: signalPercent };
+      network.phy = inferPhyFromRate(network.maxRateMbps, network.band);
+      if (wpaFlags || rsnFlags) {
+        network.securityDetail = parseNmcliSecurityFlags(wpaFlags, rsnFlags);
+      }
+    }
+    parsedEntries.push(network);
   }
 
   return dedupeByStrongestRssi(parsedEntries);
@@ -324,18 +394,32 @@ export function parseIwScanOutput(rawOutput) {
 
     sequence += 1;
     const channel = current.channel || frequencyToChannel(current.frequency);
-    const security = current.security || (current.privacyEnabled ? 'WEP/UNKNOWN' : 'OPEN');
-
-    parsedEntries.push(
-      buildNormalizedNetwork({
-        bssid: current.bssid,
-        syntheticSeed: `${current.ssid || '<hidden>'}::${channel || '?'}::${security}::${sequence}`,
-        ssid: current.ssid,
-        rssi: current.rssi,
-        channel,
-        security,
-      }),
-    );
+    const securityDetail = current.securityDetail || createSecurityDetail();
+    if (!current.securityDetail && current.privacyEnabled) {
+      addProtocol(securityDetail, 'WEP');
+    }
+    finalizeSecurityDetail(securityDetail);
+    const security = formatElementSecurityLabel(securityDetail);
+
+    const network = buildNormalizedNetwork({
+      bssid: current.bssid,
+      syntheticSeed: `${current.ssid || '<hidden>'}::${channel || '?'}::${security}::${sequence}`,
+      ssid: current.ssid,
+      rssi: current.rssi,
+      channel,
+      frequency: current.frequency,
+      security,
+    });
+
+    if (network) {
+      Object.assign(network, resolveIwPhy(current.phy, network.band));
+      network.bssLoad = current.bssLoad;
+      network.securityDetail = securityDetail;
+      network.roaming = resolveIwRoaming(current.roaming, securityDetail);
+      network.wps = current.wps;
+      network.ageMs = current.ageMs;
+      parsedEntries.push(network);
+    }
 
     current = null;
   }
@@ -355,8 +439,14 @@ export function parseIwScanOutput(rawOutput) {
         rssi: null,
         channel: '',
         frequency: null,
-        security: '',
+        securityDetail: null,
         privacyEnabled: false,
+        section: null,
+        phy: createIwPhyState(),
+        bssLoad: null,
+        roaming: createIwRoamingState(),
+        wps: null,
+        ageMs: null,
       };
       continue;
     }
@@ -365,12 +455,50 @@ export function parseIwScanOutput(rawOutput) {
       continue;
     }
 
+    // Element headers sit one tab deep; their fields are nested below as "* key: value".
+    const indent = rawLine.match(/^\t*/u)[0].length;
+    if (indent <= 1) {
+      current.section = detectIwSection(trimmed);
+    }
+    const item = trimmed.replace(/^\*\s*/u, '');
+
+    if (current.section === 'rsn' || current.section === 'wpa') {
+      current.securityDetail = current.securityDetail || createSecurityDetail();
+      addProtocol(current.securityDetail, current.section === 'rsn' ? 'RSN' : 'WPA');
+      if (parseIwSecurityLine(current.securityDetail, item)) {
+        continue;
+      }
+    } else if (current.section === 'bss_load') {
+      current.bssLoad = current.bssLoad || createBssLoad();
+      if (parseIwBssLoadLine(current.bssLoad, item)) {
+        continue;
+      }
+    } else if (current.section === 'wps') {
+      current.wps = current.wps || createWpsState();
+      if (parseIwWpsLine(current.wps, item)) {
+        continue;
+      }
+    } else if (IW_ROAMING_SECTIONS.has(current.section)) {
+      if (parseIwRoamingLine(current.roaming, current.section, item)) {
+        continue;
+      }
+    } else if (current.section && parseIwPhyLine(current.phy, current.section, item)) {
+      continue;
+    }
+
     const signalMatch = trimmed.match(/^signal:\s*(-?\d+(?:\.\d+)?)\s*dBm/iu);
     if (signalMatch) {
       current.rssi = Math.round(Number.parseFloat(signalMatch[1]));
       continue;
     }
 
+    // The kernel scan cache keeps BSS entries around; their age tells a fresh beacon from a repeat.
+    const lastSeenMatch = trimmed.match(/^last seen:\s*(\d+)\s*ms ago/iu);
+    if (lastSeenMatch) {
+      current.ageMs = Number.parseInt(lastSeenMatch[1], 10);
+      continue;
+    }
+
     const frequencyMatch = trimmed.match(/^freq:\s*(\d+)/iu);
     if (frequencyMatch) {
       current.frequency = Number.parseInt(frequencyMatch[1], 10);
@@ -383,7 +511,7 @@ export function parseIwScanOutput(rawOutput) {
       continue;
     }
 
-    const primaryChannelMatch = trimmed.match(/^primary channel:\s*(\d+)/iu);
+    const primaryChannelMatch = item.match(/^primary channel:\s*(\d+)/iu);
     if (primaryChannelMatch) {
       current.channel = primaryChannelMatch[1].trim();
       continue;
@@ -395,11 +523,6 @@ export function parseIwScanOutput(rawOutput) {
       continue;
     }
 
-    if (/^(RSN|WPA)\s*:/iu.test(trimmed)) {
-      current.security = 'WPA/WPA2';
-      continue;
-    }
-
     if (/^capability:.*privacy/iu.test(trimmed)) {
       current.privacyEnabled = true;
     }
@@ -409,6 +532,453 @@ export function parseIwScanOutput(rawOutput) {
   return dedupeByStrongestRssi(parsedEntries);
 }
 
+// wpa_cli scan_results: "bssid / frequency / signal level / flags / ssid" header, then one
+// tab-separated row per BSS, e.g. "00:11:22:33:44:55\t2437\t-45\t[WPA2-PSK-CCMP][ESS]\tCorp".
+export function parseWpaCliScanResults(rawOutput) {
+  const parsedEntries = [];
+
+  for (const rawLine of String(rawOutput || '').split(/\r?\n/u)) {
+    const fields = rawLine.split('\t');
+    if (fields.length < 4 || !EXACT_BSSID_PATTERN.test(fields[0].trim())) {
+      continue;
+    }
+
+    const [bssidField, frequencyField, signalField, flagsField] = fields;
+    const signal = Number.parseInt(signalField, 10);
+    // Most drivers report dBm; a few report a 0-100 quality instead.
+    const rssi = signal > 0 ? signalPercentToRssi(signal) : signal;
+    if (!Number.isFinite(rssi)) {
+      continue;
+    }
+
+    const flags = [...String(flagsField || '').matchAll(/\[([^\]]+)\]/gu)].map((match) => match[1]);
+    const detail = parseWpaCliSecurityFlags(flags);
+    const network = normalizeNetwork({
+      bssid: bssidField.trim(),
+      ssid: decodeWpaCliSsid(fields.slice(4).join('\t')),
+      rssi,
+      channel: '',
+      frequency: frequencyField,
+      security: formatElementSecurityLabel(detail),
+    });
+    if (!network) {
+      continue;
+    }
+
+    network.securityDetail = detail;
+    network.signalRaw = signal > 0 ? { unit: 'percent', value: signal } : null;
+    network.mode = flags.includes('IBSS') ? 'ad-hoc' : flags.includes('MESH') ? 'mesh' : flags.includes('ESS') ? 'infra' : null;
+    network.wps = flags.includes('WPS') ? createWpsState() : null;
+    parsedEntries.push(network);
+  }
+
+  return dedupeByStrongestRssi(parsedEntries);
+}
+
+// Association parsers return { bssid, ssid, linkRateMbps } for the connected AP, or null.
+export function parseNmcliActiveOutput(rawOutput) {
+  for (const rawLine of String(rawOutput || '').split(/\r?\n/u)) {
+    const fields = splitEscapedFields(rawLine.trim(), ':');
+    if (fields.length < 2 || fields[0].trim().toLowerCase() !== 'yes') {
+      continue;
+    }
+
+    const [, bssidField, ssidField = '', rateField = ''] = fields;
+    return buildAssociation(bssidField, ssidField, Number.parseFloat(rateField));
+  }
+  return null;
+}
+
+export function parseIwLinkOutput(rawOutput) {
+  const text = String(rawOutput || '');
+  const connectedMatch = text.match(/^\s*Connected to\s+((?:[0-9a-fA-F]{2}:){5}[0-9a-fA-F]{2})/mu);
+  if (!connectedMatch) {
+    return null;
+  }
+
+  const ssidMatch = text.match(/^\s*SSID:\s*(.*)$/mu);
+  const txMatch = text.match(/^\s*tx bitrate:\s*(\d+(?:\.\d+)?)/mu);
+  const rxMatch = text.match(/^\s*rx bitrate:\s*(\d+(?:\.\d+)?)/mu);
+  return buildAssociation(
+    connectedMatch[1],
+    ssidMatch?.[1] ?? '',
+    Number.parseFloat(txMatch?.[1] ?? rxMatch?.[1] ?? ''),
+  );
+}
+
+export function parseNetshInterfacesOutput(rawOutput) {
+  let state = '';
+  let ssid = '';
+  let bssid = '';
+  let rate = Number.NaN;
+
+  for (const rawLine of String(rawOutput || '').split(/\r?\n/u)) {
+    const match = rawLine.match(/^\s*([^:]+?)\s*:\s*(.*)$/u);
+    if (!match) {
+      continue;
+    }
+
+    const key = match[1].toLowerCase();
+    const value = match[2].trim();
+    if (key === 'name' && state === 'connected' && bssid) {
+      break;
+    }
+    if (key === 'name') {
+      state = '';
+      ssid = '';
+      bssid = '';
+      rate = Number.NaN;
+    } else if (key === 'state') {
+      state = value.toLowerCase();
+    } else if (key === 'ssid') {
+      ssid = value;
+    } else if (key === 'bssid' || key === 'ap bssid') {
+      bssid = value;
+    } else if (/^transmit rate/u.test(key) || (/^receive rate/u.test(key) && !Number.isFinite(rate))) {
+      rate = Number.parseFloat(value);
+    }
+  }
+
+  return state === 'connected' ? buildAssociation(bssid, ssid, rate) : null;
+}
+
+export function parseAirportInfoOutput(rawOutput) {
+  const fields = new Map();
+  for (const rawLine of String(rawOutput || '').split(/\r?\n/u)) {
+    const match = rawLine.match(/^\s*([^:]+?):\s*(.*)$/u);
+    if (match) {
+      fields.set(match[1].trim().toLowerCase(), match[2].trim());
+    }
+  }
+
+  if (!fields.has('bssid') && !fields.get('ssid')) {
+    return null;
+  }
+
+  const association = buildAssociation(
+    fields.get('bssid') ?? '',
+    fields.get('ssid') ?? '',
+    Number.parseFloat(fields.get('lasttxrate') ?? ''),
+  );
+  if (association) {
+    association.channel = String(fields.get('channel') ?? '').split(',')[0].trim();
+  }
+  return association;
+}
+
+// wpa_cli status: key=value lines; bssid and ssid are only present while associated.
+export function parseWpaCliStatusOutput(rawOutput) {
+  const values = {};
+  for (const rawLine of String(rawOutput || '').split(/\r?\n/u)) {
+    const separator = rawLine.indexOf('=');
+    if (separator > 0) {
+      values[rawLine.slice(0, separator).trim()] = rawLine.slice(separator + 1);
+    }
+  }
+
+  if (values.wpa_state !== 'COMPLETED' || !values.bssid) {
+    return null;
+  }
+  return buildAssociation(values.bssid, decodeWpaCliSsid(values.ssid), Number.NaN);
+}
+
+function buildAssociation(bssidText, ssidText, linkRateMbps) {
+  // macOS and Windows report BSSIDs with unpadded octets ("a:b:c:..."), so pad before matching.
+  const octets = String(bssidText || '').trim().split(':');
+  const bssid = octets.length === 6 ? octets.map((octet) => octet.padStart(2, '0')).join(':').toLowerCase() : '';
+  const ssid = String(ssidText || '').trim();
+
+  if (!EXACT_BSSID_PATTERN.test(bssid) && !ssid) {
+    return null;
+  }
+
+  return {
+    bssid: EXACT_BSSID_PATTERN.test(bssid) ? bssid : null,
+    ssid: ssid || null,
+    linkRateMbps: Number.isFinite(linkRateMbps) && linkRateMbps > 0 ? linkRateMbps : null,
+  };
+}
+
+function detectIwSection(headerLine) {
+  if (/^BSS Load\s*:/iu.test(headerLine)) {
+    return 'bss_load';
+  }
+  if (/^(MD|Mobility Domain)\s*:/iu.test(headerLine)) {
+    return 'md';
+  }
+  if (/^RM enabled capabilities\s*:/iu.test(headerLine)) {
+    return 'rm';
+  }
+  if (/^Extended capabilities\s*:/iu.test(headerLine)) {
+    return 'ext_cap';
+  }
+  if (/^WPS\s*:/iu.test(headerLine)) {
+    return 'wps';
+  }
+  const securityMatch = headerLine.match(/^(RSN|WPA)\s*:/iu);
+  if (securityMatch) {
+    return securityMatch[1].toLowerCase();
+  }
+  const match = headerLine.match(/^(EHT|HE|VHT|HT)\s+(capabilities|operation)\b/iu);
+  return match ? match[1].toLowerCase() : null;
+}
+
+function createIwPhyState() {
+  return {
+    ht: false,
+    vht: false,
+    he: false,
+    eht: false,
+    secondaryChannelOffset: null,
+    vhtWidthCode: null,
+    vhtSegment1: 0,
+    vhtSegment2: 0,
+    heWidthMhz: null,
+  };
+}
+
+function parseIwPhyLine(phy, section, item) {
+  phy[section] = true;
+
+  if (section === 'ht') {
+    const offsetMatch = item.match(/^secondary channel offset:\s*(above|below|no secondary)/iu);
+    if (offsetMatch) {
+      const offset = offsetMatch[1].toLowerCase();
+      phy.secondaryChannelOffset = offset === 'no secondary' ? null : offset;
+      return true;
+    }
+    return false;
+  }
+
+  if (section === 'vht') {
+    const widthMatch = item.match(/^channel width:\s*(\d+)/iu);
+    if (widthMatch) {
+      phy.vhtWidthCode = Number.parseInt(widthMatch[1], 10);
+      return true;
+    }
+
+    const segmentMatch = item.match(/^center freq segment ([12]):\s*(\d+)/iu);
+    if (segmentMatch) {
+      const key = segmentMatch[1] === '1' ? 'vhtSegment1' : 'vhtSegment2';
+      phy[key] = Number.parseInt(segmentMatch[2], 10);
+      return true;
+    }
+    return false;
+  }
+
+  // HE (6GHz operation info) and EHT operation report "Channel Width: <code> (<n> MHz)".
+  const widthMatch = item.match(/^channel width:\s*(\d+)(?:\s*\((\d+)\s*MHz\))?/iu);
+  if (widthMatch) {
+    const code = Number.parseInt(widthMatch[1], 10);
+    const mhz = widthMatch[2]
+      ? Number.parseInt(widthMatch[2], 10)
+      : [20, 40, 80, 160, 320][code] ?? null;
+    phy.heWidthMhz = Math.max(phy.heWidthMhz ?? 0, mhz ?? 0) || null;
+    return true;
+  }
+
+  return false;
+}
+
+function parseIwSecurityLine(detail, item) {
+  // The first field shares the element header line ("RSN:\t * Version: 1").
+  const field = item.replace(/^(?:RSN|WPA)\s*:\s*\*?\s*/iu, '');
+
+  const groupMatch = field.match(/^group cipher:\s*(.+)$/iu);
+  if (groupMatch) {
+    addCiphers(detail, groupMatch[1], { group: true });
+    return true;
+  }
+
+  const pairwiseMatch = field.match(/^pairwise ciphers?:\s*(.+)$/iu);
+  if (pairwiseMatch) {
+    addCiphers(detail, pairwiseMatch[1]);
+    return true;
+  }
+
+  const suitesMatch = field.match(/^authentication suites?:\s*(.+)$/iu);
+  if (suitesMatch) {
+    addAkmSuites(detail, suitesMatch[1]);
+    return true;
+  }
+
+  const capabilitiesMatch = field.match(/^capabilities:\s*(.*)$/iu);
+  if (capabilitiesMatch) {
+    setMfpFromCapabilities(detail, capabilitiesMatch[1]);
+    return true;
+  }
+
+  return /^version:/iu.test(field);
+}
+
+function createIwRoamingState() {
+  return {
+    mobilityDomainElement: false,
+    mobilityDomain: null,
+    ftOverDs: false,
+    neighborReport: false,
+    bssTransition: false,
+  };
+}
+
+function parseIwRoamingLine(roaming, section, item) {
+  if (section === 'md') {
+    // The first field may share the element header line ("MD: * MDID: 0x1234").
+    const field = item.replace(/^(?:MD|Mobility Domain)\s*:\s*\*?\s*/iu, '');
+    const idMatch = field.match(/(?:MDID|Mobility Domain(?: ID)?)\s*:?\s*(0x[0-9a-f]+)/iu);
+    roaming.mobilityDomainElement = true;
+    if (idMatch) {
+      roaming.mobilityDomain = idMatch[1].toLowerCase();
+    }
+    const overDsMatch = field.match(/FT over DS(?:\s*:\s*(\d))?/iu);
+    if (overDsMatch) {
+      roaming.ftOverDs = overDsMatch[1] == null || overDsMatch[1] === '1';
+    }
+    return true;
+  }
+
+  if (section === 'rm') {
+    if (/neighbor report/iu.test(item)) {
+      roaming.neighborReport = true;
+    }
+    return true;
+  }
+
+  if (/^BSS Transition\b/iu.test(item)) {
+    roaming.bssTransition = true;
+  }
+  return true;
+}
+
+function resolveIwRoaming(roaming, securityDetail) {
+  const hasFtAkm = securityDetail.akmSuites.some((akm) => akm.startsWith('FT-'));
+  return {
+    fastTransition: hasFtAkm || roaming.mobilityDomainElement,
+    ftOverDs: roaming.ftOverDs,
+    mobilityDomain: roaming.mobilityDomain,
+    neighborReport: roaming.neighborReport,
+    bssTransition: roaming.bssTransition,
+  };
+}
+
+function createWpsState() {
+  return {
+    state: null,
+    locked: false,
+  };
+}
+
+function parseIwWpsLine(wps, item) {
+  // "WPS:\t * Version: 1.0" carries the first field on the header line.
+  const field = item.replace(/^WPS\s*:\s*\*?\s*/iu, '');
+
+  const stateMatch = field.match(/^Wi-Fi Protected Setup State:\s*(\d+)/iu);
+  if (stateMatch) {
+    wps.state = stateMatch[1] === '2' ? 'configured' : stateMatch[1] === '1' ? 'unconfigured' : null;
+    return true;
+  }
+
+  const lockedMatch = field.match(/^AP setup locked:\s*(0x[0-9a-f]+|\d+)/iu);
+  if (lockedMatch) {
+    wps.locked = Number(lockedMatch[1]) !== 0;
+    return true;
+  }
+
+  return true;
+}
+
+function createBssLoad() {
+  return {
+    stationCount: null,
+    channelUtilization: null,
+    admissionCapacity: null,
+  };
+}
+
+function parseIwBssLoadLine(bssLoad, item) {
+  const stationMatch = item.match(/^station count:\s*(\d+)/iu);
+  if (stationMatch) {
+    bssLoad.stationCount = Number.parseInt(stationMatch[1], 10);
+    return true;
+  }
+
+  // Utilisation is reported as busy time out of 255.
+  const utilizationMatch = item.match(/^channel utili[sz]ation:\s*(\d+)(?:\s*\/\s*(\d+))?/iu);
+  if (utilizationMatch) {
+    const busy = Number.parseInt(utilizationMatch[1], 10);
+    const scale = Number.parseInt(utilizationMatch[2] || '255', 10) || 255;
+    bssLoad.channelUtilization = Math.round(Math.min(1, busy / scale) * 1000) / 1000;
+    return true;
+  }
+
+  const capacityMatch = item.match(/^available admission capacity:\s*(\d+)/iu);
+  if (capacityMatch) {
+    bssLoad.admissionCapacity = Number.parseInt(capacityMatch[1], 10);
+    return true;
+  }
+
+  return false;
+}
+
+function resolveIwPhy(phy, band) {
+  let channelWidth = 20;
+
+  if (phy.secondaryChannelOffset) {
+    channelWidth = 40;
+  }
+
+  if (phy.vhtWidthCode === 1) {
+    // VHT signals 160MHz (and 80+80) as width 1 with a second center segment.
+    channelWidth = phy.vhtSegment2 > 0 ? 160 : 80;
+  } else if (phy.vhtWidthCode === 2 || phy.vhtWidthCode === 3) {
+    channelWidth = 160;
+  }
+
+  if (phy.heWidthMhz && phy.heWidthMhz > channelWidth) {
+    channelWidth = phy.heWidthMhz;
+  }
+
+  return {
+    channelWidth,
+    secondaryChannelOffset: phy.secondaryChannelOffset,
+    phy: phy.eht ? 'be' : phy.he ? 'ax' : phy.vht ? 'ac' : phy.ht ? 'n' : legacyPhyForBand(band),
+  };
+}
+
+// nmcli only reports the max PHY rate, so this is a lower bound on the generation: rates above
+// what the previous generation can reach in that band.
+function inferPhyFromRate(maxRateMbps, band) {
+  if (band === '6ghz') {
+    return maxRateMbps > 4804 ? 'be' : 'ax';
+  }
+  if (!Number.isFinite(maxRateMbps) || maxRateMbps <= 0) {
+    return null;
+  }
+  if (maxRateMbps <= 54) {
+    return legacyPhyForBand(band);
+  }
+  if (band === '2.4ghz') {
+    return maxRateMbps > 600 ? 'ax' : 'n';
+  }
+  if (maxRateMbps > 6934) {
+    return 'be';
+  }
+  if (maxRateMbps > 600) {
+    return 'ac';
+  }
+  return 'n';
+}
+
+function legacyPhyForBand(band) {
+  if (band === '2.4ghz') {
+    return 'g';
+  }
+  if (band === '5ghz') {
+    return 'a';
+  }
+  return null;
+}
+
 function parseLine(line, columnStarts) {
   const fromRegex = parseWithRegex(line);
   if (fromRegex) {
@@ -489,22 +1059,33 @@ function parseWithRegex(line) {
   });
 }
 
-function normalizeNetwork({ bssid, ssid, rssi, channel, security }) {
+function normalizeNetwork({ bssid, ssid, rssi, channel, frequency, security }) {
   const normalizedBssid = String(bssid).toLowerCase();
   if (!BSSID_PATTERN.test(normalizedBssid)) {
     return null;
   }
 
   const normalizedSsid = String(ssid || '').trim() || '<hidden>';
-  const normalizedChannel = String(channel || '').trim();
+  const normalizedFrequency = parseFrequency(frequency);
+  const normalizedChannel = String(channel || '').trim() || frequencyToChannel(normalizedFrequency);
 
   return {
     bssid: normalizedBssid,
     ssid: normalizedSsid,
     rssi,
     channel: normalizedChannel,
-    band: inferBand(normalizedChannel),
+    frequency: normalizedFrequency,
+    // Frequency is unambiguous; 6GHz channel numbers overlap the 2.4GHz and 5GHz plans.
+    band: frequencyToBand(normalizedFrequency) ?? inferBand(normalizedChannel),
+    channelWidth: null,
+    secondaryChannelOffset: null,
+    phy: null,
+    bssLoad: null,
+    roaming: null,
+    wps: null,
+    ageMs: null,
     security: security || 'UNKNOWN',
+    securityDetail: parseSecurityText(security),
   };
 }
 
@@ -527,15 +1108,44 @@ function parseSystemProfilerNetwork(network, seenByKey) {
     ssid,
     rssi: parseSignalNoise(network.spairport_signal_noise),
     channel,
+    frequency: null,
     band: inferBand(channelText || channel),
     security,
+    securityDetail: parseSecurityText(security),
     scanSource: 'system_profiler',
     rssiEstimated: !network.spairport_signal_noise,
   };
 }
 
+export function frequencyToBand(frequency) {
+  const freq = Number(frequency);
+  if (!Number.isFinite(freq) || freq <= 0) {
+    return null;
+  }
+
+  if (freq >= 2400 && freq < 2500) {
+    return '2.4ghz';
+  }
+  if (freq >= 4900 && freq < 5925) {
+    return '5ghz';
+  }
+  if (freq >= 5925 && freq <= 7125) {
+    return '6ghz';
+  }
+
+  return null;
+}
+
 function inferBand(channelText) {
-  const match = String(channelText || '').match(/\d+/u);
+  const text = String(channelText || '').toLowerCase();
+
+  // system_profiler style channel text carries the band, e.g. "37 (6GHz, 160MHz)".
+  const bandHint = text.match(/(2\.4|2|5|6)\s*ghz/u);
+  if (bandHint) {
+    return bandHint[1] === '6' ? '6ghz' : bandHint[1] === '5' ? '5ghz' : '2.4ghz';
+  }
+
+  const match = text.match(/\d+/u);
   if (!match) {
     return 'unknown';
   }
@@ -607,6 +1217,97 @@ function signalPercentToRssi(signalPercent) {
   return Math.round(clamped / 2 - 100);
 }
 
+function isNmcliFlagField(value) {
+  const text = String(value ?? '').trim();
+  if (text === '(none)') {
+    return true;
+  }
+  const tokens = text.split(/\s+/u).filter(Boolean);
+  return tokens.length > 0 && tokens.every((token) => NMCLI_FLAG_TOKEN.test(token));
+}
+
+function parseNmcliSecurityFlags(wpaFlags, rsnFlags) {
+  const detail = createSecurityDetail();
+
+  for (const [protocol, flagsText] of [['WPA', wpaFlags], ['RSN', rsnFlags]]) {
+    const tokens = String(flagsText || '').trim().split(/\s+/u).filter((token) => NMCLI_FLAG_TOKEN.test(token));
+    if (!tokens.length) {
+      continue;
+    }
+
+    addProtocol(detail, protocol);
+    for (const token of tokens) {
+      const pairMatch = token.match(/^pair_(.+)$/iu);
+      const groupMatch = token.match(/^group_(.+)$/iu);
+      if (pairMatch) {
+        addCiphers(detail, pairMatch[1]);
+      } else if (groupMatch) {
+        addCiphers(detail, groupMatch[1], { group: true });
+      } else {
+        addAkmSuites(detail, token);
+      }
+    }
+    if (tokens.some((token) => token.toLowerCase() === 'owe_tm')) {
+      detail.transitionMode = true;
+    }
+  }
+
+  return finalizeSecurityDetail(detail);
+}
+
+// Each flag is "<proto>-<akm>[+<akm>...]-<cipher>[+<cipher>...][-preauth]"; AKM and cipher names
+// contain dashes themselves, so the cipher list is matched from the end.
+function parseWpaCliSecurityFlags(flags) {
+  const detail = createSecurityDetail();
+
+  for (const flag of flags) {
+    if (flag === 'WEP') {
+      addProtocol(detail, 'WEP');
+      addCiphers(detail, 'WEP');
+      continue;
+    }
+
+    const match = flag
+      .replace(/-preauth$/u, '')
+      .match(/^(WPA2?|RSN)-(.+?)(?:-((?:CCMP-256|GCMP-256|CCMP|GCMP|TKIP)(?:\+(?:CCMP-256|GCMP-256|CCMP|GCMP|TKIP))*))?$/u);
+    if (!match) {
+      continue;
+    }
+
+    const [, protocol, akms, ciphers = ''] = match;
+    addProtocol(detail, protocol === 'WPA' ? 'WPA' : 'RSN');
+    for (const akm of akms.split('+')) {
+      addAkmSuites(detail, akm.replace(/EAP/u, '802.1X'));
+    }
+    addCiphers(detail, ciphers.replaceAll('+', ' '));
+  }
+
+  return finalizeSecurityDetail(detail);
+}
+
+// wpa_cli prints SSIDs with printf-style escapes: non-ASCII bytes as \xNN, plus \\, \" and \n.
+function decodeWpaCliSsid(text) {
+  const bytes = [];
+  const value = String(text || '');
+  for (let i = 0; i < value.length; i += 1) {
+    if (value[i] !== '\\' || i + 1 >= value.length) {
+      bytes.push(...Buffer.from(value[i], 'utf8'));
+      continue;
+    }
+
+    const next = value[i + 1];
+    if (next === 'x' && /^[0-9a-f]{2}$/iu.test(value.slice(i + 2, i + 4))) {
+      bytes.push(Number.parseInt(value.slice(i + 2, i + 4), 16));
+      i += 3;
+    } else {
+      bytes.push(...Buffer.from({ n: '\n', r: '\r', t: '\t', e: '\u001b' }[next] ?? next, 'utf8'));
+      i += 1;
+    }
+  }
+
+  return Buffer.from(bytes).toString('utf8').replace(/[\u0000-\u001f\u007f]/gu, '');
+}
+
 function splitEscapedFields(text, delimiter = ':') {
   const values = [];
   let current = '';
@@ -642,7 +1343,12 @@ function splitEscapedFields(text, delimiter = ':') {
   return values;
 }
 
-function frequencyToChannel(frequency) {
+function parseFrequency(value) {
+  const parsed = Number.parseFloat(String(value ?? '').trim());
+  return Number.isFinite(parsed) && parsed > 0 ? Math.round(parsed) : null;
+}
+
+export function frequencyToChannel(frequency) {
   const freq = Number(frequency);
   if (!Number.isFinite(freq) || freq <= 0) {
     return '';
@@ -657,6 +1363,9 @@ function frequencyToChannel(frequency) {
   if (freq >= 5000 && freq <= 5895) {
     return String(Math.round((freq - 5000) / 5));
   }
+  if (freq === 5935) {
+    return '2';
+  }
   if (freq >= 5955 && freq <= 7115) {
     return String(Math.round((freq - 5950) / 5));
   }
@@ -664,6 +1373,35 @@ function frequencyToChannel(frequency) {
   return '';
 }
 
+export function channelToFrequency(channel, band) {
+  const number = Number(channel);
+  if (!Number.isInteger(number) || number <= 0) {
+    return null;
+  }
+
+  if (band === '2.4ghz') {
+    if (number === 14) {
+      return 2484;
+    }
+    return number <= 13 ? 2407 + number * 5 : null;
+  }
+  if (band === '5ghz') {
+    return number >= 32 && number <= 177 ? 5000 + number * 5 : null;
+  }
+  if (band === '6ghz') {
+    if (number === 2) {
+      return 5935;
+    }
+    return number <= 233 && number % 4 === 1 ? 5950 + number * 5 : null;
+  }
+  return null;
+}
+
+function parseRadioType(radioTypeText) {
+  const match = String(radioTypeText || '').toLowerCase().match(/802\.11\s*(be|ax|ac|n|a|g|b)\b/u);
+  return match ? match[1] : null;
+}
+
 function formatNetshSecurity(authentication, encryption) {
   const auth = String(authentication || '').trim();
   const enc = String(encryption || '').trim();
@@ -686,6 +1424,7 @@ function buildNormalizedNetwork({
   ssid,
   rssi,
   channel,
+  frequency,
   bandText,
   security,
 }) {
@@ -699,6 +1438,7 @@ function buildNormalizedNetwork({
     ssid,
     rssi,
     channel,
+    frequency,
     security,
   });
 
@@ -706,7 +1446,7 @@ function buildNormalizedNetwork({
     return null;
   }
 
-  if (bandText) {
+  if (bandText && !normalized.frequency) {
     normalized.band = inferBandFromTextOrChannel(bandText, normalized.channel);
   }
   normalized.bssidSynthetic = !EXACT_BSSID_PATTERN.test(bssidRaw);
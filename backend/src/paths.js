@@ -0,0 +1,11 @@
+import { dirname, isAbsolute, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+export const PROJECT_ROOT = resolve(dirname(fileURLToPath(import.meta.url)), '..', '..');
+
+// Paths from environment variables and the HTTP API resolve against the project root, so the server,
+// which runs with the project root as its working directory, and the CLI read the same files.
+export function resolveInputPath(pathInput) {
+  const trimmed = String(pathInput).trim();
+  return isAbsolute(trimmed) ? trimmed : resolve(PROJECT_ROOT, trimmed);
+}
@@ -0,0 +1,461 @@
+import { readFile } from 'node:fs/promises';
+
+import { channelToFrequency, frequencyToBand, frequencyToChannel } from './parser.js';
+import {
+  addAkmSuites,
+  addCiphers,
+  addProtocol,
+  createSecurityDetail,
+  finalizeSecurityDetail,
+  formatElementSecurityLabel,
+  setMfpFromCapabilities,
+} from './security.js';
+
+export const DEFAULT_CAPTURE_BUCKET_MS = 1000;
+export const CAPTURE_FILE_PATTERN = /\.(?:pcap|pcapng|cap)$/iu;
+
+const HIDDEN_SSID = '<hidden>';
+const LINKTYPE_IEEE802_11_RADIOTAP = 127;
+const PCAP_MAGIC_MICROS = 0xa1b2c3d4;
+const PCAP_MAGIC_NANOS = 0xa1b23c4d;
+const PCAPNG_SECTION_HEADER = 0x0a0d0d0a;
+const PCAPNG_BYTE_ORDER_MAGIC = 0x1a2b3c4d;
+const PCAPNG_INTERFACE_DESCRIPTION = 1;
+const PCAPNG_OBSOLETE_PACKET = 2;
+const PCAPNG_ENHANCED_PACKET = 6;
+const PCAPNG_OPTION_TSRESOL = 9;
+
+// Radiotap fields up to dBm antenna signal as [size, alignment]; later fields are never needed.
+const RADIOTAP_FIELDS = [
+  [8, 8], // TSFT
+  [1, 1], // flags
+  [1, 1], // rate
+  [4, 2], // channel: frequency + flags
+  [2, 1], // FHSS
+  [1, 1], // dBm antenna signal
+];
+const RADIOTAP_FLAG_FCS = 0x10;
+const RADIOTAP_FLAG_BAD_FCS = 0x40;
+
+const SUBTYPE_PROBE_RESPONSE = 5;
+const SUBTYPE_BEACON = 8;
+const CAPABILITY_PRIVACY = 0x0010;
+
+const CIPHER_SUITES = {
+  1: 'WEP-40',
+  2: 'TKIP',
+  4: 'CCMP',
+  5: 'WEP-104',
+  8: 'GCMP',
+  9: 'GCMP-256',
+  10: 'CCMP-256',
+};
+const AKM_SUITES = {
+  1: '802.1X',
+  2: 'PSK',
+  3: 'FT-802.1X',
+  4: 'FT-PSK',
+  5: '802.1X-SHA256',
+  6: 'PSK-SHA256',
+  8: 'SAE',
+  9: 'FT-SAE',
+  12: '802.1X-SUITE-B-192',
+  18: 'OWE',
+};
+
+export async function loadCaptureScans(path, { bucketMs = DEFAULT_CAPTURE_BUCKET_MS } = {}) {
+  const buffer = await readFile(path);
+  const { samples, stats } = parseCaptureBuffer(buffer);
+  return {
+    scans: bucketCaptureSamples(samples, bucketMs),
+    stats,
+  };
+}
+
+export function parseCaptureBuffer(buffer) {
+  const stats = {
+    format: null,
+    packets: 0,
+    beacons: 0,
+    probeResponses: 0,
+    skippedLinkType: 0,
+    skippedBadFcs: 0,
+    skippedNoSignal: 0,
+  };
+  const samples = [];
+
+  for (const packet of readCapturePackets(buffer, stats)) {
+    stats.packets += 1;
+    if (packet.linkType !== LINKTYPE_IEEE802_11_RADIOTAP) {
+      stats.skippedLinkType += 1;
+      continue;
+    }
+
+    const radiotap = decodeRadiotapHeader(packet.data);
+    if (!radiotap) {
+      continue;
+    }
+    if (radiotap.badFcs) {
+      stats.skippedBadFcs += 1;
+      continue;
+    }
+
+    const frameEnd = packet.data.length - (radiotap.fcsPresent ? 4 : 0);
+    const frame = packet.data.subarray(radiotap.length, frameEnd);
+    const beacon = decodeBeaconFrame(frame);
+    if (!beacon) {
+      continue;
+    }
+    if (beacon.subtype === SUBTYPE_BEACON) {
+      stats.beacons += 1;
+    } else {
+      stats.probeResponses += 1;
+    }
+    if (!Number.isFinite(radiotap.signalDbm)) {
+      stats.skippedNoSignal += 1;
+      continue;
+    }
+
+    samples.push({
+      t: packet.timestampMs,
+      network: buildCaptureNetwork(beacon, radiotap),
+    });
+  }
+
+  samples.sort((a, b) => a.t - b.t);
+  return { samples, stats };
+}
+
+// Beacons arrive every ~100ms per AP; collapsing them into fixed windows gives scan-shaped samples
+// that line up across APs the way the correlation expects.
+export function bucketCaptureSamples(samples, bucketMs = DEFAULT_CAPTURE_BUCKET_MS) {
+  const scans = [];
+  let bucketStart = null;
+  let byBssid = new Map();
+
+  const flush = () => {
+    if (!byBssid.size) {
+      return;
+    }
+    const networks = Array.from(byBssid.values()).map(({ network, total, count }) => ({
+      ...network,
+      rssi: Math.round(total / count),
+    }));
+    scans.push({ t: bucketStart + bucketMs, networks });
+    byBssid = new Map();
+  };
+
+  for (const sample of samples) {
+    if (bucketStart === null || sample.t >= bucketStart + bucketMs) {
+      flush();
+      bucketStart = bucketStart === null
+        ? sample.t
+        : bucketStart + Math.floor((sample.t - bucketStart) / bucketMs) * bucketMs;
+    }
+
+    const entry = byBssid.get(sample.network.bssid);
+    if (entry) {
+      entry.network = sample.network;
+      entry.total += sample.network.rssi;
+      entry.count += 1;
+    } else {
+      byBssid.set(sample.network.bssid, { network: sample.network, total: sample.network.rssi, count: 1 });
+    }
+  }
+
+  flush();
+  return scans;
+}
+
+function* readCapturePackets(buffer, stats) {
+  if (buffer.length < 24) {
+    throw new Error('capture file is invalid: too short for a pcap header');
+  }
+
+  const magicLe = buffer.readUInt32LE(0);
+  if (magicLe === PCAPNG_SECTION_HEADER) {
+    stats.format = 'pcapng';
+    yield* readPcapngPackets(buffer);
+    return;
+  }
+
+  const magicBe = buffer.readUInt32BE(0);
+  if ([PCAP_MAGIC_MICROS, PCAP_MAGIC_NANOS].includes(magicLe)) {
+    stats.format = 'pcap';
+    yield* readPcapPackets(buffer, true, magicLe === PCAP_MAGIC_NANOS);
+    return;
+  }
+  if ([PCAP_MAGIC_MICROS, PCAP_MAGIC_NANOS].includes(magicBe)) {
+    stats.format = 'pcap';
+    yield* readPcapPackets(buffer, false, magicBe === PCAP_MAGIC_NANOS);
+    return;
+  }
+
+  throw new Error('capture file is invalid: expected pcap or pcapng');
+}
+
+function* readPcapPackets(buffer, littleEndian, nanos) {
+  const u32 = (offset) => (littleEndian ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset));
+  const linkType = u32(20) & 0xffff;
+  let offset = 24;
+
+  while (offset + 16 <= buffer.length) {
+    const seconds = u32(offset);
+    const fraction = u32(offset + 4);
+    const capturedLength = u32(offset + 8);
+    const start = offset + 16;
+    const end = start + capturedLength;
+    if (end > buffer.length) {
+      break;
+    }
+
+    yield {
+      linkType,
+      timestampMs: seconds * 1000 + (nanos ? fraction / 1e6 : fraction / 1e3),
+      data: buffer.subarray(start, end),
+    };
+    offset = end;
+  }
+}
+
+function* readPcapngPackets(buffer) {
+  let littleEndian = true;
+  let interfaces = [];
+  let offset = 0;
+
+  while (offset + 12 <= buffer.length) {
+    const blockType = buffer.readUInt32LE(offset);
+    if (blockType === PCAPNG_SECTION_HEADER) {
+      littleEndian = buffer.readUInt32LE(offset + 8) === PCAPNG_BYTE_ORDER_MAGIC;
+      interfaces = [];
+    }
+
+    const u16 = (at) => (littleEndian ? buffer.readUInt16LE(at) : buffer.readUInt16BE(at));
+    const u32 = (at) => (littleEndian ? buffer.readUInt32LE(at) : buffer.readUInt32BE(at));
+    const type = u32(offset);
+    const blockLength = u32(offset + 4);
+    if (blockLength < 12 || offset + blockLength > buffer.length) {
+      break;
+    }
+    const body = offset + 8;
+    const bodyEnd = offset + blockLength - 4;
+
+    if (type === PCAPNG_INTERFACE_DESCRIPTION) {
+      interfaces.push({
+        linkType: u16(body),
+        unitsPerSecond: readTimestampResolution(buffer, body + 8, bodyEnd, u16),
+      });
+    } else if (type === PCAPNG_ENHANCED_PACKET || type === PCAPNG_OBSOLETE_PACKET) {
+      const enhanced = type === PCAPNG_ENHANCED_PACKET;
+      const iface = interfaces[enhanced ? u32(body) : u16(body)];
+      const capturedLength = u32(body + 12);
+      const start = body + 20;
+      if (iface && start + capturedLength <= bodyEnd) {
+        const ticks = (BigInt(u32(body + 4)) << 32n) | BigInt(u32(body + 8));
+        yield {
+          linkType: iface.linkType,
+          timestampMs: Number((ticks * 1000n) / iface.unitsPerSecond),
+          data: buffer.subarray(start, start + capturedLength),
+        };
+      }
+    }
+
+    offset += blockLength;
+  }
+}
+
+function readTimestampResolution(buffer, offset, end, u16) {
+  let cursor = offset;
+  while (cursor + 4 <= end) {
+    const code = u16(cursor);
+    const length = u16(cursor + 2);
+    if (code === 0) {
+      break;
+    }
+    if (code === PCAPNG_OPTION_TSRESOL && length >= 1) {
+      const value = buffer[cursor + 4];
+      // High bit set means a power of two, otherwise a power of ten.
+      return value & 0x80 ? 2n ** BigInt(value & 0x7f) : 10n ** BigInt(value);
+    }
+    cursor += 4 + Math.ceil(length / 4) * 4;
+  }
+  return 1_000_000n;
+}
+
+function decodeRadiotapHeader(data) {
+  if (data.length < 8 || data[0] !== 0) {
+    return null;
+  }
+
+  const length = data.readUInt16LE(2);
+  if (length < 8 || length > data.length) {
+    return null;
+  }
+
+  const present = data.readUInt32LE(4);
+  let offset = 8;
+  // Extended presence bitmaps follow back to back while bit 31 is set.
+  let word = present;
+  while (word & 0x80000000 && offset + 4 <= length) {
+    word = data.readUInt32LE(offset);
+    offset += 4;
+  }
+
+  const header = { length, flags: 0, frequency: null, signalDbm: null };
+  for (let bit = 0; bit < RADIOTAP_FIELDS.length; bit += 1) {
+    if (!(present & (1 << bit))) {
+      continue;
+    }
+    const [size, alignment] = RADIOTAP_FIELDS[bit];
+    offset = Math.ceil(offset / alignment) * alignment;
+    if (offset + size > length) {
+      return null;
+    }
+
+    if (bit === 1) {
+      header.flags = data[offset];
+    } else if (bit === 3) {
+      header.frequency = data.readUInt16LE(offset) || null;
+    } else if (bit === 5) {
+      header.signalDbm = data.readInt8(offset);
+    }
+    offset += size;
+  }
+
+  return {
+    ...header,
+    fcsPresent: Boolean(header.flags & RADIOTAP_FLAG_FCS),
+    badFcs: Boolean(header.flags & RADIOTAP_FLAG_BAD_FCS),
+  };
+}
+
+function decodeBeaconFrame(frame) {
+  if (frame.length < 36) {
+    return null;
+  }
+
+  const frameControl = frame.readUInt16LE(0);
+  const type = (frameControl >> 2) & 0x3;
+  const subtype = (frameControl >> 4) & 0xf;
+  if (type !== 0 || (subtype !== SUBTYPE_BEACON && subtype !== SUBTYPE_PROBE_RESPONSE)) {
+    return null;
+  }
+
+  const beacon = {
+    subtype,
+    bssid: formatMac(frame.subarray(16, 22)),
+    privacy: Boolean(frame.readUInt16LE(34) & CAPABILITY_PRIVACY),
+    ssid: HIDDEN_SSID,
+    channel: null,
+    rsn: null,
+    wpa: null,
+  };
+
+  let offset = 36;
+  while (offset + 2 <= frame.length) {
+    const id = frame[offset];
+    const length = frame[offset + 1];
+    const element = frame.subarray(offset + 2, offset + 2 + length);
+    if (element.length < length) {
+      break;
+    }
+
+    if (id === 0) {
+      beacon.ssid = decodeSsid(element);
+    } else if (id === 3 && length >= 1) {
+      beacon.channel = element[0];
+    } else if (id === 61 && length >= 1) {
+      beacon.channel ??= element[0];
+    } else if (id === 48) {
+      beacon.rsn = element;
+    } else if (id === 221 && length >= 4 && element[0] === 0x00 && element[1] === 0x50 && element[2] === 0xf2 && element[3] === 1) {
+      beacon.wpa = element.subarray(4);
+    }
+    offset += 2 + length;
+  }
+
+  return beacon;
+}
+
+function buildCaptureNetwork(beacon, radiotap) {
+  const detail = createSecurityDetail();
+  if (beacon.wpa) {
+    addProtocol(detail, 'WPA');
+    readSecurityElement(detail, beacon.wpa);
+  }
+  if (beacon.rsn) {
+    addProtocol(detail, 'RSN');
+    const capabilities = readSecurityElement(detail, beacon.rsn);
+    if (capabilities !== null) {
+      setMfpFromCapabilities(detail, capabilities & 0x40 ? 'MFP-required' : capabilities & 0x80 ? 'MFP-capable' : '');
+    }
+  }
+  if (!beacon.wpa && !beacon.rsn && beacon.privacy) {
+    addProtocol(detail, 'WEP');
+  }
+  finalizeSecurityDetail(detail);
+
+  // The element's channel is where the AP lives; the radio may have caught it from an adjacent one.
+  const radioBand = frequencyToBand(radiotap.frequency);
+  const frequency = channelToFrequency(beacon.channel, radioBand) ?? radiotap.frequency;
+  const channel = beacon.channel ? String(beacon.channel) : frequencyToChannel(radiotap.frequency);
+
+  return {
+    bssid: beacon.bssid,
+    ssid: beacon.ssid,
+    rssi: radiotap.signalDbm,
+    channel,
+    frequency,
+    band: frequencyToBand(frequency),
+    channelWidth: null,
+    secondaryChannelOffset: null,
+    phy: null,
+    bssLoad: null,
+    roaming: null,
+    wps: null,
+    ageMs: null,
+    security: formatElementSecurityLabel(detail),
+    securityDetail: detail,
+  };
+}
+
+// RSN and WPA elements share a layout: version, group suite, pairwise suites, AKM suites, capabilities.
+function readSecurityElement(detail, element) {
+  let offset = 2;
+  if (element.length < offset + 4) {
+    return null;
+  }
+  addCiphers(detail, CIPHER_SUITES[element[offset + 3]] || '', { group: true });
+  offset += 4;
+
+  for (const [names, apply] of [
+    [CIPHER_SUITES, (name) => addCiphers(detail, name)],
+    [AKM_SUITES, (name) => addAkmSuites(detail, name)],
+  ]) {
+    if (element.length < offset + 2) {
+      return null;
+    }
+    const count = element.readUInt16LE(offset);
+    offset += 2;
+    for (let i = 0; i < count && offset + 4 <= element.length; i += 1, offset += 4) {
+      const name = names[element[offset + 3]];
+      if (name) {
+        apply(name);
+      }
+    }
+  }
+
+  return element.length >= offset + 2 ? element.readUInt16LE(offset) : null;
+}
+
+function decodeSsid(bytes) {
+  if (!bytes.length || bytes.every((byte) => byte === 0)) {
+    return HIDDEN_SSID;
+  }
+  const text = bytes.toString('utf8').replace(/[\u0000-\u001f\u007f]/gu, '').trim();
+  return text || HIDDEN_SSID;
+}
+
+function formatMac(bytes) {
+  return Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join(':');
+}
@@ -0,0 +1,157 @@
+import { clamp } from './stats.js';
+
+export const SCAN_MODES = ['fixed', 'adaptive'];
+
+const BUDGET_WINDOW_MS = 60_000;
+const QUIET_DELTA_DB = 0.75;
+const BUSY_DELTA_DB = 4;
+const BUSY_CHURN_RATIO = 0.2;
+const BACKOFF_FACTOR = 1.5;
+const RECOVER_FACTOR = 0.7;
+
+export function createScanSchedule() {
+  return {
+    previousVector: null,
+    effectiveIntervalMs: null,
+    quietStreak: 0,
+    reason: 'initial',
+    lastChange: null,
+    scanTimes: [],
+  };
+}
+
+// Mean absolute RSSI delta over BSSIDs present in both scans, plus the share that appeared or vanished.
+export function compareRssiVectors(previous, next) {
+  let shared = 0;
+  let deltaTotal = 0;
+  let churn = 0;
+
+  for (const [bssid, rssi] of next) {
+    const before = previous.get(bssid);
+    if (before === undefined) {
+      churn += 1;
+      continue;
+    }
+    shared += 1;
+    deltaTotal += Math.abs(rssi - before);
+  }
+  for (const bssid of previous.keys()) {
+    if (!next.has(bssid)) {
+      churn += 1;
+    }
+  }
+
+  const union = shared + churn;
+  return {
+    shared,
+    meanDeltaDb: shared ? deltaTotal / shared : 0,
+    churnRatio: union ? churn / union : 0,
+  };
+}
+
+export function buildRssiVector(results) {
+  const vector = new Map();
+  for (const ap of results) {
+    if (ap?.bssid && Number.isFinite(ap.rssi)) {
+      vector.set(ap.bssid, ap.rssi);
+    }
+  }
+  return vector;
+}
+
+export function updateScanSchedule(schedule, results, now, config) {
+  const bounds = resolveBounds(config);
+  schedule.scanTimes.push(now);
+  pruneScanTimes(schedule, now);
+
+  if (config.scanMode !== 'adaptive') {
+    schedule.effectiveIntervalMs = config.scanIntervalMs;
+    schedule.previousVector = null;
+    schedule.quietStreak = 0;
+    schedule.reason = 'fixed';
+    return schedule;
+  }
+
+  const current = schedule.effectiveIntervalMs ?? clamp(config.scanIntervalMs, bounds.min, bounds.max);
+  const vector = buildRssiVector(results);
+
+  // An empty scan says nothing about motion, so the interval is held rather than stretched.
+  if (!vector.size || !schedule.previousVector?.size) {
+    schedule.previousVector = vector.size ? vector : schedule.previousVector;
+    schedule.effectiveIntervalMs = clamp(current, bounds.min, bounds.max);
+    schedule.reason = vector.size ? 'warming up' : 'empty scan';
+    return schedule;
+  }
+
+  const change = compareRssiVectors(schedule.previousVector, vector);
+  schedule.previousVector = vector;
+  schedule.lastChange = {
+    meanDeltaDb: Math.round(change.meanDeltaDb * 100) / 100,
+    churnRatio: Math.round(change.churnRatio * 100) / 100,
+  };
+
+  let next = current;
+  if (change.meanDeltaDb >= BUSY_DELTA_DB || change.churnRatio >= BUSY_CHURN_RATIO) {
+    schedule.quietStreak = 0;
+    next = bounds.min;
+    schedule.reason = 'large change';
+  } else if (change.meanDeltaDb <= QUIET_DELTA_DB && change.churnRatio === 0) {
+    schedule.quietStreak += 1;
+    // Two identical scans in a row can be coincidence; back off once the OS is clearly caching.
+    if (schedule.quietStreak >= 2) {
+      next = current * BACKOFF_FACTOR;
+      schedule.reason = 'near-identical scans';
+    } else {
+      schedule.reason = 'steady';
+    }
+  } else {
+    schedule.quietStreak = 0;
+    next = Math.max(config.scanIntervalMs, current * RECOVER_FACTOR);
+    schedule.reason = 'moderate change';
+  }
+
+  schedule.effectiveIntervalMs = Math.round(clamp(next, bounds.min, bounds.max));
+  return schedule;
+}
+
+export function resolveNextScanDelay(schedule, now, config) {
+  if (config.scanMode !== 'adaptive') {
+    return config.scanIntervalMs;
+  }
+
+  const bounds = resolveBounds(config);
+  const interval = schedule.effectiveIntervalMs ?? clamp(config.scanIntervalMs, bounds.min, bounds.max);
+  pruneScanTimes(schedule, now);
+  if (schedule.scanTimes.length < config.scanBudgetPerMinute) {
+    return interval;
+  }
+
+  // Budget spent: wait until the oldest scan in the window ages out.
+  const budgetDelay = schedule.scanTimes[0] + BUDGET_WINDOW_MS - now;
+  return Math.max(interval, budgetDelay);
+}
+
+export function describeScanSchedule(schedule, now, config) {
+  pruneScanTimes(schedule, now);
+  return {
+    mode: config.scanMode,
+    effectiveIntervalMs: schedule.effectiveIntervalMs ?? config.scanIntervalMs,
+    minIntervalMs: config.scanMinIntervalMs,
+    maxIntervalMs: config.scanMaxIntervalMs,
+    budgetPerMinute: config.scanBudgetPerMinute,
+    scansLastMinute: schedule.scanTimes.length,
+    reason: schedule.reason,
+    lastChange: schedule.lastChange,
+  };
+}
+
+function resolveBounds(config) {
+  const min = Math.max(1, config.scanMinIntervalMs);
+  return { min, max: Math.max(min, config.scanMaxIntervalMs) };
+}
+
+function pruneScanTimes(schedule, now) {
+  while (schedule.scanTimes.length && now - schedule.scanTimes[0] >= BUDGET_WINDOW_MS) {
+    schedule.scanTimes.shift();
+  }
+}
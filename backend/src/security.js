@@ -0,0 +1,285 @@
+const AKM_ORDER = [
+  'OWE',
+  'PSK',
+  'PSK-SHA256',
+  'FT-PSK',
+  'SAE',
+  'FT-SAE',
+  '802.1X',
+  '802.1X-SHA256',
+  'FT-802.1X',
+  '802.1X-SUITE-B-192',
+];
+const CIPHER_ORDER = ['WEP', 'TKIP', 'CCMP', 'CCMP-256', 'GCMP', 'GCMP-256'];
+const ENTERPRISE_AKMS = new Set(['802.1X', '802.1X-SHA256', 'FT-802.1X', '802.1X-SUITE-B-192']);
+const PERSONAL_AKMS = new Set(['PSK', 'PSK-SHA256', 'FT-PSK']);
+const SAE_AKMS = new Set(['SAE', 'FT-SAE']);
+
+export function createSecurityDetail() {
+  return {
+    protocols: [],
+    akmSuites: [],
+    pairwiseCiphers: [],
+    groupCipher: null,
+    mfp: null,
+    transitionMode: false,
+    usesTkip: false,
+    label: null,
+  };
+}
+
+export function addAkmSuites(detail, suitesText) {
+  // iw prints "IEEE 802.1X" and "FT/IEEE 802.1X"; collapse the vendor prefix before splitting.
+  const tokens = String(suitesText || '')
+    .replace(/IEEE\s+802\.1X/giu, '802.1X')
+    .split(/[\s,]+/u)
+    .filter(Boolean);
+
+  for (const token of tokens) {
+    const akm = normalizeAkm(token);
+    if (akm) {
+      pushUnique(detail.akmSuites, akm);
+    }
+  }
+  return detail;
+}
+
+export function addCiphers(detail, ciphersText, { group = false } = {}) {
+  for (const token of String(ciphersText || '').split(/[\s,/]+/u)) {
+    const cipher = normalizeCipher(token);
+    if (!cipher) {
+      continue;
+    }
+    if (group) {
+      detail.groupCipher ??= cipher;
+    } else {
+      pushUnique(detail.pairwiseCiphers, cipher);
+    }
+  }
+  return detail;
+}
+
+export function addProtocol(detail, protocol) {
+  pushUnique(detail.protocols, protocol);
+  return detail;
+}
+
+export function setMfpFromCapabilities(detail, capabilitiesText) {
+  const text = String(capabilitiesText || '');
+  if (/MFP-required/iu.test(text)) {
+    detail.mfp = 'required';
+  } else if (/MFP-capable/iu.test(text)) {
+    detail.mfp = 'capable';
+  } else if (detail.protocols.includes('RSN')) {
+    detail.mfp = 'disabled';
+  }
+  return detail;
+}
+
+export function finalizeSecurityDetail(detail) {
+  detail.akmSuites.sort((a, b) => AKM_ORDER.indexOf(a) - AKM_ORDER.indexOf(b));
+  detail.pairwiseCiphers.sort((a, b) => CIPHER_ORDER.indexOf(a) - CIPHER_ORDER.indexOf(b));
+
+  const hasSae = detail.akmSuites.some((akm) => SAE_AKMS.has(akm));
+  const hasPsk = detail.akmSuites.some((akm) => PERSONAL_AKMS.has(akm));
+  detail.transitionMode = detail.transitionMode || (hasSae && hasPsk);
+  detail.usesTkip = detail.pairwiseCiphers.includes('TKIP') || detail.groupCipher === 'TKIP';
+
+  // SAE-only and OWE-only networks must negotiate PMF, so the bit is implied when not reported.
+  if (!detail.mfp && !detail.transitionMode && detail.akmSuites.length) {
+    const onlySaeOrOwe = detail.akmSuites.every((akm) => SAE_AKMS.has(akm) || akm === 'OWE');
+    if (onlySaeOrOwe) {
+      detail.mfp = 'required';
+    }
+  }
+  detail.label = formatSecurityLabel(detail);
+  return detail;
+}
+
+// Best-effort structure from the free-form labels printed by nmcli, netsh, airport, CoreWLAN and
+// system_profiler. Anything the label does not state is left empty rather than guessed.
+export function parseSecurityText(securityText, encryptionText = '') {
+  const detail = createSecurityDetail();
+  const text = String(securityText || '').toUpperCase().replace(/_/gu, ' ');
+  const encryption = String(encryptionText || '').toUpperCase();
+
+  if (!text.trim() || /^(NONE|OPEN|UNKNOWN|--)$/u.test(text.trim())) {
+    if (/WEP/u.test(encryption)) {
+      addProtocol(detail, 'WEP');
+      addCiphers(detail, 'WEP');
+    }
+    return finalizeSecurityDetail(detail);
+  }
+
+  // airport -s: "WPA(PSK/TKIP,AES/TKIP) RSN(PSK,SAE/AES/AES)".
+  const airportBlocks = [...text.matchAll(/\b(WPA2?|RSN)\(([^)]*)\)/gu)];
+  if (airportBlocks.length) {
+    for (const [, protocol, body] of airportBlocks) {
+      addProtocol(detail, protocol === 'WPA' ? 'WPA' : 'RSN');
+      const [akms = '', pairwise = '', group = ''] = body.split('/');
+      addAkmSuites(detail, akms);
+      addCiphers(detail, pairwise);
+      addCiphers(detail, group, { group: true });
+    }
+    return finalizeSecurityDetail(detail);
+  }
+
+  if (/\bWEP\b/u.test(text)) {
+    addProtocol(detail, 'WEP');
+    addCiphers(detail, 'WEP');
+  }
+
+  const enterprise = /ENTERPRISE|\bENT\b|802\.1X|\bEAP\b/u.test(text);
+  const hasWpa3 = /WPA3/u.test(text);
+  const hasWpa2 = /WPA2|\bRSN\b/u.test(text);
+  const hasWpa1 = /\bWPA1?\b(?![23])|WPA\/WPA2|WPA-PERSONAL|WPA PERSONAL|\bMIXED\b/u.test(text);
+
+  if (/\bOWE\b/u.test(text)) {
+    addProtocol(detail, 'RSN');
+    addAkmSuites(detail, 'OWE');
+    detail.transitionMode = /TRANSITION|OWE[-\s]?TM/u.test(text);
+  }
+
+  if (hasWpa1) {
+    addProtocol(detail, 'WPA');
+    addAkmSuites(detail, enterprise ? '802.1X' : 'PSK');
+  }
+  if (hasWpa2 || hasWpa3) {
+    addProtocol(detail, 'RSN');
+  }
+  if (hasWpa2) {
+    addAkmSuites(detail, enterprise ? '802.1X' : 'PSK');
+  }
+  if (hasWpa3) {
+    if (enterprise) {
+      addAkmSuites(detail, /192|SUITE.?B/u.test(text) ? '802.1X-SUITE-B-192' : '802.1X-SHA256');
+    } else {
+      addAkmSuites(detail, 'SAE');
+      if (/TRANSITION/u.test(text)) {
+        addAkmSuites(detail, 'PSK');
+      }
+    }
+  }
+  if (/\bSAE\b/u.test(text)) {
+    addProtocol(detail, 'RSN');
+    addAkmSuites(detail, 'SAE');
+  }
+  if (/\bPSK\b/u.test(text) && !enterprise) {
+    addAkmSuites(detail, 'PSK');
+  }
+
+  addCiphers(detail, `${text} ${encryption}`.replace(/WPA\S*|RSN/gu, ' '));
+  return finalizeSecurityDetail(detail);
+}
+
+// The `security` label of sources that parse RSN/WPA elements (iw, wpa_cli, captures, survey logs).
+// It stays as coarse as iw's has always been so one network reads the same from every sensor; the
+// precise label is securityDetail.label.
+export function formatElementSecurityLabel(detail) {
+  if (detail.protocols.includes('RSN') || detail.protocols.includes('WPA')) {
+    return 'WPA/WPA2';
+  }
+  return detail.protocols.includes('WEP') ? 'WEP/UNKNOWN' : 'OPEN';
+}
+
+// Short label derived from the parsed elements; kept as securityDetail.label for every source.
+function formatSecurityLabel(detail) {
+  const akms = detail.akmSuites;
+  if (!akms.length) {
+    if (detail.protocols.includes('WEP')) {
+      return 'WEP/UNKNOWN';
+    }
+    return detail.protocols.length ? 'WPA/WPA2' : 'OPEN';
+  }
+
+  if (akms.every((akm) => akm === 'OWE')) {
+    return 'OWE';
+  }
+  if (akms.includes('802.1X-SUITE-B-192')) {
+    return 'WPA3-ENTERPRISE';
+  }
+  if (akms.some((akm) => ENTERPRISE_AKMS.has(akm))) {
+    return detail.protocols.includes('RSN') ? 'WPA2-ENTERPRISE' : 'WPA-ENTERPRISE';
+  }
+
+  const hasSae = akms.some((akm) => SAE_AKMS.has(akm));
+  const hasPsk = akms.some((akm) => PERSONAL_AKMS.has(akm));
+  if (hasSae && hasPsk) {
+    return 'WPA2/WPA3';
+  }
+  if (hasSae) {
+    return 'WPA3';
+  }
+  if (detail.protocols.includes('WPA') && detail.protocols.includes('RSN')) {
+    return 'WPA/WPA2';
+  }
+  return detail.protocols.includes('RSN') ? 'WPA2' : 'WPA';
+}
+
+function normalizeAkm(token) {
+  const value = token.trim().toUpperCase();
+  switch (value) {
+    case 'PSK':
+      return 'PSK';
+    case 'PSK/SHA-256':
+    case 'PSK-SHA256':
+      return 'PSK-SHA256';
+    case 'FT/PSK':
+    case 'FT-PSK':
+      return 'FT-PSK';
+    case 'SAE':
+      return 'SAE';
+    case 'FT/SAE':
+    case 'FT-SAE':
+      return 'FT-SAE';
+    case '802.1X':
+    case '8021X':
+    case 'EAP':
+      return '802.1X';
+    case '802.1X/SHA-256':
+    case '802.1X-SHA256':
+      return '802.1X-SHA256';
+    case 'FT/802.1X':
+    case 'FT-802.1X':
+      return 'FT-802.1X';
+    case '802.1X/SUITE-B-192':
+    case '802.1X-SUITE-B-192':
+    case 'SUITE-B-192':
+    case 'EAP_SUITE_B_192':
+      return '802.1X-SUITE-B-192';
+    case 'OWE':
+    case 'OWE_TM':
+      return 'OWE';
+    default:
+      return null;
+  }
+}
+
+function normalizeCipher(token) {
+  const value = token.trim().toUpperCase();
+  if (/^(WEP|WEP40|WEP104|WEP-40|WEP-104)$/u.test(value)) {
+    return 'WEP';
+  }
+  if (value === 'TKIP') {
+    return 'TKIP';
+  }
+  if (value === 'CCMP' || value === 'AES' || value === 'CCMP-128') {
+    return 'CCMP';
+  }
+  if (value === 'CCMP-256') {
+    return 'CCMP-256';
+  }
+  if (value === 'GCMP' || value === 'GCMP-128') {
+    return 'GCMP';
+  }
+  if (value === 'GCMP-256') {
+    return 'GCMP-256';
+  }
+  return null;
+}
+
+function pushUnique(values, value) {
+  if (!values.includes(value)) {
+    values.push(value);
+  }
+}
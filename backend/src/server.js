@@ -1,43 +1,60 @@
-import { createWriteStream, existsSync } from 'node:fs';
+import { createWriteStream, existsSync, statSync } from 'node:fs';
 import { mkdir, readFile } from 'node:fs/promises';
 import http from 'node:http';
 import { dirname, isAbsolute, join, resolve } from 'node:path';
-import { fileURLToPath } from 'node:url';
 
 import cors from 'cors';
 import express from 'express';
 import { WebSocket, WebSocketServer } from 'ws';
 
-import { embedPositions } from './mds.js';
+import { describeCalibration, readCalibrationFile } from './calibration.js';
+import { CHANGE_EVENT_KINDS } from './changeEvents.js';
+import { resetFixtureCursor } from './fixtureProvider.js';
+import { MAX_HISTORY_POINTS, createHistoryStore } from './historyStore.js';
+import { buildAnalysisSummary, buildMarkdownReport } from './insights.js';
+import { PROJECT_ROOT, resolveInputPath } from './paths.js';
 import {
-  buildAnalysisSummary,
-  buildMarkdownReport,
-  computeStabilityScore,
-} from './insights.js';
-import { buildSnapshotPacket, positionMapToObject } from './schema.js';
+  SCAN_MODES,
+  createScanSchedule,
+  describeScanSchedule,
+  resolveNextScanDelay,
+  updateScanSchedule,
+} from './scanSchedule.js';
+import { getDefaultSimulator } from './simulator.js';
+import { LOCAL_SENSOR_ID, MERGED_SENSOR_VIEW, createTopologyEngine } from './topologyEngine.js';
 import {
-  buildCorrelationMatrix,
-  buildTopCorrelationEdges,
-  correlationToDistance,
-  mean,
-  variance,
-} from './stats.js';
-import { buildClusters } from './topology.js';
-import { DEFAULT_AIRPORT_PATH, getLastScanSource, scanWifiNetworks } from './wifiScanner.js';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-const projectRoot = resolve(__dirname, '..', '..');
+  DEFAULT_AIRPORT_PATH,
+  getLastScanSource,
+  getScanDiagnostics,
+  listScanProviders,
+  parseScanProviderList,
+  parseScanTarget,
+  scanWifiNetworks,
+} from './wifiScanner.js';
+
 
 const PORT = parsePositiveInt(process.env.PORT, 8787);
 const AIRPORT_PATH = process.env.AIRPORT_PATH || DEFAULT_AIRPORT_PATH;
-const RECORDINGS_DIR = process.env.RECORDINGS_DIR || join(projectRoot, 'recordings');
-const FRONTEND_DIST_DIR = join(projectRoot, 'frontend', 'dist');
+const RECORDINGS_DIR = process.env.RECORDINGS_DIR ? resolveInputPath(process.env.RECORDINGS_DIR) : join(PROJECT_ROOT, 'recordings');
+const FRONTEND_DIST_DIR = join(PROJECT_ROOT, 'frontend', 'dist');
 const FRONTEND_INDEX_FILE = join(FRONTEND_DIST_DIR, 'index.html');
 const HIDDEN_SSID = '<hidden>';
+const SENSOR_ID_PATTERN = /^[A-Za-z0-9._-]{1,64}$/u;
+const BSSID_PATTERN = /^(?:[0-9a-f]{2}:){5}[0-9a-f]{2}$/u;
+const MAX_INGEST_NETWORKS = 1024;
+const INGEST_TOKEN = process.env.INGEST_TOKEN || '';
+const HISTORY_DIR = process.env.HISTORY_DIR ? resolveInputPath(process.env.HISTORY_DIR) : '';
+const HISTORY_RETENTION_HOURS = parsePositiveInt(process.env.HISTORY_RETENTION_HOURS, 168);
+const DEFAULT_HISTORY_POINTS = 500;
+const HISTORY_RESOLUTION_UNITS = { ms: 1, s: 1000, m: 60_000, h: 3_600_000 };
+const EVENT_LOG_SIZE = 500;
 
 const runtimeConfig = {
   scanIntervalMs: parsePositiveInt(process.env.SCAN_INTERVAL_MS, 1000),
+  scanMode: SCAN_MODES.includes(process.env.SCAN_MODE) ? process.env.SCAN_MODE : 'fixed',
+  scanMinIntervalMs: parsePositiveInt(process.env.SCAN_MIN_INTERVAL_MS, 1000),
+  scanMaxIntervalMs: parsePositiveInt(process.env.SCAN_MAX_INTERVAL_MS, 10_000),
+  scanBudgetPerMinute: parsePositiveInt(process.env.SCAN_BUDGET_PER_MINUTE, 30),
   windowSize: parsePositiveInt(process.env.WINDOW_SIZE, 30),
   evictAfterMs: parsePositiveInt(process.env.EVICT_AFTER_MS, 30_000),
   maxAps: parsePositiveInt(process.env.MAX_APS, 40),
@@ -46,6 +63,17 @@ const runtimeConfig = {
   minOverlap: parsePositiveInt(process.env.MIN_OVERLAP, 8),
   edgeThreshold: parseBoundedFloat(process.env.EDGE_THRESHOLD, 0.6, 0.05, 0.98),
   maxEdges: parsePositiveInt(process.env.MAX_EDGES, 120),
+  scanProviders: parseScanProvidersEnv(process.env.SCAN_PROVIDERS),
+  scanFixtureDir: process.env.SCAN_FIXTURE_DIR ? resolveInputPath(process.env.SCAN_FIXTURE_DIR) : '',
+  calibrationFile: process.env.RSSI_CALIBRATION_FILE ? resolveInputPath(process.env.RSSI_CALIBRATION_FILE) : '',
+  scanTarget: parseScanTarget({
+    bands: process.env.SCAN_BANDS,
+    channels: process.env.SCAN_CHANNELS,
+    ssids: process.env.SCAN_SSIDS,
+    passive: process.env.SCAN_PASSIVE === '1',
+  }),
+  sensorView: process.env.SENSOR_VIEW || LOCAL_SENSOR_ID,
+  rssiStepDb: parsePositiveInt(process.env.EVENT_RSSI_STEP_DB, 10),
 };
 
 const appState = {
@@ -67,6 +95,7 @@ const replayState = {
   active: false,
   path: null,
   snapshots: [],
+  events: [],
   index: 0,
   total: 0,
   speed: 1,
@@ -75,8 +104,27 @@ const replayState = {
   timer: null,
 };
 
-const apState = new Map();
-const positionState = new Map();
+// One rolling AP window per sensor: the local scanner plus every machine pushing to /ingest.
+const engine = createTopologyEngine(runtimeConfig);
+const historyStore = HISTORY_DIR
+  ? createHistoryStore({ dir: HISTORY_DIR, retentionMs: HISTORY_RETENTION_HOURS * 3_600_000 })
+  : null;
+if (historyStore) {
+  engine.on('ingest', ({ t, sensorId, networks }) => {
+    historyStore.append(t, sensorId, networks);
+  });
+}
+// Newest change events, oldest first; ids keep increasing so clients can poll with ?since=.
+const eventLog = [];
+engine.on('change', (events) => {
+  eventLog.push(...events);
+  eventLog.splice(0, Math.max(0, eventLog.length - EVENT_LOG_SIZE));
+  if (appState.mode === 'live' && !replayState.active && !shuttingDown) {
+    broadcastEvents(events, { allowRecord: true });
+  }
+});
+const scanSchedule = createScanSchedule();
+let rssiCalibration = runtimeConfig.calibrationFile ? readCalibrationFile(runtimeConfig.calibrationFile) : {};
 
 let scanTimer = null;
 let shuttingDown = false;
@@ -92,14 +140,81 @@ app.get('/health', (_req, res) => {
     scanPlatform: process.platform,
     mode: appState.mode,
     connectedClients: wss.clients.size,
-    trackedAps: appState.lastSnapshot?.aps?.length ?? apState.size,
+    trackedAps: appState.lastSnapshot?.aps?.length ?? engine.countTrackedAps(),
+    sensorView: runtimeConfig.sensorView,
+    sensorCount: engine.listSensors().length,
     scanIntervalMs: runtimeConfig.scanIntervalMs,
+    scanSchedule: describeScanSchedule(scanSchedule, Date.now(), runtimeConfig),
     scanSource: getLastScanSource(),
     recording: getRecordingStatus(),
+    history: historyStore ? { dir: historyStore.dir, retentionHours: HISTORY_RETENTION_HOURS } : null,
     replay: getReplayStatus(),
   });
 });
 
+app.get('/diagnostics/scanner', (req, res) => {
+  const limit = Number(req.query.ticks);
+  res.json({
+    ...getScanDiagnostics(Number.isInteger(limit) && limit > 0 ? limit : undefined),
+    scanProviders: runtimeConfig.scanProviders,
+    scanTimeoutMs: runtimeConfig.scanTimeoutMs,
+  });
+});
+
+app.get('/aps/:bssid', (req, res) => {
+  const bssid = String(req.params.bssid || '').toLowerCase();
+  if (!BSSID_PATTERN.test(bssid)) {
+    throw new Error('bssid must be formatted like aa:bb:cc:dd:ee:ff');
+  }
+  if (replayState.active) {
+    res.status(409).json({ error: 'AP detail is not available during replay' });
+    return;
+  }
+
+  const partners = req.query.partners === undefined ? undefined : parseBoundedInt(req.query.partners, 1, 100, 'partners');
+  const detail = engine.describeAp(bssid, Date.now(), { partners });
+  if (!detail) {
+    res.status(404).json({ error: `${bssid} is not tracked in sensor view ${runtimeConfig.sensorView}` });
+    return;
+  }
+  res.json(detail);
+});
+
+app.get('/events', (req, res) => {
+  const since = req.query.since === undefined ? 0 : parseBoundedInt(req.query.since, 0, Number.MAX_SAFE_INTEGER, 'since');
+  const limit = req.query.limit === undefined ? 100 : parseBoundedInt(req.query.limit, 1, EVENT_LOG_SIZE, 'limit');
+  const kinds = parseEventKinds(req.query.kind);
+  const bssid = typeof req.query.bssid === 'string' ? req.query.bssid.trim().toLowerCase() : '';
+
+  const events = eventLog.filter(
+    (event) => event.id > since && (!kinds.length || kinds.includes(event.kind)) && (!bssid || event.bssid === bssid),
+  );
+  res.json({
+    lastId: eventLog.length ? eventLog[eventLog.length - 1].id : since,
+    events: events.slice(-limit),
+  });
+});
+
+app.get('/history', async (req, res, next) => {
+  try {
+    if (!historyStore) {
+      res.status(404).json({ error: 'history store is disabled (set HISTORY_DIR)' });
+      return;
+    }
+
+    res.json(await historyStore.query(parseHistoryQuery(req.query, Date.now())));
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/calibration', (_req, res) => {
+  res.json({
+    file: runtimeConfig.calibrationFile || null,
+    table: rssiCalibration,
+  });
+});
+
 app.get('/config', (_req, res) => {
   res.json(getRuntimeConfig());
 });
@@ -111,6 +226,23 @@ app.put('/config', (req, res) => {
   if (incoming.scanIntervalMs !== undefined) {
     updates.scanIntervalMs = parseBoundedInt(incoming.scanIntervalMs, 300, 10_000, 'scanIntervalMs');
   }
+  if (incoming.scanMode !== undefined) {
+    updates.scanMode = parseScanMode(incoming.scanMode);
+  }
+  if (incoming.scanMinIntervalMs !== undefined) {
+    updates.scanMinIntervalMs = parseBoundedInt(incoming.scanMinIntervalMs, 300, 60_000, 'scanMinIntervalMs');
+  }
+  if (incoming.scanMaxIntervalMs !== undefined) {
+    updates.scanMaxIntervalMs = parseBoundedInt(incoming.scanMaxIntervalMs, 300, 120_000, 'scanMaxIntervalMs');
+  }
+  if (incoming.scanBudgetPerMinute !== undefined) {
+    updates.scanBudgetPerMinute = parseBoundedInt(incoming.scanBudgetPerMinute, 1, 200, 'scanBudgetPerMinute');
+  }
+  const minIntervalMs = updates.scanMinIntervalMs ?? runtimeConfig.scanMinIntervalMs;
+  const maxIntervalMs = updates.scanMaxIntervalMs ?? runtimeConfig.scanMaxIntervalMs;
+  if (minIntervalMs > maxIntervalMs) {
+    throw new Error('scanMinIntervalMs must be at most scanMaxIntervalMs');
+  }
   if (incoming.windowSize !== undefined) {
     updates.windowSize = parseBoundedInt(incoming.windowSize, 8, 240, 'windowSize');
   }
@@ -120,22 +252,106 @@ app.put('/config', (req, res) => {
   if (incoming.minOverlap !== undefined) {
     updates.minOverlap = parseBoundedInt(incoming.minOverlap, 4, 80, 'minOverlap');
   }
+  if (incoming.scanProviders !== undefined) {
+    updates.scanProviders = parseScanProviderList(incoming.scanProviders ?? []);
+  }
+  if (incoming.scanFixtureDir !== undefined) {
+    updates.scanFixtureDir = parseFixtureDir(incoming.scanFixtureDir);
+  }
+  if (incoming.scanTarget !== undefined) {
+    updates.scanTarget = parseScanTarget(incoming.scanTarget);
+  }
+  let nextCalibration = null;
+  if (incoming.calibrationFile !== undefined) {
+    ({ file: updates.calibrationFile, table: nextCalibration } = parseCalibrationFile(incoming.calibrationFile));
+  }
+  if (incoming.sensorView !== undefined) {
+    updates.sensorView = parseSensorView(incoming.sensorView);
+  }
+  if (incoming.rssiStepDb !== undefined) {
+    updates.rssiStepDb = parseBoundedInt(incoming.rssiStepDb, 3, 40, 'rssiStepDb');
+  }
 
   const previousInterval = runtimeConfig.scanIntervalMs;
+  const previousMode = runtimeConfig.scanMode;
 
   Object.assign(runtimeConfig, updates);
+  engine.updateConfig(updates);
 
-  if (updates.windowSize !== undefined) {
-    trimWindowForAllRecords(runtimeConfig.windowSize);
+  if (updates.scanFixtureDir) {
+    resetFixtureCursor(updates.scanFixtureDir);
+  }
+  if (nextCalibration) {
+    rssiCalibration = nextCalibration;
   }
 
-  if (updates.scanIntervalMs !== undefined && updates.scanIntervalMs !== previousInterval) {
+  const modeChanged = updates.scanMode !== undefined && updates.scanMode !== previousMode;
+  if (modeChanged) {
+    // Adaptive mode restarts from the configured interval instead of a stale backed-off value.
+    scanSchedule.effectiveIntervalMs = null;
+    scanSchedule.previousVector = null;
+  }
+  if ((updates.scanIntervalMs !== undefined && updates.scanIntervalMs !== previousInterval) || modeChanged) {
     scheduleNextScan(0);
   }
 
+  if (updates.sensorView !== undefined) {
+    publishLiveSnapshot(Date.now());
+  }
+
   res.json(getRuntimeConfig());
 });
 
+app.get('/sensors', (_req, res) => {
+  res.json({
+    view: runtimeConfig.sensorView,
+    sensors: engine.listSensors(Date.now()),
+  });
+});
+
+app.post('/ingest', (req, res, next) => {
+  try {
+    if (INGEST_TOKEN && req.get('authorization') !== `Bearer ${INGEST_TOKEN}`) {
+      res.status(401).json({ error: 'ingest token mismatch' });
+      return;
+    }
+
+    const payload = parseIngestPayload(req.body);
+    const now = Date.now();
+    const sensor = engine.ingest(payload.networks, now, {
+      sensorId: payload.sensorId,
+      reportedAt: payload.t,
+      remoteAddress: req.ip || null,
+    });
+
+    if (
+      runtimeConfig.sensorView === MERGED_SENSOR_VIEW ||
+      runtimeConfig.sensorView === sensor.sensorId ||
+      runtimeConfig.sensorView.startsWith(`${sensor.sensorId}:`)
+    ) {
+      publishLiveSnapshot(now);
+    }
+
+    res.json({
+      ok: true,
+      sensorId: sensor.sensorId,
+      accepted: payload.networks.length,
+      trackedAps: sensor.apCount,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/simulator/truth', (_req, res) => {
+  if (!runtimeConfig.scanProviders.includes('simulated') && getLastScanSource() !== 'simulated') {
+    res.status(404).json({ error: 'simulated scan provider is not active' });
+    return;
+  }
+
+  res.json(getDefaultSimulator().groundTruth());
+});
+
 app.get('/record/status', (_req, res) => {
   res.json(getRecordingStatus());
 });
@@ -246,7 +462,7 @@ wss.on('connection', (socket) => {
   }
 });
 
-server.listen(PORT, () => {
+server.listen(PORT, async () => {
   const appUrl = `http://localhost:${PORT}`;
 
   console.log(`[server] listening on ${appUrl}`);
@@ -259,8 +475,21 @@ server.listen(PORT, () => {
   }
 
   console.log(`[scan] airport path ${AIRPORT_PATH}`);
+  if (runtimeConfig.calibrationFile) {
+    console.log(`[scan] RSSI calibration ${runtimeConfig.calibrationFile} (${Object.keys(rssiCalibration).join(', ') || 'empty'})`);
+  }
+  if (runtimeConfig.scanFixtureDir) {
+    console.log(`[scan] fixture dir ${runtimeConfig.scanFixtureDir}`);
+  }
+  if (historyStore) {
+    await historyStore.open();
+    console.log(`[history] ${HISTORY_DIR} (retention ${HISTORY_RETENTION_HOURS}h)`);
+  }
+  console.log(
+    `[scan] providers ${runtimeConfig.scanProviders.length ? runtimeConfig.scanProviders.join(',') : 'auto'}`,
+  );
   console.log(
-    `[scan] interval=${runtimeConfig.scanIntervalMs}ms window=${runtimeConfig.windowSize} maxAps=${runtimeConfig.maxAps}`,
+    `[scan] mode=${runtimeConfig.scanMode} interval=${runtimeConfig.scanIntervalMs}ms window=${runtimeConfig.windowSize} maxAps=${runtimeConfig.maxAps}`,
   );
 
   scheduleNextScan(0);
@@ -282,13 +511,19 @@ async function scanTick() {
 
   try {
     const now = Date.now();
+    engine.pruneSensors(now);
     const scanResults = await scanWifiNetworks({
       airportPath: AIRPORT_PATH,
       timeoutMs: runtimeConfig.scanTimeoutMs,
       enableSystemProfilerFallback: true,
+      providers: runtimeConfig.scanProviders,
+      fixtureDir: runtimeConfig.scanFixtureDir,
+      target: runtimeConfig.scanTarget,
+      calibration: rssiCalibration,
     });
 
-    applyScanResults(scanResults, now);
+    engine.ingest(scanResults, now, { scanSource: getLastScanSource() });
+    updateScanSchedule(scanSchedule, scanResults, now, runtimeConfig);
 
     appState.tickCount += 1;
     if (appState.tickCount % runtimeConfig.snapshotEveryTicks === 0) {
@@ -303,214 +538,183 @@ async function scanTick() {
   }
 }
 
-function applyScanResults(results, now) {
-  for (const ap of results) {
-    if (!Number.isFinite(ap.rssi)) {
-      continue;
-    }
-
-    let record = apState.get(ap.bssid);
-
-    if (!record) {
-      record = {
-        bssid: ap.bssid,
-        ssid: ap.ssid,
-        ssidHistory: [ap.ssid],
-        samples: [],
-        sampleWeights: [],
-        sampleEstimated: [],
-        lastSeen: now,
-        latestRssi: ap.rssi,
-        latestWeight: deriveSampleWeight(ap),
-        rssiEstimated: Boolean(ap.rssiEstimated),
-        scanSource: ap.scanSource || 'airport',
-        channel: ap.channel,
-        band: ap.band,
-        security: ap.security,
-      };
-      apState.set(ap.bssid, record);
-    }
-
-    record.lastSeen = now;
-    record.latestRssi = ap.rssi;
-    record.latestWeight = deriveSampleWeight(ap);
-    record.rssiEstimated = Boolean(ap.rssiEstimated);
-    record.scanSource = ap.scanSource || 'airport';
-    record.channel = ap.channel;
-    record.band = ap.band;
-    record.security = ap.security;
-
-    if (shouldReplaceSsid(record.ssid, ap.ssid)) {
-      record.ssid = ap.ssid;
-      if (!record.ssidHistory.includes(ap.ssid)) {
-        record.ssidHistory.push(ap.ssid);
-        if (record.ssidHistory.length > 5) {
-          record.ssidHistory.shift();
-        }
-      }
-    }
-
-    record.samples.push(ap.rssi);
-    record.sampleWeights.push(record.latestWeight);
-    record.sampleEstimated.push(Boolean(ap.rssiEstimated));
+function buildSnapshot(now, mode = 'live') {
+  return engine.snapshot(now, {
+    mode,
+    meta: {
+      scanProviders: runtimeConfig.scanProviders,
+      scanAttempts: summarizeScanAttempts(),
+      scanTarget: runtimeConfig.scanTarget,
+      calibration: describeCalibration(rssiCalibration, runtimeConfig.calibrationFile),
+      scanMode: runtimeConfig.scanMode,
+      effectiveScanIntervalMs: scanSchedule.effectiveIntervalMs ?? runtimeConfig.scanIntervalMs,
+      scanSchedule: describeScanSchedule(scanSchedule, now, runtimeConfig),
+      airportPath: AIRPORT_PATH,
+      recording: recordState.enabled,
+      replay: replayState.active,
+    },
+  });
+}
 
-    if (record.samples.length > runtimeConfig.windowSize) {
-      record.samples.shift();
-      record.sampleWeights.shift();
-      record.sampleEstimated.shift();
-    }
+function publishLiveSnapshot(now) {
+  if (appState.mode !== 'live' || replayState.active || shuttingDown) {
+    return;
   }
 
-  for (const [bssid, record] of apState.entries()) {
-    if (now - record.lastSeen > runtimeConfig.evictAfterMs) {
-      apState.delete(bssid);
-      positionState.delete(bssid);
-    }
-  }
+  const snapshot = buildSnapshot(now, 'live');
+  appState.lastSnapshot = snapshot;
+  broadcastSnapshot(snapshot, { allowRecord: true });
 }
 
-function buildSnapshot(now, mode = 'live') {
-  const activeRecords = Array.from(apState.values())
-    .filter((record) => now - record.lastSeen <= runtimeConfig.evictAfterMs)
-    .sort((a, b) => b.latestRssi - a.latestRssi)
-    .slice(0, runtimeConfig.maxAps);
-
-  const ids = activeRecords.map((record) => record.bssid);
-  const sampleSeries = activeRecords.map((record) => record.samples);
-  const sampleWeightSeries = activeRecords.map((record) => record.sampleWeights);
-
-  const corrMatrix = buildCorrelationMatrix(sampleSeries, sampleWeightSeries, runtimeConfig.minOverlap);
-  const distanceMatrix = corrMatrix.map((row) => row.map((corr) => correlationToDistance(corr)));
-
-  const nextPositions = embedPositions({
-    ids,
-    distanceMatrix,
-    previousPositions: positionState,
-    radius: 50,
-    smoothing: 0.2,
-  });
-
-  positionState.clear();
-  for (const [id, position] of nextPositions.entries()) {
-    positionState.set(id, position);
+function summarizeScanAttempts() {
+  const [tick] = getScanDiagnostics(1).ticks;
+  if (!tick) {
+    return [];
   }
+  return tick.attempts.map((attempt) => ({
+    provider: attempt.provider,
+    outcome: attempt.outcome,
+    reason: attempt.reason,
+    parsedCount: attempt.parsedCount,
+    durationMs: attempt.durationMs,
+  }));
+}
 
-  const edges = buildTopCorrelationEdges(
-    ids,
-    corrMatrix,
-    2,
-    runtimeConfig.edgeThreshold,
-    runtimeConfig.maxEdges,
-  );
+function parseIngestPayload(body) {
+  const sensorId = typeof body?.sensorId === 'string' ? body.sensorId.trim() : '';
+  if (!SENSOR_ID_PATTERN.test(sensorId)) {
+    throw new Error('sensorId is required (1-64 letters, digits, ".", "_" or "-")');
+  }
+  if (sensorId === LOCAL_SENSOR_ID || sensorId === MERGED_SENSOR_VIEW) {
+    throw new Error(`sensorId must be something other than "${LOCAL_SENSOR_ID}" or "${MERGED_SENSOR_VIEW}"`);
+  }
+  if (!Array.isArray(body.networks)) {
+    throw new Error('networks must be an array');
+  }
+  if (body.networks.length > MAX_INGEST_NETWORKS) {
+    throw new Error(`networks must contain at most ${MAX_INGEST_NETWORKS} entries`);
+  }
 
-  const clusters = buildClusters(ids, edges, runtimeConfig.edgeThreshold);
-
-  const aps = activeRecords.map((record) => {
-    const sampleVariance = variance(record.samples);
-    const sampleCount = record.samples.length;
-
-    return {
-      bssid: record.bssid,
-      ssid: record.ssid,
-      rssi: record.latestRssi,
-      channel: record.channel,
-      band: record.band,
-      security: record.security,
-      scanSource: record.scanSource,
-      rssiEstimated: record.rssiEstimated,
-      sampleQuality: round(mean(record.sampleWeights), 2),
-      sampleCount,
-      meanRssi: round(mean(record.samples), 2),
-      variance: round(sampleVariance, 2),
-      // Stability is variance-normalized and confidence-weighted by sample count.
-      stability: computeStabilityScore({
-        varianceValue: sampleVariance,
-        sampleCount,
-        varRef: 100,
-        countRef: runtimeConfig.windowSize,
-      }),
-      clusterId: clusters.clusterById.get(record.bssid) || 0,
-      clusterSize: clusters.clusterSizeById.get(record.bssid) || 1,
-      lastSeen: record.lastSeen,
-    };
-  });
+  const networks = body.networks
+    .filter((network) => network && typeof network === 'object' && Number.isFinite(network.rssi))
+    .map((network) => ({
+      ...network,
+      bssid: String(network.bssid || '').toLowerCase(),
+      ssid: typeof network.ssid === 'string' && network.ssid ? network.ssid : HIDDEN_SSID,
+    }))
+    .filter((network) => BSSID_PATTERN.test(network.bssid));
 
-  return buildSnapshotPacket({
-    t: now,
-    aps,
-    positions: positionMapToObject(nextPositions),
-    edges,
-    meta: {
-      mode,
-      scanPlatform: process.platform,
-      scanSource: getLastScanSource(),
-      scanIntervalMs: runtimeConfig.scanIntervalMs,
-      windowSize: runtimeConfig.windowSize,
-      edgeThreshold: runtimeConfig.edgeThreshold,
-      minOverlap: runtimeConfig.minOverlap,
-      maxAps: runtimeConfig.maxAps,
-      activeApCount: activeRecords.length,
-      airportPath: AIRPORT_PATH,
-      clusterCount: clusters.summary.length,
-      clusterSizes: clusters.summary,
-      recording: recordState.enabled,
-      replay: replayState.active,
-    },
-  });
+  return {
+    sensorId,
+    t: Number.isFinite(body.t) ? body.t : null,
+    networks,
+  };
 }
 
-function broadcastSnapshot(snapshot, { allowRecord = true } = {}) {
-  const payload = JSON.stringify(snapshot);
+function parseHistoryQuery(query, now) {
+  const bssid = String(query.bssid ?? '').trim().toLowerCase();
+  if (!BSSID_PATTERN.test(bssid)) {
+    throw new Error('bssid is required (aa:bb:cc:dd:ee:ff)');
+  }
 
-  for (const client of wss.clients) {
-    if (client.readyState === WebSocket.OPEN) {
-      client.send(payload);
-    }
+  const to = parseTimeParam(query.to, now, 'to');
+  const from = parseTimeParam(query.from, to - 3_600_000, 'from');
+  if (from >= to) {
+    throw new Error('from must be before to');
   }
 
-  if (allowRecord && recordState.enabled && recordState.stream?.writable) {
-    recordState.stream.write(`${payload}\n`);
-    recordState.count += 1;
+  const spanMs = to - from;
+  let resolutionMs = Math.max(1000, Math.ceil(spanMs / DEFAULT_HISTORY_POINTS / 1000) * 1000);
+  if (query.resolution !== undefined && query.resolution !== '') {
+    const match = /^(\d+)(ms|s|m|h)?$/u.exec(String(query.resolution).trim());
+    if (!match || Number(match[1]) <= 0) {
+      throw new Error('resolution must be a duration such as 500ms, 30s, 5m or 1h');
+    }
+    resolutionMs = Number(match[1]) * HISTORY_RESOLUTION_UNITS[match[2] || 'ms'];
   }
+
+  const sensorId = typeof query.sensor === 'string' && query.sensor.trim() ? query.sensor.trim() : null;
+  return {
+    bssid,
+    from,
+    to,
+    // Long ranges at a fine resolution are coarsened up front; the store enforces the cap across sensors.
+    resolutionMs: Math.max(resolutionMs, Math.ceil(spanMs / MAX_HISTORY_POINTS)),
+    sensorId,
+  };
 }
 
-function deriveSampleWeight(ap) {
-  if (ap.rssiEstimated) {
-    return 0.12;
-  }
-  if (ap.scanSource === 'system_profiler') {
-    return 0.45;
+function parseTimeParam(value, fallback, label) {
+  if (value === undefined || value === '') {
+    return fallback;
   }
-  if (ap.bssidSynthetic) {
-    return 0.35;
+  const text = String(value).trim();
+  const parsed = /^\d+$/u.test(text) ? Number(text) : Date.parse(text);
+  if (!Number.isFinite(parsed)) {
+    throw new Error(`${label} must be epoch ms or an ISO 8601 date`);
   }
-  return 1;
+  return parsed;
 }
 
-function shouldReplaceSsid(existingSsid, incomingSsid) {
-  if (existingSsid === incomingSsid) {
-    return false;
+function parseScanMode(value) {
+  const mode = String(value ?? '').trim().toLowerCase();
+  if (!SCAN_MODES.includes(mode)) {
+    throw new Error(`scanMode must be one of ${SCAN_MODES.join(', ')}`);
   }
+  return mode;
+}
 
-  return !(isHiddenSsid(incomingSsid) && !isHiddenSsid(existingSsid));
+function parseSensorView(value) {
+  const view = String(value ?? '').trim();
+  if (engine.isKnownView(view)) {
+    return view;
+  }
+  throw new Error(`sensorView must be "${LOCAL_SENSOR_ID}", "${MERGED_SENSOR_VIEW}" or a known sensor id`);
 }
 
-function isHiddenSsid(value) {
-  return String(value || '').trim() === HIDDEN_SSID;
+function parseEventKinds(value) {
+  if (value === undefined || value === '') {
+    return [];
+  }
+  const kinds = String(value).split(',').map((kind) => kind.trim()).filter(Boolean);
+  for (const kind of kinds) {
+    if (!CHANGE_EVENT_KINDS.includes(kind)) {
+      throw new Error(`kind must be one of ${CHANGE_EVENT_KINDS.join(', ')}`);
+    }
+  }
+  return kinds;
 }
 
-function trimWindowForAllRecords(windowSize) {
-  for (const record of apState.values()) {
-    if (record.samples.length > windowSize) {
-      record.samples = record.samples.slice(record.samples.length - windowSize);
+// Events go out as their own packets and are interleaved with the snapshots in a recording.
+function broadcastEvents(events, { allowRecord = true, extra = {} } = {}) {
+  for (const event of events) {
+    const payload = JSON.stringify({ type: 'event', ...event, ...extra });
+
+    for (const client of wss.clients) {
+      if (client.readyState === WebSocket.OPEN) {
+        client.send(payload);
+      }
     }
-    if (record.sampleWeights.length > windowSize) {
-      record.sampleWeights = record.sampleWeights.slice(record.sampleWeights.length - windowSize);
+
+    if (allowRecord && recordState.enabled && recordState.stream?.writable) {
+      recordState.stream.write(`${payload}\n`);
     }
-    if (record.sampleEstimated.length > windowSize) {
-      record.sampleEstimated = record.sampleEstimated.slice(record.sampleEstimated.length - windowSize);
+  }
+}
+
+function broadcastSnapshot(snapshot, { allowRecord = true } = {}) {
+  const payload = JSON.stringify(snapshot);
+
+  for (const client of wss.clients) {
+    if (client.readyState === WebSocket.OPEN) {
+      client.send(payload);
     }
   }
+
+  if (allowRecord && recordState.enabled && recordState.stream?.writable) {
+    recordState.stream.write(`${payload}\n`);
+    recordState.count += 1;
+  }
 }
 
 function scheduleNextScan(delayMs = runtimeConfig.scanIntervalMs) {
@@ -521,7 +725,7 @@ function scheduleNextScan(delayMs = runtimeConfig.scanIntervalMs) {
   clearTimeout(scanTimer);
   scanTimer = setTimeout(async () => {
     await scanTick();
-    scheduleNextScan(runtimeConfig.scanIntervalMs);
+    scheduleNextScan(resolveNextScanDelay(scanSchedule, Date.now(), runtimeConfig));
   }, Math.max(40, delayMs));
 }
 
@@ -576,9 +780,9 @@ async function stopRecording() {
 }
 
 async function startReplay({ pathInput, speed, loop }) {
-  const replayPath = isAbsolute(pathInput) ? pathInput : resolve(projectRoot, pathInput);
+  const replayPath = resolveInputPath(pathInput);
   const text = await readFile(replayPath, 'utf8');
-  const snapshots = text
+  const packets = text
     .split(/\r?\n/u)
     .map((line) => line.trim())
     .filter((line) => line.length > 0)
@@ -588,8 +792,22 @@ async function startReplay({ pathInput, speed, loop }) {
       } catch {
         return null;
       }
-    })
-    .filter((snapshot) => snapshot && snapshot.type === 'snapshot');
+    });
+
+  // Change events are written just before the snapshot of the same tick, so each snapshot replays
+  // the events that precede it.
+  const snapshots = [];
+  const events = [];
+  let pendingEvents = [];
+  for (const packet of packets) {
+    if (packet?.type === 'event') {
+      pendingEvents.push(packet);
+    } else if (packet?.type === 'snapshot') {
+      snapshots.push(packet);
+      events.push(pendingEvents);
+      pendingEvents = [];
+    }
+  }
 
   if (!snapshots.length) {
     throw new Error('Replay file has no snapshot lines');
@@ -600,6 +818,7 @@ async function startReplay({ pathInput, speed, loop }) {
   replayState.active = true;
   replayState.path = replayPath;
   replayState.snapshots = snapshots;
+  replayState.events = events;
   replayState.index = 0;
   replayState.total = snapshots.length;
   replayState.speed = speed;
@@ -619,6 +838,7 @@ async function stopReplay() {
   replayState.active = false;
   replayState.path = null;
   replayState.snapshots = [];
+  replayState.events = [];
   replayState.index = 0;
   replayState.total = 0;
   replayState.speed = 1;
@@ -653,6 +873,7 @@ async function emitReplayTick() {
 
   const current = replayState.snapshots[replayState.index];
   const next = replayState.snapshots[replayState.index + 1];
+  const events = replayState.events[replayState.index];
 
   replayState.index += 1;
 
@@ -673,6 +894,7 @@ async function emitReplayTick() {
   };
 
   appState.lastSnapshot = snapshot;
+  broadcastEvents(events, { allowRecord: false, extra: { replay: true } });
   broadcastSnapshot(snapshot, { allowRecord: false });
 
   const delayMs = computeReplayDelayMs(current, next, replayState.speed, runtimeConfig.scanIntervalMs);
@@ -692,6 +914,7 @@ function computeReplayDelayMs(current, next, speed, fallbackMs) {
 function getRuntimeConfig() {
   return {
     ...runtimeConfig,
+    availableScanProviders: listScanProviders(),
     mode: appState.mode,
   };
 }
@@ -717,9 +940,49 @@ function getReplayStatus() {
   };
 }
 
+// An empty list is the per-OS automatic chain, like the other env values that fall back to a default.
+function parseScanProvidersEnv(value) {
+  try {
+    return parseScanProviderList(value);
+  } catch (error) {
+    console.error(`[scan] SCAN_PROVIDERS ignored: ${error.message}; using auto`);
+    return [];
+  }
+}
+
+function parseFixtureDir(value) {
+  if (value === null || value === '') {
+    return '';
+  }
+  if (typeof value !== 'string') {
+    throw new Error('scanFixtureDir must be a directory path string');
+  }
+
+  const fixtureDir = resolveInputPath(value);
+  if (!existsSync(fixtureDir) || !statSync(fixtureDir).isDirectory()) {
+    throw new Error(`scanFixtureDir must be an existing directory: ${fixtureDir}`);
+  }
+  return fixtureDir;
+}
+
+function parseCalibrationFile(value) {
+  if (value === null || value === '') {
+    return { file: '', table: {} };
+  }
+  if (typeof value !== 'string') {
+    throw new Error('calibrationFile must be a file path string');
+  }
+
+  const file = resolveInputPath(value);
+  if (!existsSync(file) || !statSync(file).isFile()) {
+    throw new Error(`calibrationFile must be an existing file: ${file}`);
+  }
+  return { file, table: readCalibrationFile(file) };
+}
+
 function resolveOutputPath(pathInput) {
   if (typeof pathInput === 'string' && pathInput.trim()) {
-    return isAbsolute(pathInput) ? pathInput : resolve(projectRoot, pathInput.trim());
+    return isAbsolute(pathInput) ? pathInput : resolve(PROJECT_ROOT, pathInput.trim());
   }
 
   const timestamp = new Date().toISOString().replace(/[:.]/gu, '-');
@@ -737,6 +1000,7 @@ async function shutdown() {
 
   await stopReplay();
   await stopRecording();
+  await historyStore?.close();
 
   for (const client of wss.clients) {
     client.terminate();
@@ -784,11 +1048,6 @@ function parseBoundedFloat(value, fallback, min, max, label = 'value') {
   return parsed;
 }
 
-function round(value, precision = 2) {
-  const factor = 10 ** precision;
-  return Math.round(value * factor) / factor;
-}
-
 function formatTimestampForFilename(input) {
   const date = input instanceof Date ? input : new Date(input);
   const yyyy = String(date.getFullYear());
@@ -0,0 +1,386 @@
+import { addAkmSuites, finalizeSecurityDetail, parseSecurityText } from './security.js';
+
+const DEFAULT_SEED = 1;
+const DEFAULT_DEVICE_COUNT = 10;
+const ROOM_WIDTH_M = 60;
+const ROOM_DEPTH_M = 40;
+const OBSERVER_HEIGHT_M = 1.2;
+const REFERENCE_DISTANCE_M = 1;
+const PATH_LOSS_EXPONENT = 2.8;
+const STATIC_SHADOWING_DB = 4;
+const FAST_FADING_DB = 1.8;
+const SENSITIVITY_DBM = -92;
+
+const CHANNELS_24 = ['1', '6', '11'];
+const CHANNELS_5 = ['36', '40', '44', '48', '149', '153', '157', '161'];
+const CHANNELS_6 = ['5', '21', '37', '53', '69', '85'];
+const SSID_POOL = ['corp', 'corp-guest', 'lab-iot', 'printers', 'eduroam', 'home-net', 'cafe-free'];
+const SECURITY_BY_SSID = {
+  corp: 'WPA2/WPA3',
+  'corp-guest': 'OPEN',
+  'lab-iot': 'WPA2',
+  printers: 'WPA2',
+  eduroam: 'WPA2-ENTERPRISE',
+  'home-net': 'WPA2',
+  'cafe-free': 'OPEN',
+};
+// Roaming features are configured per SSID; only managed (controller-backed) devices implement them.
+const ROAMING_SSIDS = new Set(['corp', 'eduroam', 'lab-iot']);
+const FAST_TRANSITION_SSIDS = new Set(['corp', 'eduroam']);
+// Per-adapter gain differences for multi-interface rigs (SIM_INTERFACES > 1).
+const ADAPTER_GAIN_DB = [0, -5, 3, -2];
+const WPS_SSIDS = new Set(['home-net', 'printers']);
+const VENDOR_OUIS = ['74:83:c2', 'f0:9f:c2', '00:1a:1e', '34:fc:b9', 'ac:23:16', '70:3a:0e'];
+
+// Loss relative to 2.4GHz free space at the reference distance (20 * log10(f / 2.437GHz)).
+const BAND_LOSS_DB = {
+  '2.4ghz': 0,
+  '5ghz': 6.9,
+  '6ghz': 7.9,
+};
+
+let defaultSimulator = null;
+
+export function getDefaultSimulator() {
+  if (!defaultSimulator) {
+    defaultSimulator = createWifiSimulator({
+      seed: parsePositiveInt(process.env.SIM_SEED, DEFAULT_SEED),
+      deviceCount: parsePositiveInt(process.env.SIM_DEVICE_COUNT, DEFAULT_DEVICE_COUNT),
+      interfaceCount: parsePositiveInt(process.env.SIM_INTERFACES, 1),
+    });
+  }
+  return defaultSimulator;
+}
+
+export function createWifiSimulator({
+  seed = DEFAULT_SEED,
+  deviceCount = DEFAULT_DEVICE_COUNT,
+  width = ROOM_WIDTH_M,
+  depth = ROOM_DEPTH_M,
+  interfaceCount = 1,
+} = {}) {
+  const rand = mulberry32(seed >>> 0);
+  const adapterRand = mulberry32((seed ^ 0xc2b2ae35) >>> 0);
+  const adapterCount = clamp(Math.round(interfaceCount), 1, ADAPTER_GAIN_DB.length);
+  const devices = buildDevices(rand, deviceCount, width, depth);
+  // Load and roaming draw from their own PRNG streams so device placement depends only on the seed.
+  assignRadioLoad(mulberry32((seed ^ 0x9e3779b9) >>> 0), devices);
+  assignRoamingCapabilities(mulberry32((seed ^ 0x85ebca6b) >>> 0), devices);
+  const radios = devices.flatMap((device) => device.radios);
+  const homeSsid = radios[0]?.bsses[0]?.ssid ?? null;
+
+  let originMs = null;
+  let observer = { x: width / 2, y: depth / 2, z: OBSERVER_HEIGHT_M };
+
+  function scan(t = Date.now()) {
+    if (originMs == null) {
+      originMs = t;
+    }
+
+    observer = observerPositionAt((t - originMs) / 1000, width, depth);
+
+    const networks = [];
+    for (const radio of radios) {
+      const distance = Math.max(
+        REFERENCE_DISTANCE_M,
+        Math.hypot(
+          radio.position.x - observer.x,
+          radio.position.y - observer.y,
+          radio.position.z - observer.z,
+        ),
+      );
+
+      const pathLoss = 10 * PATH_LOSS_EXPONENT * Math.log10(distance / REFERENCE_DISTANCE_M);
+      const meanRssi = radio.txPowerDbm - radio.referenceLossDb - pathLoss + radio.shadowingDb;
+      const rssi = Math.round(meanRssi + gaussian(rand) * FAST_FADING_DB);
+
+      if (rssi < SENSITIVITY_DBM) {
+        continue;
+      }
+
+      // Weak networks drop out of individual scans, like real adapters.
+      const missProbability = clamp((-78 - rssi) / 50, 0, 0.28);
+      if (rand() < missProbability) {
+        continue;
+      }
+
+      // Extra adapters sit on the same rig but fade independently and differ in gain.
+      const adapterRssi = [rssi];
+      for (let index = 1; index < adapterCount; index += 1) {
+        const reading = Math.round(meanRssi + ADAPTER_GAIN_DB[index] + gaussian(adapterRand) * FAST_FADING_DB);
+        adapterRssi.push(reading >= SENSITIVITY_DBM ? reading : null);
+      }
+
+      for (const bss of radio.bsses) {
+        const network = {
+          bssid: bss.bssid,
+          ssid: bss.ssid,
+          rssi: clamp(rssi + bss.offsetDb, -95, -20),
+          channel: radio.channel,
+          frequency: radio.frequency,
+          band: radio.band,
+          channelWidth: radio.channelWidth,
+          secondaryChannelOffset: null,
+          phy: radio.phy,
+          bssLoad: { ...radio.bssLoad, stationCount: bss.stationCount },
+          security: bss.security,
+          securityDetail: bss.securityDetail,
+          roaming: bss.roaming,
+          wps: bss.wps,
+          rssiEstimated: false,
+          bssidSynthetic: false,
+        };
+
+        if (adapterCount > 1) {
+          const interfaceRssi = {};
+          adapterRssi.forEach((value, index) => {
+            if (value != null) {
+              interfaceRssi[`wlan${index}`] = clamp(value + bss.offsetDb, -95, -20);
+            }
+          });
+          const [iface, strongest] = Object.entries(interfaceRssi).sort((a, b) => b[1] - a[1])[0];
+          network.rssi = strongest;
+          network.interface = iface;
+          network.interfaceRssi = interfaceRssi;
+        }
+
+        networks.push(network);
+      }
+    }
+
+    // The observer stays joined to its home SSID and roams to whichever BSS is strongest.
+    const associated = networks
+      .filter((network) => network.ssid === homeSsid)
+      .sort((a, b) => b.rssi - a.rssi)[0];
+    if (associated) {
+      associated.associated = true;
+      associated.linkRateMbps = estimateLinkRateMbps(associated.rssi, associated.channelWidth);
+    }
+
+    return networks;
+  }
+
+  function groundTruth() {
+    return {
+      seed,
+      room: { width, depth },
+      homeSsid,
+      observer: { ...observer },
+      devices: devices.map((device) => ({
+        deviceId: device.deviceId,
+        position: { ...device.position },
+        bssids: device.radios.flatMap((radio) => radio.bsses.map((bss) => bss.bssid)),
+      })),
+      bssids: Object.fromEntries(
+        radios.flatMap((radio) =>
+          radio.bsses.map((bss) => [
+            bss.bssid,
+            {
+              deviceId: radio.deviceId,
+              ssid: bss.ssid,
+              channel: radio.channel,
+              band: radio.band,
+              position: { ...radio.position },
+            },
+          ]),
+        ),
+      ),
+    };
+  }
+
+  return {
+    scan,
+    groundTruth,
+  };
+}
+
+function buildDevices(rand, deviceCount, width, depth) {
+  const devices = [];
+
+  for (let index = 0; index < deviceCount; index += 1) {
+    const deviceId = index + 1;
+    const position = {
+      x: round(2 + rand() * (width - 4), 2),
+      y: round(2 + rand() * (depth - 4), 2),
+      z: round(2.4 + rand() * 0.6, 2),
+    };
+
+    const oui = VENDOR_OUIS[Math.floor(rand() * VENDOR_OUIS.length)];
+    const nicBytes = [rand(), rand(), rand()].map((value) => Math.floor(value * 256));
+    nicBytes[2] &= 0xf0;
+
+    const bands = ['2.4ghz', '5ghz'];
+    if (rand() < 0.35) {
+      bands.push('6ghz');
+    }
+
+    const radios = bands.map((band, radioIndex) => {
+      const ssidCount = 1 + Math.floor(rand() * 3);
+      const ssids = pickDistinct(rand, SSID_POOL, ssidCount);
+      const bsses = ssids.map((ssid, bssIndex) => ({
+        bssid: formatMac(oui, [
+          nicBytes[0],
+          nicBytes[1],
+          nicBytes[2] | ((radioIndex * 4 + bssIndex) & 0x0f),
+        ]),
+        ssid,
+        security: band === '6ghz' && SECURITY_BY_SSID[ssid] !== 'OPEN'
+          ? 'WPA3'
+          : SECURITY_BY_SSID[ssid] || 'WPA2',
+        offsetDb: Math.round(gaussian(rand) * 0.6),
+      }));
+
+      const channel = pickChannel(rand, band);
+      const modern = band === '6ghz' || rand() < 0.5;
+
+      return {
+        deviceId,
+        position,
+        band,
+        channel,
+        frequency: channelToFrequency(channel, band),
+        channelWidth: band === '2.4ghz' ? 20 : band === '5ghz' ? (rand() < 0.6 ? 80 : 40) : 160,
+        phy: modern ? 'ax' : band === '2.4ghz' ? 'n' : 'ac',
+        txPowerDbm: band === '2.4ghz' ? 17 : 20,
+        referenceLossDb: 40 + BAND_LOSS_DB[band],
+        shadowingDb: gaussian(rand) * STATIC_SHADOWING_DB,
+        bsses,
+      };
+    });
+
+    devices.push({ deviceId, position, radios });
+  }
+
+  return devices;
+}
+
+function assignRadioLoad(rand, devices) {
+  for (const device of devices) {
+    for (const radio of device.radios) {
+      const busy = rand() < 0.25;
+      const utilization = busy ? 0.45 + rand() * 0.45 : rand() * 0.2;
+      radio.bssLoad = {
+        channelUtilization: round(utilization, 3),
+        admissionCapacity: Math.round((1 - utilization) * 31250),
+      };
+      for (const bss of radio.bsses) {
+        bss.stationCount = Math.round((busy ? 8 + rand() * 32 : rand() * 6) / radio.bsses.length);
+      }
+    }
+  }
+}
+
+function assignRoamingCapabilities(rand, devices) {
+  for (const device of devices) {
+    const managed = rand() < 0.7;
+    for (const radio of device.radios) {
+      for (const bss of radio.bsses) {
+        const roamingSsid = managed && ROAMING_SSIDS.has(bss.ssid);
+        const fastTransition = managed && FAST_TRANSITION_SSIDS.has(bss.ssid);
+        bss.securityDetail = parseSecurityText(bss.security);
+        if (fastTransition) {
+          const ftSuites = bss.securityDetail.akmSuites.map((akm) => `FT-${akm}`).join(' ');
+          finalizeSecurityDetail(addAkmSuites(bss.securityDetail, ftSuites));
+        }
+        bss.roaming = {
+          fastTransition,
+          ftOverDs: fastTransition && rand() < 0.5,
+          mobilityDomain: fastTransition ? `0x${(hashCode(bss.ssid) & 0xffff).toString(16).padStart(4, '0')}` : null,
+          neighborReport: roamingSsid,
+          bssTransition: roamingSsid,
+        };
+        bss.wps = !managed && WPS_SSIDS.has(bss.ssid)
+          ? { state: 'configured', locked: rand() < 0.5 }
+          : null;
+      }
+    }
+  }
+}
+
+function estimateLinkRateMbps(rssi, channelWidth) {
+  // Roughly one spatial stream of 802.11ax: ~143Mbps per 20MHz at top MCS, falling with SNR.
+  const quality = clamp((rssi + 85) / 35, 0.05, 1);
+  return round((channelWidth / 20) * 143.4 * quality, 1);
+}
+
+function observerPositionAt(elapsedSec, width, depth) {
+  const marginX = width / 2 - 3;
+  const marginY = depth / 2 - 3;
+  return {
+    x: width / 2 + marginX * Math.sin((2 * Math.PI * elapsedSec) / 97),
+    y: depth / 2 + marginY * Math.sin((2 * Math.PI * elapsedSec) / 61 + 0.7),
+    z: OBSERVER_HEIGHT_M,
+  };
+}
+
+function pickChannel(rand, band) {
+  const channels = band === '2.4ghz' ? CHANNELS_24 : band === '5ghz' ? CHANNELS_5 : CHANNELS_6;
+  return channels[Math.floor(rand() * channels.length)];
+}
+
+function channelToFrequency(channel, band) {
+  const number = Number.parseInt(channel, 10);
+  if (band === '2.4ghz') {
+    return 2407 + number * 5;
+  }
+  if (band === '5ghz') {
+    return 5000 + number * 5;
+  }
+  return 5950 + number * 5;
+}
+
+function pickDistinct(rand, values, count) {
+  const pool = [...values];
+  const picked = [];
+  while (picked.length < count && pool.length) {
+    picked.push(pool.splice(Math.floor(rand() * pool.length), 1)[0]);
+  }
+  return picked;
+}
+
+function formatMac(oui, nicBytes) {
+  return `${oui}:${nicBytes.map((value) => value.toString(16).padStart(2, '0')).join(':')}`;
+}
+
+function gaussian(rand) {
+  const u = Math.max(rand(), 1e-12);
+  const v = rand();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+function mulberry32(seed) {
+  let state = seed;
+  return function next() {
+    state += 0x6d2b79f5;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function hashCode(value) {
+  let hash = 2166136261;
+  for (let i = 0; i < value.length; i += 1) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+function parsePositiveInt(value, fallback) {
+  const parsed = Number.parseInt(value ?? '', 10);
+  if (Number.isFinite(parsed) && parsed > 0) {
+    return parsed;
+  }
+  return fallback;
+}
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+function round(value, precision = 2) {
+  const factor = 10 ** precision;
+  return Math.round(value * factor) / factor;
+}
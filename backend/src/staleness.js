@@ -0,0 +1,82 @@
+export const STALE_SAMPLE_WEIGHT = 0;
+
+// Readings whose OS timestamp moved by less than this are the same observation served twice.
+const OBSERVED_AT_TOLERANCE_MS = 250;
+// Two or three quantized RSSI values repeat by chance too often to call the vector cached.
+const MIN_REPEATED_VECTOR_SIZE = 4;
+
+export function createStaleTracker() {
+  return {
+    previousVector: null,
+    observedAtByBssid: new Map(),
+    scans: 0,
+    staleScans: 0,
+    lastStaleRatio: 0,
+  };
+}
+
+// macOS and Windows throttle active scans and hand back the previous result set. A reading is stale
+// when the whole vector repeats verbatim or when the OS timestamp shows it predates the last scan.
+export function detectStaleReadings(tracker, results, now) {
+  const readings = results.filter((ap) => ap?.bssid && Number.isFinite(ap.rssi));
+  const stale = new Set();
+  const vector = new Map(readings.map((ap) => [ap.bssid, ap.rssi]));
+
+  if (vector.size >= MIN_REPEATED_VECTOR_SIZE && isSameVector(tracker.previousVector, vector)) {
+    for (const bssid of vector.keys()) {
+      stale.add(bssid);
+    }
+  }
+
+  for (const ap of readings) {
+    if (!Number.isFinite(ap.ageMs)) {
+      continue;
+    }
+    const observedAt = now - Math.max(0, ap.ageMs);
+    const previousObservedAt = tracker.observedAtByBssid.get(ap.bssid);
+    if (previousObservedAt !== undefined && observedAt - previousObservedAt <= OBSERVED_AT_TOLERANCE_MS) {
+      stale.add(ap.bssid);
+    }
+    tracker.observedAtByBssid.set(ap.bssid, Math.max(observedAt, previousObservedAt ?? observedAt));
+  }
+
+  for (const bssid of tracker.observedAtByBssid.keys()) {
+    if (!vector.has(bssid)) {
+      tracker.observedAtByBssid.delete(bssid);
+    }
+  }
+
+  if (vector.size) {
+    tracker.previousVector = vector;
+    tracker.scans += 1;
+    tracker.staleScans += stale.size === vector.size ? 1 : 0;
+    tracker.lastStaleRatio = stale.size / vector.size;
+  }
+  return stale;
+}
+
+export function computeStaleRatio(records) {
+  let total = 0;
+  let stale = 0;
+  for (const record of records) {
+    total += record.sampleStale.length;
+    stale += record.sampleStale.filter(Boolean).length;
+  }
+  return total ? stale / total : 0;
+}
+
+export function freshSamples(record) {
+  return record.samples.filter((_, index) => !record.sampleStale[index]);
+}
+
+function isSameVector(previous, next) {
+  if (!previous || previous.size !== next.size) {
+    return false;
+  }
+  for (const [bssid, rssi] of next) {
+    if (previous.get(bssid) !== rssi) {
+      return false;
+    }
+  }
+  return true;
+}
@@ -0,0 +1,494 @@
+import { readFile } from 'node:fs/promises';
+import { extname } from 'node:path';
+
+import { channelToFrequency, frequencyToBand, frequencyToChannel } from './parser.js';
+import {
+  CAPTURE_FILE_PATTERN,
+  DEFAULT_CAPTURE_BUCKET_MS,
+  bucketCaptureSamples,
+  parseCaptureBuffer,
+} from './pcapImport.js';
+import {
+  addAkmSuites,
+  addCiphers,
+  addProtocol,
+  createSecurityDetail,
+  finalizeSecurityDetail,
+  formatElementSecurityLabel,
+  parseSecurityText,
+} from './security.js';
+
+export const SURVEY_FORMATS = ['pcap', 'airodump', 'netxml', 'kismet'];
+
+const HIDDEN_SSID = '<hidden>';
+const BSSID_PATTERN = /^[0-9a-f]{2}(?::[0-9a-f]{2}){5}$/u;
+const KISMET_AP_TYPES = new Set(['Wi-Fi AP', 'Wi-Fi WDS AP', 'Wi-Fi Ad-Hoc']);
+// Kismet keeps the last minute of per-second signal in a ring indexed by epoch second % 60.
+const KISMET_RRD_SLOTS = 60;
+
+const XML_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+};
+
+export function detectSurveyFormat(path, buffer) {
+  if (CAPTURE_FILE_PATTERN.test(path)) {
+    return 'pcap';
+  }
+
+  const extension = extname(path).toLowerCase();
+  if (extension === '.netxml') {
+    return 'netxml';
+  }
+
+  const head = buffer.subarray(0, 4096).toString('utf8').trimStart();
+  if (extension === '.csv' || /^BSSID,\s*First time seen/u.test(head)) {
+    return 'airodump';
+  }
+  if (extension === '.xml' || head.startsWith('<?xml') || head.includes('<detection-run')) {
+    return 'netxml';
+  }
+  if (extension === '.json' || head.startsWith('[') || head.startsWith('{')) {
+    return 'kismet';
+  }
+  if (buffer.length >= 4) {
+    const magic = buffer.readUInt32LE(0);
+    if (magic === 0xa1b2c3d4 || magic === 0xd4c3b2a1 || magic === 0xa1b23c4d || magic === 0x4d3cb2a1
+      || magic === 0x0a0d0d0a) {
+      return 'pcap';
+    }
+  }
+  return null;
+}
+
+export async function loadSurveyScans(path, { format = null, bucketMs = DEFAULT_CAPTURE_BUCKET_MS } = {}) {
+  const buffer = await readFile(path);
+  const resolvedFormat = format || detectSurveyFormat(path, buffer);
+  if (!resolvedFormat) {
+    throw new Error(`Survey format must be one of ${SURVEY_FORMATS.join(', ')} (could not detect ${path})`);
+  }
+  if (!SURVEY_FORMATS.includes(resolvedFormat)) {
+    throw new Error(`Survey format must be one of ${SURVEY_FORMATS.join(', ')}`);
+  }
+
+  if (resolvedFormat === 'pcap') {
+    const { samples, stats } = parseCaptureBuffer(buffer);
+    return { scans: bucketCaptureSamples(samples, bucketMs), stats };
+  }
+
+  const text = buffer.toString('utf8');
+  if (resolvedFormat === 'kismet') {
+    const { samples, stats } = parseKismetDevices(text);
+    return { scans: bucketCaptureSamples(samples, bucketMs), stats };
+  }
+
+  const { samples, stats } = resolvedFormat === 'airodump' ? parseAirodumpCsv(text) : parseKismetNetxml(text);
+  return { scans: collapseLastSeenSamples(samples), stats };
+}
+
+// airodump-ng `-01.csv`: an AP table, a blank line, then a station table. Only the AP table is used.
+export function parseAirodumpCsv(text) {
+  const stats = createSurveyStats('airodump');
+  const samples = [];
+  let inApTable = false;
+
+  for (const rawLine of String(text || '').split(/\r?\n/u)) {
+    const line = rawLine.replace(/\u0000/gu, '');
+    if (/^\s*BSSID\s*,\s*First time seen/iu.test(line)) {
+      inApTable = true;
+      continue;
+    }
+    if (/^\s*Station MAC\s*,/iu.test(line)) {
+      break;
+    }
+    if (!inApTable || !line.trim()) {
+      continue;
+    }
+
+    stats.records += 1;
+    const fields = line.split(',');
+    if (fields.length < 15) {
+      stats.skippedInvalid += 1;
+      continue;
+    }
+
+    const bssid = fields[0].trim().toLowerCase();
+    const lastSeen = parseLocalTimestamp(fields[2]);
+    const power = Number.parseInt(fields[8], 10);
+    if (!BSSID_PATTERN.test(bssid) || !Number.isFinite(lastSeen)) {
+      stats.skippedInvalid += 1;
+      continue;
+    }
+    // airodump writes -1 when the driver reported no signal for the AP.
+    if (!Number.isFinite(power) || power >= 0 || power === -1) {
+      stats.skippedNoSignal += 1;
+      continue;
+    }
+
+    const idLength = Number.parseInt(fields[12], 10);
+    const essid = fields.slice(13, -1).join(',').replace(/^ /u, '');
+    const detail = createSecurityDetail();
+    addSurveySecurityTokens(detail, {
+      protocols: splitTokens(fields[5]),
+      ciphers: splitTokens(fields[6]),
+      akms: splitTokens(fields[7]),
+    });
+
+    samples.push({
+      t: lastSeen,
+      network: buildSurveyNetwork({
+        bssid,
+        ssid: idLength === 0 ? '' : essid,
+        rssi: power,
+        channel: Number.parseInt(fields[3], 10),
+        frequency: null,
+        detail,
+      }),
+    });
+  }
+
+  stats.accessPoints = samples.length;
+  stats.samples = samples.length;
+  return { samples, stats };
+}
+
+// Kismet netxml (legacy Kismet and airodump-ng `.kismet.netxml`): one <wireless-network> per BSSID,
+// with the last signal in <snr-info>. Client blocks carry their own snr-info and are dropped first.
+export function parseKismetNetxml(text) {
+  const stats = createSurveyStats('netxml');
+  const samples = [];
+
+  for (const match of String(text || '').matchAll(/<wireless-network\b([^>]*)>([\s\S]*?)<\/wireless-network>/gu)) {
+    stats.records += 1;
+    const attributes = readXmlAttributes(match[1]);
+    if (attributes.type && attributes.type !== 'infrastructure' && attributes.type !== 'ad-hoc') {
+      stats.skippedInvalid += 1;
+      continue;
+    }
+
+    const body = match[2].replace(/<wireless-client\b[\s\S]*?<\/wireless-client>/gu, '');
+    const bssid = readXmlText(body, 'BSSID').toLowerCase();
+    const lastSeen = parseLocalTimestamp(attributes['last-time']);
+    if (!BSSID_PATTERN.test(bssid) || !Number.isFinite(lastSeen)) {
+      stats.skippedInvalid += 1;
+      continue;
+    }
+
+    const signal = Number.parseInt(readXmlText(body, 'last_signal_dbm'), 10);
+    if (!Number.isFinite(signal) || signal >= 0) {
+      stats.skippedNoSignal += 1;
+      continue;
+    }
+
+    const essidMatch = body.match(/<essid\b([^>]*)>([\s\S]*?)<\/essid>/u);
+    const cloaked = essidMatch ? readXmlAttributes(essidMatch[1]).cloaked === 'true' : true;
+    const detail = createSecurityDetail();
+    for (const encryption of body.matchAll(/<encryption>([\s\S]*?)<\/encryption>/gu)) {
+      addNetxmlEncryption(detail, decodeXmlText(encryption[1]));
+    }
+
+    samples.push({
+      t: lastSeen,
+      network: buildSurveyNetwork({
+        bssid,
+        ssid: cloaked ? '' : decodeXmlText(essidMatch?.[2] || ''),
+        rssi: signal,
+        channel: Number.parseInt(readXmlText(body, 'channel'), 10),
+        frequency: Number.parseInt(readXmlText(body, 'freqmhz'), 10) || null,
+        detail,
+      }),
+    });
+  }
+
+  stats.accessPoints = samples.length;
+  stats.samples = samples.length;
+  return { samples, stats };
+}
+
+// kismetdb_dump_devices output: a JSON array (or one device per line) of Kismet device records.
+// Field names may use dots or, with the ELK-friendly option, underscores.
+export function parseKismetDevices(text) {
+  const stats = createSurveyStats('kismet');
+  const samples = [];
+
+  for (const device of readKismetDeviceList(text)) {
+    stats.records += 1;
+    const type = kismetField(device, 'kismet.device.base.type');
+    if (type && !KISMET_AP_TYPES.has(type)) {
+      stats.skippedInvalid += 1;
+      continue;
+    }
+
+    const bssid = String(kismetField(device, 'kismet.device.base.macaddr') || '').toLowerCase();
+    if (!BSSID_PATTERN.test(bssid)) {
+      stats.skippedInvalid += 1;
+      continue;
+    }
+
+    const signal = kismetField(device, 'kismet.device.base.signal') || {};
+    const readings = readKismetSignalRrd(kismetField(signal, 'kismet.common.signal.signal_rrd'));
+    const lastTime = Number(kismetField(device, 'kismet.device.base.last_time'));
+    const lastSignal = Number(kismetField(signal, 'kismet.common.signal.last_signal'));
+    if (!readings.length && Number.isFinite(lastTime) && Number.isFinite(lastSignal) && lastSignal < 0) {
+      readings.push({ t: lastTime * 1000, rssi: lastSignal });
+    }
+    if (!readings.length) {
+      stats.skippedNoSignal += 1;
+      continue;
+    }
+
+    const frequencyKhz = Number(kismetField(device, 'kismet.device.base.frequency'));
+    const crypt = String(kismetField(device, 'kismet.device.base.crypt') || '');
+    const detail = parseSecurityText(crypt.replace(/AES-(CCM|OCB)\b/giu, 'CCMP'));
+    const network = buildSurveyNetwork({
+      bssid,
+      ssid: readKismetSsid(device, bssid),
+      rssi: readings[readings.length - 1].rssi,
+      channel: Number.parseInt(kismetField(device, 'kismet.device.base.channel'), 10),
+      frequency: Number.isFinite(frequencyKhz) && frequencyKhz > 0 ? Math.round(frequencyKhz / 1000) : null,
+      detail,
+    });
+
+    stats.accessPoints += 1;
+    for (const reading of readings) {
+      samples.push({ t: reading.t, network: { ...network, rssi: reading.rssi } });
+    }
+  }
+
+  samples.sort((a, b) => a.t - b.t);
+  stats.samples = samples.length;
+  return { samples, stats };
+}
+
+// Archives with one reading per AP become a single scan at the newest last-seen time; older
+// readings carry their age so the stale detector and reports see how old they are.
+function collapseLastSeenSamples(samples) {
+  if (!samples.length) {
+    return [];
+  }
+  const t = Math.max(...samples.map((sample) => sample.t));
+  return [{
+    t,
+    networks: samples.map((sample) => ({ ...sample.network, ageMs: t - sample.t })),
+  }];
+}
+
+function createSurveyStats(format) {
+  return {
+    format,
+    records: 0,
+    accessPoints: 0,
+    samples: 0,
+    skippedInvalid: 0,
+    skippedNoSignal: 0,
+  };
+}
+
+function buildSurveyNetwork({ bssid, ssid, rssi, channel, frequency, detail }) {
+  finalizeSecurityDetail(detail);
+  const validChannel = Number.isInteger(channel) && channel > 0 ? channel : null;
+  const resolvedFrequency = frequency ?? channelToFrequency(validChannel, guessBand(validChannel));
+
+  return {
+    bssid,
+    ssid: cleanSsid(ssid),
+    rssi,
+    channel: validChannel ? String(validChannel) : frequencyToChannel(resolvedFrequency),
+    frequency: resolvedFrequency,
+    band: frequencyToBand(resolvedFrequency),
+    channelWidth: null,
+    secondaryChannelOffset: null,
+    phy: null,
+    bssLoad: null,
+    roaming: null,
+    wps: null,
+    ageMs: null,
+    security: formatElementSecurityLabel(detail),
+    securityDetail: detail,
+  };
+}
+
+// Neither airodump nor legacy Kismet says which band a bare channel number belongs to; 6GHz
+// numbers overlap both plans, so they are left without a frequency.
+function guessBand(channel) {
+  if (channel >= 1 && channel <= 14) {
+    return '2.4ghz';
+  }
+  if (channel >= 32 && channel <= 177) {
+    return '5ghz';
+  }
+  return null;
+}
+
+function addSurveySecurityTokens(detail, { protocols, ciphers, akms }) {
+  for (const token of protocols) {
+    const protocol = normalizeSurveyProtocol(token);
+    if (protocol) {
+      addProtocol(detail, protocol);
+    }
+  }
+  for (const token of ciphers) {
+    addCiphers(detail, normalizeSurveyCipher(token));
+  }
+  for (const token of akms) {
+    addAkmSuites(detail, normalizeSurveyAkm(token));
+  }
+  if (detail.protocols.includes('WEP') && !detail.pairwiseCiphers.length) {
+    addCiphers(detail, 'WEP');
+  }
+}
+
+// "WPA2+AES-CCM", "WPA+PSK", "WEP", "None": protocol, then either a cipher or an AKM.
+function addNetxmlEncryption(detail, value) {
+  const [protocol, suite = ''] = value.trim().split('+');
+  addSurveySecurityTokens(detail, {
+    protocols: [protocol],
+    ciphers: suite && !normalizeSurveyAkm(suite) ? [suite] : [],
+    akms: suite && normalizeSurveyAkm(suite) ? [suite] : [],
+  });
+}
+
+function normalizeSurveyProtocol(token) {
+  const value = token.trim().toUpperCase();
+  if (value === 'WPA' || value === 'WPA1') {
+    return 'WPA';
+  }
+  if (value === 'WPA2' || value === 'WPA3' || value === 'RSN') {
+    return 'RSN';
+  }
+  if (value.startsWith('WEP')) {
+    return 'WEP';
+  }
+  return null;
+}
+
+function normalizeSurveyCipher(token) {
+  const value = token.trim().toUpperCase();
+  if (value === 'AES-CCM' || value === 'AES-CCMP') {
+    return 'CCMP';
+  }
+  return value;
+}
+
+function normalizeSurveyAkm(token) {
+  const value = token.trim().toUpperCase();
+  if (value === 'MGT') {
+    return '802.1X';
+  }
+  return ['PSK', 'SAE', 'OWE'].includes(value) ? value : '';
+}
+
+function splitTokens(value) {
+  return String(value || '').trim().split(/\s+/u).filter(Boolean);
+}
+
+function readKismetDeviceList(text) {
+  const trimmed = String(text || '').trim();
+  if (!trimmed) {
+    return [];
+  }
+  if (trimmed.startsWith('[')) {
+    const parsed = JSON.parse(trimmed);
+    return Array.isArray(parsed) ? parsed.filter((device) => device && typeof device === 'object') : [];
+  }
+
+  const devices = [];
+  for (const line of trimmed.split(/\r?\n/u)) {
+    if (!line.trim()) {
+      continue;
+    }
+    try {
+      const device = JSON.parse(line);
+      if (device && typeof device === 'object') {
+        devices.push(device);
+      }
+    } catch {
+      // kismetdb_dump_devices prints progress lines around the JSON when not writing to a file.
+    }
+  }
+  return devices;
+}
+
+function kismetField(object, key) {
+  if (!object || typeof object !== 'object') {
+    return undefined;
+  }
+  return object[key] ?? object[key.replaceAll('.', '_')];
+}
+
+function readKismetSignalRrd(rrd) {
+  const lastTime = Number(kismetField(rrd, 'kismet.common.rrd.last_time'));
+  const minuteVec = kismetField(rrd, 'kismet.common.rrd.minute_vec');
+  if (!Number.isFinite(lastTime) || !Array.isArray(minuteVec) || minuteVec.length !== KISMET_RRD_SLOTS) {
+    return [];
+  }
+
+  const readings = [];
+  for (let second = lastTime - KISMET_RRD_SLOTS + 1; second <= lastTime; second += 1) {
+    const value = Number(minuteVec[second % KISMET_RRD_SLOTS]);
+    // Empty slots hold 0; signal is always negative dBm.
+    if (Number.isFinite(value) && value < 0) {
+      readings.push({ t: second * 1000, rssi: value });
+    }
+  }
+  return readings;
+}
+
+function readKismetSsid(device, bssid) {
+  const dot11 = kismetField(device, 'dot11.device') || {};
+  const record = kismetField(dot11, 'dot11.device.last_beaconed_ssid_record');
+  const ssid = kismetField(record, 'dot11.advertisedssid.ssid') ?? kismetField(dot11, 'dot11.device.last_beaconed_ssid');
+  if (typeof ssid === 'string') {
+    return ssid;
+  }
+
+  // Kismet falls back to the MAC address when it has no name for the device.
+  const name = String(kismetField(device, 'kismet.device.base.name') || '');
+  return name.toLowerCase() === bssid ? '' : name;
+}
+
+function cleanSsid(value) {
+  const text = String(value || '').replace(/[\u0000-\u001f\u007f]/gu, '').trim();
+  // airodump prints "<length:  N>" for hidden networks it only saw with a blanked SSID.
+  if (!text || /^<length:\s*\d+>$/u.test(text)) {
+    return HIDDEN_SSID;
+  }
+  return text;
+}
+
+// airodump "2023-11-14 22:13:20" and Kismet "Tue Nov 14 22:13:20 2023" are both local time.
+function parseLocalTimestamp(value) {
+  const text = String(value || '').trim();
+  if (!text) {
+    return Number.NaN;
+  }
+  return Date.parse(/^\d{4}-\d{2}-\d{2} \d/u.test(text) ? text.replace(' ', 'T') : text);
+}
+
+function readXmlAttributes(text) {
+  const attributes = {};
+  for (const [, name, value] of String(text || '').matchAll(/([\w-]+)="([^"]*)"/gu)) {
+    attributes[name] = decodeXmlText(value);
+  }
+  return attributes;
+}
+
+function readXmlText(body, tag) {
+  const match = body.match(new RegExp(`<${tag}\\b[^>]*>([\\s\\S]*?)</${tag}>`, 'u'));
+  return match ? decodeXmlText(match[1]).trim() : '';
+}
+
+function decodeXmlText(text) {
+  return String(text || '').replace(/&(#x[0-9a-f]+|#\d+|\w+);/giu, (entity, name) => {
+    if (name[0] === '#') {
+      const code = name[1] === 'x' || name[1] === 'X'
+        ? Number.parseInt(name.slice(2), 16)
+        : Number.parseInt(name.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : entity;
+    }
+    return XML_ENTITIES[name] ?? entity;
+  });
+}
@@ -54,3 +54,147 @@ export function buildClusters(ids, edges, minCorr) {
     summary,
   };
 }
+
+const RADIO_MAX_MEAN_DELTA_DB = 4;
+const RADIO_MIN_SERIES_OVERLAP = 3;
+
+// Multi-SSID radios advertise BSSIDs that differ only in the last octet (often only the last
+// nibble) and see identical RSSI; a device's radios on other channels share the same block.
+export function buildDeviceGroups(aps) {
+  const count = aps.length;
+  const radioSets = createDisjointSets(count);
+  const deviceSets = createDisjointSets(count);
+
+  for (let i = 0; i < count; i += 1) {
+    for (let j = i + 1; j < count; j += 1) {
+      const a = aps[i];
+      const b = aps[j];
+      if (a.bssidSynthetic || b.bssidSynthetic) {
+        continue;
+      }
+
+      const sameRadioBlock = sharesBssidPrefix(a.bssid, b.bssid, 10);
+      if (!sameRadioBlock) {
+        continue;
+      }
+
+      const sameChannel = Boolean(a.channel) && a.channel === b.channel;
+      if (sameChannel) {
+        if (seriesNearlyIdentical(a.samples, b.samples)) {
+          radioSets.union(i, j);
+          deviceSets.union(i, j);
+        }
+        continue;
+      }
+
+      if (sharesBssidPrefix(a.bssid, b.bssid, 11)) {
+        deviceSets.union(i, j);
+      }
+    }
+  }
+
+  const radioById = groupIds(aps, radioSets);
+  const deviceById = groupIds(aps, deviceSets);
+  const membersByDevice = new Map();
+  for (const ap of aps) {
+    const deviceId = deviceById.get(ap.bssid);
+    if (!membersByDevice.has(deviceId)) {
+      membersByDevice.set(deviceId, []);
+    }
+    membersByDevice.get(deviceId).push(ap);
+  }
+
+  const deviceSizeById = new Map();
+  const devices = [];
+  for (const [deviceId, members] of membersByDevice.entries()) {
+    for (const member of members) {
+      deviceSizeById.set(member.bssid, members.length);
+    }
+    if (members.length > 1) {
+      devices.push({
+        deviceId,
+        bssids: members.map((member) => member.bssid),
+        ssids: Array.from(new Set(members.map((member) => member.ssid || '<hidden>'))),
+        radioCount: new Set(members.map((member) => radioById.get(member.bssid))).size,
+      });
+    }
+  }
+
+  devices.sort((a, b) => b.bssids.length - a.bssids.length);
+
+  return {
+    radioById,
+    deviceById,
+    deviceSizeById,
+    devices,
+  };
+}
+
+function createDisjointSets(size) {
+  const parent = Array.from({ length: size }, (_, index) => index);
+
+  function find(index) {
+    while (parent[index] !== index) {
+      parent[index] = parent[parent[index]];
+      index = parent[index];
+    }
+    return index;
+  }
+
+  return {
+    find,
+    union(a, b) {
+      const rootA = find(a);
+      const rootB = find(b);
+      if (rootA !== rootB) {
+        parent[Math.max(rootA, rootB)] = Math.min(rootA, rootB);
+      }
+    },
+  };
+}
+
+// Group ids are the lowest member BSSID so they stay stable across snapshots.
+function groupIds(aps, sets) {
+  const idByRoot = new Map();
+  aps.forEach((ap, index) => {
+    const root = sets.find(index);
+    const current = idByRoot.get(root);
+    if (!current || ap.bssid < current) {
+      idByRoot.set(root, ap.bssid);
+    }
+  });
+
+  return new Map(aps.map((ap, index) => [ap.bssid, idByRoot.get(sets.find(index))]));
+}
+
+// Compares the first `nibbles` hex digits, ignoring the locally administered bit that
+// vendors set on virtual BSSIDs.
+function sharesBssidPrefix(a, b, nibbles) {
+  const hexA = String(a || '').replace(/:/gu, '');
+  const hexB = String(b || '').replace(/:/gu, '');
+  if (hexA.length !== 12 || hexB.length !== 12) {
+    return false;
+  }
+
+  const firstA = Number.parseInt(hexA.slice(0, 2), 16) & ~0x02;
+  const firstB = Number.parseInt(hexB.slice(0, 2), 16) & ~0x02;
+  return firstA === firstB && hexA.slice(2, nibbles) === hexB.slice(2, nibbles);
+}
+
+function seriesNearlyIdentical(a = [], b = []) {
+  const overlap = Math.min(a.length, b.length, 12);
+  if (!overlap) {
+    return false;
+  }
+
+  const tailA = a.slice(a.length - overlap);
+  const tailB = b.slice(b.length - overlap);
+  let delta = 0;
+  for (let index = 0; index < overlap; index += 1) {
+    delta += Math.abs(tailA[index] - tailB[index]);
+  }
+
+  // Short histories only prove the latest readings agree, so hold them to a tighter bound.
+  const limit = overlap >= RADIO_MIN_SERIES_OVERLAP ? RADIO_MAX_MEAN_DELTA_DB : RADIO_MAX_MEAN_DELTA_DB / 2;
+  return delta / overlap <= limit;
+}
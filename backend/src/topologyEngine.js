@@ -0,0 +1,731 @@
+import { detectRssiStep, diffApAttributes, diffClusterMembership } from './changeEvents.js';
+import { computeStabilityScore } from './insights.js';
+import { embedPositions } from './mds.js';
+import { isLocallyAdministered, lookupVendor } from './oui.js';
+import { buildSnapshotPacket, positionMapToObject } from './schema.js';
+import { parseSecurityText } from './security.js';
+import {
+  STALE_SAMPLE_WEIGHT,
+  computeStaleRatio,
+  createStaleTracker,
+  detectStaleReadings,
+  freshSamples,
+} from './staleness.js';
+import {
+  buildCorrelationMatrix,
+  buildTopCorrelationEdges,
+  correlationToDistance,
+  mean,
+  variance,
+} from './stats.js';
+import { buildClusters, buildDeviceGroups } from './topology.js';
+
+export const LOCAL_SENSOR_ID = 'local';
+export const MERGED_SENSOR_VIEW = 'merged';
+export const ENGINE_EVENTS = ['ingest', 'snapshot', 'evict', 'change', 'config'];
+export const DEFAULT_PARTNER_COUNT = 10;
+
+const HIDDEN_SSID = '<hidden>';
+const INTERFACE_NAME_PATTERN = /^[A-Za-z0-9_.-]{1,32}$/u;
+const DEFAULT_ENGINE_CONFIG = {
+  scanIntervalMs: 1000,
+  windowSize: 30,
+  evictAfterMs: 30_000,
+  maxAps: 40,
+  minOverlap: 8,
+  edgeThreshold: 0.6,
+  maxEdges: 120,
+  sensorView: LOCAL_SENSOR_ID,
+  sensorRetentionMs: 5 * 60_000,
+  rssiStepDb: 10,
+};
+const POSITIVE_INT_KEYS = [
+  'scanIntervalMs',
+  'windowSize',
+  'evictAfterMs',
+  'maxAps',
+  'minOverlap',
+  'maxEdges',
+  'sensorRetentionMs',
+  'rssiStepDb',
+];
+
+// Rolling per-sensor AP windows plus the correlation, MDS and cluster pipeline that turns them
+// into snapshot packets. The server, analyze and import all drive one of these; it does no I/O.
+export function createTopologyEngine(config = {}) {
+  const engineConfig = { ...DEFAULT_ENGINE_CONFIG, ...pickEngineConfig(config) };
+  const sensorStates = new Map();
+  const mergedPositionState = new Map();
+  const listeners = new Map(ENGINE_EVENTS.map((event) => [event, new Set()]));
+  // Correlation and clusters from the latest snapshot, so AP detail reports what the view showed.
+  let lastTopology = null;
+  let lastClusterState = null;
+  let nextChangeId = 1;
+
+  getSensorState(LOCAL_SENSOR_ID);
+
+  function on(event, listener) {
+    if (!listeners.has(event)) {
+      throw new Error(`event must be one of ${ENGINE_EVENTS.join(', ')}`);
+    }
+    listeners.get(event).add(listener);
+    return () => {
+      listeners.get(event).delete(listener);
+    };
+  }
+
+  function emit(event, payload) {
+    for (const listener of listeners.get(event)) {
+      listener(payload);
+    }
+  }
+
+  function ingest(
+    results,
+    t = Date.now(),
+    { sensorId = LOCAL_SENSOR_ID, scanSource = null, reportedAt = null, remoteAddress = null } = {},
+  ) {
+    const sensor = getSensorState(sensorId);
+    const changes = applyScanResults(results, t, sensor);
+    sensor.lastSeen = t;
+    sensor.lastReportedAt = reportedAt;
+    sensor.scanCount += 1;
+    sensor.scanSource = scanSource || results.find((network) => network.scanSource)?.scanSource || sensor.scanSource;
+    sensor.remoteAddress = remoteAddress;
+    applyInterfaceResults(results, t, sensor);
+
+    const summary = describeSensor(sensor, t);
+    emit('ingest', { t, sensorId, networks: results, sensor: summary });
+    if (changes.length) {
+      emit('change', changes);
+    }
+    return summary;
+  }
+
+  function snapshot(t = Date.now(), { mode = 'live', meta = {} } = {}) {
+    const view = engineConfig.sensorView;
+    const merged = view === MERGED_SENSOR_VIEW;
+    const viewSensor = merged ? sensorStates.get(LOCAL_SENSOR_ID) : sensorStates.get(view) ?? null;
+    const positionState = merged ? mergedPositionState : viewSensor?.positionState ?? new Map();
+    const rssiBySensor = collectSensorRssi(t);
+
+    const activeRecords = collectViewRecords(view, t)
+      .sort((a, b) => b.latestRssi - a.latestRssi)
+      .slice(0, engineConfig.maxAps);
+
+    const ids = activeRecords.map((record) => record.bssid);
+    const sampleSeries = activeRecords.map((record) => record.samples);
+    const sampleWeightSeries = activeRecords.map((record) => record.sampleWeights);
+
+    const corrMatrix = buildCorrelationMatrix(sampleSeries, sampleWeightSeries, engineConfig.minOverlap);
+    if (merged) {
+      // Series from different sensors are not sampled together, so their correlation means nothing.
+      for (let i = 0; i < activeRecords.length; i += 1) {
+        for (let j = 0; j < activeRecords.length; j += 1) {
+          if (activeRecords[i].sensorId !== activeRecords[j].sensorId) {
+            corrMatrix[i][j] = 0;
+          }
+        }
+      }
+    }
+    const distanceMatrix = corrMatrix.map((row) => row.map((corr) => correlationToDistance(corr)));
+
+    const nextPositions = embedPositions({
+      ids,
+      distanceMatrix,
+      previousPositions: positionState,
+      radius: 50,
+      smoothing: 0.2,
+    });
+
+    positionState.clear();
+    for (const [id, position] of nextPositions.entries()) {
+      positionState.set(id, position);
+    }
+
+    const edges = buildTopCorrelationEdges(
+      ids,
+      corrMatrix,
+      2,
+      engineConfig.edgeThreshold,
+      engineConfig.maxEdges,
+    );
+
+    const clusters = buildClusters(ids, edges, engineConfig.edgeThreshold);
+    const deviceGroups = buildDeviceGroups(activeRecords);
+    lastTopology = { t, view, ids, corrMatrix, clusterById: clusters.clusterById };
+
+    // Switching views swaps the whole AP set, which is not a membership change.
+    const membership = diffClusterMembership(
+      lastClusterState?.view === view ? lastClusterState.state : null,
+      ids,
+      clusters.clusterById,
+      {
+        trackedIds: activeRecords
+          .filter(
+            (record) =>
+              record.samples.length >= engineConfig.windowSize
+              && freshSamples(record).length >= engineConfig.minOverlap,
+          )
+          .map((record) => record.bssid),
+        settleSnapshots: engineConfig.windowSize,
+        quietSnapshots: engineConfig.windowSize,
+      },
+    );
+    lastClusterState = { view, state: membership.state };
+    if (membership.changes.length) {
+      const recordById = new Map(activeRecords.map((record) => [record.bssid, record]));
+      emit(
+        'change',
+        membership.changes.map(({ bssid, from, to }) =>
+          buildChange(t, recordById.get(bssid), 'cluster_changed', { from, to }),
+        ),
+      );
+    }
+
+    const aps = activeRecords.map((record) => {
+      const fresh = freshSamples(record);
+      const sampleVariance = variance(fresh);
+
+      return {
+        bssid: record.bssid,
+        ssid: record.ssid,
+        vendor: record.vendor,
+        randomizedMac: record.randomizedMac,
+        sensorId: record.sensorId,
+        sensorRssi: rssiBySensor.get(record.bssid) || {},
+        interface: record.interface,
+        rssi: record.latestRssi,
+        channel: record.channel,
+        frequency: record.frequency,
+        band: record.band,
+        channelWidth: record.channelWidth,
+        secondaryChannelOffset: record.secondaryChannelOffset,
+        phy: record.phy,
+        bssLoad: record.bssLoad,
+        associated: record.associated,
+        linkRateMbps: record.linkRateMbps,
+        security: record.security,
+        securityDetail: record.securityDetail,
+        roaming: record.roaming,
+        wps: record.wps,
+        scanSource: record.scanSource,
+        rssiEstimated: record.rssiEstimated,
+        stale: record.latestStale,
+        staleSamples: record.samples.length - fresh.length,
+        sampleQuality: round(mean(record.sampleWeights), 2),
+        sampleCount: record.samples.length,
+        meanRssi: round(mean(fresh.length ? fresh : record.samples), 2),
+        variance: round(sampleVariance, 2),
+        // Stability is variance-normalized and confidence-weighted by sample count.
+        stability: computeStabilityScore({
+          varianceValue: sampleVariance,
+          sampleCount: fresh.length,
+          varRef: 100,
+          countRef: engineConfig.windowSize,
+        }),
+        clusterId: clusters.clusterById.get(record.bssid) || 0,
+        clusterSize: clusters.clusterSizeById.get(record.bssid) || 1,
+        radioId: deviceGroups.radioById.get(record.bssid) || record.bssid,
+        deviceId: deviceGroups.deviceById.get(record.bssid) || record.bssid,
+        deviceSize: deviceGroups.deviceSizeById.get(record.bssid) || 1,
+        lastSeen: record.lastSeen,
+      };
+    });
+
+    const packet = buildSnapshotPacket({
+      t,
+      aps,
+      positions: positionMapToObject(nextPositions),
+      edges,
+      meta: {
+        mode,
+        scanPlatform: process.platform,
+        scanSource: merged ? MERGED_SENSOR_VIEW : viewSensor?.scanSource ?? null,
+        sensorView: view,
+        sensors: listSensors(t),
+        scanIntervalMs: engineConfig.scanIntervalMs,
+        windowSize: engineConfig.windowSize,
+        edgeThreshold: engineConfig.edgeThreshold,
+        minOverlap: engineConfig.minOverlap,
+        maxAps: engineConfig.maxAps,
+        activeApCount: activeRecords.length,
+        staleRatio: round(computeStaleRatio(activeRecords), 3),
+        lastScanStaleRatio: round(viewSensor?.staleTracker.lastStaleRatio ?? 0, 3),
+        staleScans: viewSensor?.staleTracker.staleScans ?? 0,
+        scanCount: viewSensor?.scanCount ?? 0,
+        clusterCount: clusters.summary.length,
+        clusterSizes: clusters.summary,
+        deviceCount: new Set(deviceGroups.deviceById.values()).size,
+        multiBssidDevices: deviceGroups.devices.length,
+        ...meta,
+      },
+    });
+
+    emit('snapshot', packet);
+    return packet;
+  }
+
+  // The full rolling series of one AP in the current view plus its strongest correlation partners.
+  function describeAp(bssid, t = Date.now(), { partners = DEFAULT_PARTNER_COUNT } = {}) {
+    const view = engineConfig.sensorView;
+    const records = collectViewRecords(view, t);
+    const record = records.find((candidate) => candidate.bssid === bssid);
+    if (!record) {
+      return null;
+    }
+
+    const topology = lastTopology?.view === view ? lastTopology : null;
+    const index = topology ? topology.ids.indexOf(bssid) : -1;
+    const correlations = [];
+    let cluster = null;
+    if (index >= 0) {
+      const ssidById = new Map(records.map((candidate) => [candidate.bssid, candidate.ssid]));
+      topology.ids.forEach((id, j) => {
+        const corr = topology.corrMatrix[index][j];
+        // Zero means the two series did not overlap enough to correlate.
+        if (j !== index && corr !== 0) {
+          correlations.push({ bssid: id, ssid: ssidById.get(id) ?? null, corr: round(corr, 3) });
+        }
+      });
+      correlations.sort((a, b) => b.corr - a.corr);
+
+      const clusterId = topology.clusterById.get(bssid) || 0;
+      cluster = {
+        clusterId,
+        members: clusterId ? topology.ids.filter((id) => topology.clusterById.get(id) === clusterId) : [bssid],
+      };
+    }
+
+    const fresh = freshSamples(record);
+    return {
+      bssid: record.bssid,
+      ssid: record.ssid,
+      ssidHistory: [...record.ssidHistory],
+      vendor: record.vendor,
+      randomizedMac: record.randomizedMac,
+      bssidSynthetic: record.bssidSynthetic,
+      sensorId: record.sensorId,
+      interface: record.interface,
+      scanSource: record.scanSource,
+      channel: record.channel,
+      frequency: record.frequency,
+      band: record.band,
+      security: record.security,
+      firstSeen: record.firstSeen,
+      lastSeen: record.lastSeen,
+      rssi: record.latestRssi,
+      meanRssi: round(mean(fresh.length ? fresh : record.samples), 2),
+      variance: round(variance(fresh), 2),
+      sampleTimes: [...record.sampleTimes],
+      samples: [...record.samples],
+      sampleWeights: [...record.sampleWeights],
+      sampleEstimated: [...record.sampleEstimated],
+      sampleStale: [...record.sampleStale],
+      correlationAt: topology?.t ?? null,
+      correlations: correlations.slice(0, partners),
+      cluster,
+    };
+  }
+
+  function updateConfig(updates = {}) {
+    const next = pickEngineConfig(updates);
+    if (next.sensorView !== undefined && !isKnownView(next.sensorView)) {
+      throw new Error(`sensorView must be "${LOCAL_SENSOR_ID}", "${MERGED_SENSOR_VIEW}" or a known sensor id`);
+    }
+
+    const previousWindowSize = engineConfig.windowSize;
+    Object.assign(engineConfig, next);
+    if (engineConfig.windowSize < previousWindowSize) {
+      trimWindowForAllRecords(engineConfig.windowSize);
+    }
+
+    emit('config', getConfig());
+    return getConfig();
+  }
+
+  function getConfig() {
+    return { ...engineConfig };
+  }
+
+  function isKnownView(view) {
+    return view === LOCAL_SENSOR_ID || view === MERGED_SENSOR_VIEW || sensorStates.has(view);
+  }
+
+  function listSensors(t = Date.now()) {
+    return Array.from(sensorStates.values()).map((sensor) => describeSensor(sensor, t));
+  }
+
+  function describeSensor(sensor, t) {
+    return {
+      sensorId: sensor.sensorId,
+      local: sensor.local,
+      parentId: sensor.parentId,
+      interface: sensor.interface,
+      active: t - sensor.lastSeen <= engineConfig.evictAfterMs,
+      apCount: sensor.apState.size,
+      scanCount: sensor.scanCount,
+      scanSource: sensor.scanSource,
+      lastSeen: sensor.lastSeen,
+      lastReportedAt: sensor.lastReportedAt,
+      remoteAddress: sensor.remoteAddress,
+    };
+  }
+
+  function pruneSensors(t = Date.now()) {
+    for (const [sensorId, sensor] of sensorStates.entries()) {
+      if (sensorId !== LOCAL_SENSOR_ID && t - sensor.lastSeen > engineConfig.sensorRetentionMs) {
+        sensorStates.delete(sensorId);
+      }
+    }
+  }
+
+  function countTrackedAps(sensorId = LOCAL_SENSOR_ID) {
+    return sensorStates.get(sensorId)?.apState.size ?? 0;
+  }
+
+  // Returns change events for top-level sensors; per-interface children would only repeat them.
+  function applyScanResults(results, now, sensor) {
+    const { apState, positionState } = sensor;
+    const changes = [];
+    const trackChanges = !sensor.parentId;
+    const staleBssids = detectStaleReadings(sensor.staleTracker, results, now);
+
+    // Association describes the latest scan only, so it moves with the host rather than sticking.
+    if (results.length) {
+      for (const record of apState.values()) {
+        record.associated = false;
+        record.linkRateMbps = null;
+      }
+    }
+
+    for (const ap of results) {
+      if (!Number.isFinite(ap.rssi)) {
+        continue;
+      }
+
+      let record = apState.get(ap.bssid);
+      const known = Boolean(record);
+
+      if (!record) {
+        record = {
+          bssid: ap.bssid,
+          sensorId: sensor.sensorId,
+          interface: ap.interface ?? null,
+          ssid: ap.ssid,
+          ssidHistory: [ap.ssid],
+          vendor: ap.bssidSynthetic ? null : lookupVendor(ap.bssid),
+          randomizedMac: !ap.bssidSynthetic && isLocallyAdministered(ap.bssid),
+          bssidSynthetic: Boolean(ap.bssidSynthetic),
+          firstSeen: now,
+          sampleTimes: [],
+          samples: [],
+          sampleWeights: [],
+          sampleEstimated: [],
+          sampleStale: [],
+          lastSeen: now,
+          latestRssi: ap.rssi,
+          latestWeight: deriveSampleWeight(ap),
+          rssiEstimated: Boolean(ap.rssiEstimated),
+          scanSource: ap.scanSource || 'airport',
+          channel: ap.channel,
+          frequency: ap.frequency ?? null,
+          band: ap.band,
+          channelWidth: ap.channelWidth ?? null,
+          secondaryChannelOffset: ap.secondaryChannelOffset ?? null,
+          phy: ap.phy ?? null,
+          bssLoad: ap.bssLoad ?? null,
+          associated: false,
+          linkRateMbps: null,
+          security: ap.security,
+          securityDetail: ap.securityDetail ?? parseSecurityText(ap.security),
+          roaming: ap.roaming ?? null,
+          wps: ap.wps ?? null,
+        };
+        apState.set(ap.bssid, record);
+        // A sensor's first scan is its baseline rather than a wave of arrivals.
+        if (trackChanges && sensor.scanCount > 0) {
+          changes.push(buildChange(now, record, 'ap_appeared', { rssi: ap.rssi }));
+        }
+      }
+
+      if (trackChanges && known) {
+        for (const change of diffApAttributes(record, ap)) {
+          changes.push(buildChange(now, record, change.kind, { from: change.from, to: change.to }));
+        }
+      }
+
+      record.lastSeen = now;
+      record.interface = ap.interface ?? null;
+      record.latestRssi = ap.rssi;
+      record.latestStale = staleBssids.has(ap.bssid);
+      // Cached readings keep the series aligned but carry no weight into the correlation.
+      record.latestWeight = record.latestStale ? STALE_SAMPLE_WEIGHT : deriveSampleWeight(ap);
+      record.rssiEstimated = Boolean(ap.rssiEstimated);
+      record.scanSource = ap.scanSource || 'airport';
+      record.channel = ap.channel;
+      record.frequency = ap.frequency ?? null;
+      record.band = ap.band;
+      record.channelWidth = ap.channelWidth ?? null;
+      record.secondaryChannelOffset = ap.secondaryChannelOffset ?? null;
+      record.phy = ap.phy ?? null;
+      record.bssLoad = ap.bssLoad ?? null;
+      record.associated = ap.associated === true;
+      record.linkRateMbps = ap.associated === true ? ap.linkRateMbps ?? null : null;
+      record.security = ap.security;
+      record.securityDetail = ap.securityDetail ?? parseSecurityText(ap.security);
+      record.roaming = ap.roaming ?? null;
+      record.wps = ap.wps ?? null;
+
+      if (shouldReplaceSsid(record.ssid, ap.ssid)) {
+        const previousSsid = record.ssid;
+        record.ssid = ap.ssid;
+        if (!record.ssidHistory.includes(ap.ssid)) {
+          record.ssidHistory.push(ap.ssid);
+          if (record.ssidHistory.length > 5) {
+            record.ssidHistory.shift();
+          }
+        }
+        if (trackChanges) {
+          changes.push(
+            buildChange(now, record, 'ssid_changed', {
+              from: previousSsid,
+              to: ap.ssid,
+              ssidHistory: [...record.ssidHistory],
+            }),
+          );
+        }
+      }
+
+      record.sampleTimes.push(now);
+      record.samples.push(ap.rssi);
+      record.sampleWeights.push(record.latestWeight);
+      record.sampleEstimated.push(Boolean(ap.rssiEstimated));
+      record.sampleStale.push(record.latestStale);
+      record.samplesSinceStep = (record.samplesSinceStep ?? 0) + 1;
+
+      if (record.samples.length > engineConfig.windowSize) {
+        record.sampleTimes.shift();
+        record.samples.shift();
+        record.sampleWeights.shift();
+        record.sampleEstimated.shift();
+        record.sampleStale.shift();
+      }
+
+      const step = trackChanges && !record.latestStale ? detectRssiStep(record, engineConfig.rssiStepDb) : null;
+      if (step) {
+        record.samplesSinceStep = 0;
+        changes.push(buildChange(now, record, 'rssi_step', step));
+      }
+    }
+
+    for (const [bssid, record] of apState.entries()) {
+      if (now - record.lastSeen > engineConfig.evictAfterMs) {
+        apState.delete(bssid);
+        positionState.delete(bssid);
+        emit('evict', { t: now, sensorId: sensor.sensorId, bssid, ssid: record.ssid, lastSeen: record.lastSeen });
+        if (trackChanges) {
+          changes.push(buildChange(now, record, 'ap_evicted', { lastSeen: record.lastSeen }));
+        }
+      }
+    }
+    return changes;
+  }
+
+  function buildChange(t, record, kind, details) {
+    return {
+      id: nextChangeId++,
+      t,
+      kind,
+      sensorId: record.sensorId,
+      bssid: record.bssid,
+      ssid: record.ssid,
+      ...details,
+    };
+  }
+
+  // Multi-adapter scans report every adapter's reading in interfaceRssi; each adapter then
+  // keeps its own rolling series as a child sensor ("<sensorId>:<interface>").
+  function applyInterfaceResults(results, now, parentSensor) {
+    const byInterface = new Map();
+    for (const ap of results) {
+      if (!ap.interfaceRssi || typeof ap.interfaceRssi !== 'object') {
+        continue;
+      }
+      for (const [iface, rssi] of Object.entries(ap.interfaceRssi)) {
+        if (!INTERFACE_NAME_PATTERN.test(iface) || !Number.isFinite(rssi)) {
+          continue;
+        }
+        if (!byInterface.has(iface)) {
+          byInterface.set(iface, []);
+        }
+        byInterface.get(iface).push({ ...ap, rssi, interface: iface });
+      }
+    }
+
+    // A single adapter is already the parent sensor's own series.
+    if (byInterface.size < 2) {
+      return;
+    }
+
+    for (const [iface, networks] of byInterface.entries()) {
+      const sensor = getSensorState(`${parentSensor.sensorId}:${iface}`, {
+        local: parentSensor.local,
+        parentId: parentSensor.sensorId,
+        interface: iface,
+      });
+      applyScanResults(networks, now, sensor);
+      sensor.lastSeen = now;
+      sensor.lastReportedAt = parentSensor.lastReportedAt;
+      sensor.scanCount += 1;
+      sensor.scanSource = parentSensor.scanSource;
+      sensor.remoteAddress = parentSensor.remoteAddress;
+    }
+  }
+
+  function getSensorState(
+    sensorId,
+    { local = sensorId === LOCAL_SENSOR_ID, parentId = null, interface: iface = null } = {},
+  ) {
+    let sensor = sensorStates.get(sensorId);
+    if (!sensor) {
+      sensor = {
+        sensorId,
+        local,
+        parentId,
+        interface: iface,
+        apState: new Map(),
+        positionState: new Map(),
+        lastSeen: 0,
+        lastReportedAt: null,
+        scanCount: 0,
+        scanSource: null,
+        remoteAddress: null,
+        staleTracker: createStaleTracker(),
+      };
+      sensorStates.set(sensorId, sensor);
+    }
+    return sensor;
+  }
+
+  function isActiveRecord(record, now) {
+    return now - record.lastSeen <= engineConfig.evictAfterMs;
+  }
+
+  function collectViewRecords(view, now) {
+    if (view !== MERGED_SENSOR_VIEW) {
+      const sensor = sensorStates.get(view);
+      return sensor ? Array.from(sensor.apState.values()).filter((record) => isActiveRecord(record, now)) : [];
+    }
+
+    // The merged view shows each BSSID once, as heard by the sensor closest to it.
+    const strongestByBssid = new Map();
+    for (const sensor of sensorStates.values()) {
+      for (const record of sensor.apState.values()) {
+        if (!isActiveRecord(record, now)) {
+          continue;
+        }
+        const existing = strongestByBssid.get(record.bssid);
+        if (!existing || record.latestRssi > existing.latestRssi) {
+          strongestByBssid.set(record.bssid, record);
+        }
+      }
+    }
+    return Array.from(strongestByBssid.values());
+  }
+
+  function collectSensorRssi(now) {
+    const rssiBySensor = new Map();
+    for (const sensor of sensorStates.values()) {
+      for (const record of sensor.apState.values()) {
+        if (!isActiveRecord(record, now)) {
+          continue;
+        }
+        if (!rssiBySensor.has(record.bssid)) {
+          rssiBySensor.set(record.bssid, {});
+        }
+        rssiBySensor.get(record.bssid)[sensor.sensorId] = record.latestRssi;
+      }
+    }
+    return rssiBySensor;
+  }
+
+  function trimWindowForAllRecords(windowSize) {
+    for (const sensor of sensorStates.values()) {
+      for (const record of sensor.apState.values()) {
+        const excess = record.samples.length - windowSize;
+        if (excess > 0) {
+          record.sampleTimes = record.sampleTimes.slice(excess);
+          record.samples = record.samples.slice(excess);
+          record.sampleWeights = record.sampleWeights.slice(excess);
+          record.sampleEstimated = record.sampleEstimated.slice(excess);
+          record.sampleStale = record.sampleStale.slice(excess);
+        }
+      }
+    }
+  }
+
+  return {
+    on,
+    ingest,
+    snapshot,
+    describeAp,
+    updateConfig,
+    getConfig,
+    isKnownView,
+    listSensors,
+    pruneSensors,
+    countTrackedAps,
+  };
+}
+
+function pickEngineConfig(input) {
+  const picked = {};
+  for (const key of Object.keys(DEFAULT_ENGINE_CONFIG)) {
+    if (input?.[key] === undefined) {
+      continue;
+    }
+    const value = input[key];
+    if (POSITIVE_INT_KEYS.includes(key) && !(Number.isInteger(value) && value > 0)) {
+      throw new Error(`${key} must be a positive integer`);
+    }
+    if (key === 'edgeThreshold' && !(Number.isFinite(value) && value >= 0 && value <= 1)) {
+      throw new Error('edgeThreshold must be a number between 0 and 1');
+    }
+    if (key === 'sensorView' && typeof value !== 'string') {
+      throw new Error('sensorView must be a sensor id string');
+    }
+    picked[key] = value;
+  }
+  return picked;
+}
+
+function deriveSampleWeight(ap) {
+  if (ap.rssiEstimated) {
+    return 0.12;
+  }
+  if (String(ap.scanSource || '').endsWith('system_profiler')) {
+    return 0.45;
+  }
+  if (ap.bssidSynthetic) {
+    return 0.35;
+  }
+  return 1;
+}
+
+function shouldReplaceSsid(existingSsid, incomingSsid) {
+  if (existingSsid === incomingSsid) {
+    return false;
+  }
+
+  return !(isHiddenSsid(incomingSsid) && !isHiddenSsid(existingSsid));
+}
+
+function isHiddenSsid(value) {
+  return String(value || '').trim() === HIDDEN_SSID;
+}
+
+function round(value, precision = 2) {
+  const factor = 10 ** precision;
+  return Math.round(value * factor) / factor;
+}
@@ -1,23 +1,51 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
 import { execFile } from 'node:child_process';
 import { constants as fsConstants } from 'node:fs';
 import { access, mkdir, stat } from 'node:fs/promises';
-import { dirname, join } from 'node:path';
+import { delimiter, dirname, isAbsolute, join, sep } from 'node:path';
 import { fileURLToPath } from 'node:url';
 import { promisify } from 'node:util';
 
 import {
+  channelToFrequency,
+  frequencyToBand,
+  parseAirportInfoOutput,
   parseAirportOutput,
+  parseIwLinkOutput,
   parseIwScanOutput,
+  parseNetshInterfacesOutput,
   parseNetshOutput,
+  parseNmcliActiveOutput,
   parseNmcliOutput,
   parseSystemProfilerOutput,
+  parseWpaCliScanResults,
+  parseWpaCliStatusOutput,
 } from './parser.js';
+import { applyRssiCalibration } from './calibration.js';
+import { readNextFixture } from './fixtureProvider.js';
+import { parseSecurityText } from './security.js';
+import { getDefaultSimulator } from './simulator.js';
 
-const execFileAsync = promisify(execFile);
+const execFileUntraced = promisify(execFile);
 const BSSID_PATTERN = /^(?:[0-9a-f]{2}:){5}[0-9a-f]{2}$/u;
 const HIDDEN_SSID = '<hidden>';
 const MIN_COREWLAN_IDENTIFIED_APS = 3;
 const MIN_COREWLAN_IDENTIFIED_RATIO = 0.18;
+const MAX_SCAN_INTERFACES = 4;
+const DIAGNOSTIC_TICK_LIMIT = 20;
+const DIAGNOSTIC_COMMAND_LIMIT = 16;
+const STDERR_EXCERPT_CHARS = 400;
+const MAX_TARGET_SSIDS = 8;
+export const SCAN_TARGET_BANDS = ['2.4ghz', '5ghz', '6ghz'];
+// Channel numbers 1-233 exist in 6GHz too; they are only probed there when that band is selected.
+const BAND_CHANNELS = {
+  '2.4ghz': Array.from({ length: 14 }, (_, index) => index + 1),
+  '5ghz': [
+    36, 40, 44, 48, 52, 56, 60, 64, 100, 104, 108, 112, 116, 120, 124, 128, 132, 136, 140, 144, 149,
+    153, 157, 161, 165, 169, 173, 177,
+  ],
+  '6ghz': Array.from({ length: 59 }, (_, index) => 1 + index * 4),
+};
 
 export const DEFAULT_AIRPORT_PATH =
   '/System/Library/PrivateFrameworks/Apple80211.framework/Versions/Current/Resources/airport';
@@ -27,6 +55,7 @@ const CLANG_PATH = '/usr/bin/clang';
 const NETSH_COMMANDS = ['netsh'];
 const NMCLI_COMMANDS = ['/usr/bin/nmcli', '/bin/nmcli', 'nmcli'];
 const IW_COMMANDS = ['/usr/sbin/iw', '/sbin/iw', '/usr/bin/iw', 'iw'];
+const WPA_CLI_COMMANDS = ['/usr/sbin/wpa_cli', '/sbin/wpa_cli', '/usr/bin/wpa_cli', 'wpa_cli'];
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const backendRoot = join(__dirname, '..');
@@ -37,6 +66,9 @@ const windowsNativeBinaryPath = join(nativeBinaryDir, 'windows_wlan_scan.exe');
 const IWCTL_COMMANDS = ['/usr/bin/iwctl', '/bin/iwctl', 'iwctl'];
 
 const inferredRssiCache = new Map();
+// Commands run inside a provider attempt are logged against it for /diagnostics/scanner.
+const attemptContext = new AsyncLocalStorage();
+const diagnosticTicks = [];
 let nativeBuildPromise = null;
 let nativeBuildAttempted = false;
 let lastScanSource = 'none';
@@ -45,104 +77,574 @@ export function getLastScanSource() {
   return lastScanSource;
 }
 
+export function getScanDiagnostics(limit = DIAGNOSTIC_TICK_LIMIT) {
+  return {
+    platform: process.platform,
+    lastScanSource,
+    ticks: diagnosticTicks.slice(-limit).reverse(),
+  };
+}
+
+export const DEFAULT_PROVIDER_CHAINS = {
+  darwin: ['airport', 'corewlan', 'system_profiler'],
+  win32: ['windows_native', 'netsh'],
+  linux: ['nmcli', 'wpa_cli', 'iw', 'iwctl'],
+};
+
+const NONE_SOURCE_BY_PLATFORM = {
+  darwin: 'mac_none',
+  win32: 'windows_none',
+  linux: 'linux_none',
+};
+
+const providerRegistry = new Map();
+
+export function registerScanProvider(provider) {
+  const name = String(provider?.name || '').trim();
+  if (!name) {
+    throw new Error('scan provider name is required');
+  }
+  if (typeof provider.scan !== 'function') {
+    throw new Error(`scan provider ${name} must be an object with a scan() function`);
+  }
+
+  providerRegistry.set(name, {
+    name,
+    source: provider.source || name,
+    platform: provider.platform || null,
+    isAvailable: typeof provider.isAvailable === 'function' ? provider.isAvailable : () => true,
+    isUsable: typeof provider.isUsable === 'function' ? provider.isUsable : null,
+    describeUnusable:
+      typeof provider.describeUnusable === 'function' ? provider.describeUnusable : null,
+    queryAssociation:
+      typeof provider.queryAssociation === 'function' ? provider.queryAssociation : null,
+    scan: provider.scan,
+  });
+}
+
+export function listScanProviders() {
+  return Array.from(providerRegistry.keys());
+}
+
+export function parseScanProviderList(value) {
+  const items = Array.isArray(value) ? value : String(value ?? '').split(',');
+  const names = [];
+
+  for (const item of items) {
+    const name = String(item ?? '').trim().toLowerCase();
+    if (!name || names.includes(name)) {
+      continue;
+    }
+    if (!providerRegistry.has(name)) {
+      throw new Error(`invalid scan provider: ${name} (known: ${listScanProviders().join(', ')})`);
+    }
+    names.push(name);
+  }
+
+  return names;
+}
+
+export function parseScanTarget(value) {
+  const input = value ?? {};
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('scanTarget must be an object with bands, channels and ssids');
+  }
+
+  const bands = [];
+  for (const item of splitList(input.bands)) {
+    const band = item.toLowerCase().replace(/\s+/gu, '').replace(/(ghz)?$/u, 'ghz');
+    if (!SCAN_TARGET_BANDS.includes(band)) {
+      throw new Error(`invalid scan band: ${item} (known: 2.4GHz, 5GHz, 6GHz)`);
+    }
+    if (!bands.includes(band)) {
+      bands.push(band);
+    }
+  }
+
+  const channels = [];
+  for (const item of splitList(input.channels)) {
+    const channel = Number(item);
+    if (!Number.isInteger(channel) || channel < 1 || channel > 233) {
+      throw new Error(`invalid scan channel: ${item} (must be between 1 and 233)`);
+    }
+    if (!channels.includes(channel)) {
+      channels.push(channel);
+    }
+  }
+
+  const ssids = [...new Set(splitList(input.ssids))];
+  if (ssids.length > MAX_TARGET_SSIDS) {
+    throw new Error(`scanTarget.ssids must be a list of at most ${MAX_TARGET_SSIDS} names`);
+  }
+  if (ssids.some((ssid) => Buffer.byteLength(ssid) > 32)) {
+    throw new Error('scanTarget.ssids must be at most 32 bytes each');
+  }
+
+  return { bands, channels, ssids, passive: input.passive === true && !ssids.length };
+}
+
+export function isScanTargetActive(target) {
+  return Boolean(target && (target.bands.length || target.channels.length || target.ssids.length));
+}
+
+export function filterScanTarget(networks, target) {
+  if (!isScanTargetActive(target)) {
+    return networks;
+  }
+
+  // Bare channel numbers mean 2.4GHz/5GHz, matching what the iw frequency list probes.
+  const bands = target.bands.length || !target.channels.length ? target.bands : ['2.4ghz', '5ghz'];
+  return networks.filter((network) => {
+    if (bands.length && !bands.includes(network.band)) {
+      return false;
+    }
+    if (target.channels.length && !target.channels.includes(Number.parseInt(network.channel, 10))) {
+      return false;
+    }
+    return !target.ssids.length || target.ssids.includes(network.ssid);
+  });
+}
+
 export async function scanWifiNetworks({
   airportPath = DEFAULT_AIRPORT_PATH,
   timeoutMs = 5000,
   enableSystemProfilerFallback = true,
+  providers = [],
+  fixtureDir = '',
+  target = null,
+  calibration = null,
 } = {}) {
-  if (process.platform === 'darwin') {
-    return scanDarwin({
-      airportPath,
-      timeoutMs,
-      enableSystemProfilerFallback,
-    });
+  const chain = resolveProviderChain(providers, enableSystemProfilerFallback);
+  const tick = {
+    t: Date.now(),
+    durationMs: 0,
+    chain: chain || [],
+    source: null,
+    networkCount: 0,
+    target: isScanTargetActive(target) ? target : null,
+    attempts: [],
+  };
+
+  try {
+    const networks = await runProviderChain(chain, { airportPath, timeoutMs, fixtureDir, target }, tick);
+    // Providers that cannot restrict the scan itself are narrowed here, so every source agrees.
+    const targeted = filterScanTarget(networks, target);
+    tick.networkCount = targeted.length;
+    return applyRssiCalibration(targeted, calibration);
+  } finally {
+    tick.source = lastScanSource;
+    tick.durationMs = Date.now() - tick.t;
+    diagnosticTicks.push(tick);
+    if (diagnosticTicks.length > DIAGNOSTIC_TICK_LIMIT) {
+      diagnosticTicks.shift();
+    }
   }
+}
 
-  if (process.platform === 'win32') {
-    return scanWindows({ timeoutMs });
+async function runProviderChain(chain, options, tick) {
+  if (!chain) {
+    lastScanSource = `unsupported:${process.platform}`;
+    return [];
   }
 
-  if (process.platform === 'linux') {
-    return scanLinux({ timeoutMs });
+  let unusableResult = null;
+
+  for (const name of chain) {
+    const provider = providerRegistry.get(name);
+    if (!provider) {
+      continue;
+    }
+
+    const attempt = createAttempt(provider);
+    tick.attempts.push(attempt);
+
+    let result;
+    try {
+      const available = await attemptContext.run({ attempt, phase: 'probe' }, () =>
+        provider.isAvailable(options),
+      );
+      if (!available) {
+        finishAttempt(attempt, 'unavailable', describeUnavailable(provider));
+        continue;
+      }
+      result = await attemptContext.run({ attempt, phase: 'scan' }, () => provider.scan(options));
+    } catch (error) {
+      finishAttempt(attempt, 'error', error?.message || 'scan failed');
+      continue;
+    }
+
+    // Providers may return a plain list or { networks, source } to report a per-scan source.
+    const networks = Array.isArray(result) ? result : result?.networks;
+    const source = (!Array.isArray(result) && result?.source) || provider.source;
+    attempt.source = source;
+    if (!Array.isArray(networks) || !networks.length) {
+      finishAttempt(attempt, 'empty', describeEmptyScan(attempt));
+      continue;
+    }
+    attempt.parsedCount = networks.length;
+
+    if (provider.isUsable && !provider.isUsable(networks)) {
+      finishAttempt(
+        attempt,
+        'unusable',
+        provider.describeUnusable?.(networks) || 'rejected by the provider usability check',
+      );
+      unusableResult ??= { provider, source, networks, attempt };
+      continue;
+    }
+
+    lastScanSource = source;
+    const marked = await attemptContext.run({ attempt, phase: 'association' }, () =>
+      markAssociatedNetwork(withScanSource(networks, source), provider, options),
+    );
+    finishAttempt(attempt, 'selected', null);
+    return marked;
+  }
+
+  if (unusableResult) {
+    lastScanSource = unusableResult.source;
+    // Nothing better answered, so the rejected result is used anyway; the reason stays visible.
+    unusableResult.attempt.outcome = 'fallback';
+    return attemptContext.run({ attempt: unusableResult.attempt, phase: 'association' }, () =>
+      markAssociatedNetwork(
+        withScanSource(unusableResult.networks, unusableResult.source),
+        unusableResult.provider,
+        options,
+      ),
+    );
   }
 
-  lastScanSource = `unsupported:${process.platform}`;
+  lastScanSource = NONE_SOURCE_BY_PLATFORM[process.platform] || 'none';
   return [];
 }
 
-async function scanDarwin({
-  airportPath,
-  timeoutMs,
-  enableSystemProfilerFallback,
-}) {
-  const airportNetworks = await tryAirportScan(airportPath, timeoutMs);
-  if (airportNetworks.length) {
-    lastScanSource = 'airport';
-    return withScanSource(airportNetworks, 'airport');
+function splitList(value) {
+  const items = Array.isArray(value) ? value : String(value ?? '').split(',');
+  return items.map((item) => String(item ?? '').trim()).filter(Boolean);
+}
+
+function createAttempt(provider) {
+  return {
+    provider: provider.name,
+    source: provider.source,
+    startedAt: Date.now(),
+    durationMs: 0,
+    outcome: 'pending',
+    reason: null,
+    parsedCount: 0,
+    commands: [],
+  };
+}
+
+function finishAttempt(attempt, outcome, reason) {
+  attempt.outcome = outcome;
+  attempt.reason = reason;
+  attempt.durationMs = Date.now() - attempt.startedAt;
+}
+
+function describeUnavailable(provider) {
+  if (provider.platform && provider.platform !== process.platform) {
+    return `only available on ${provider.platform}`;
   }
+  return provider.platform ? 'required command not found' : 'not configured';
+}
 
-  const coreWlanNetworks = await tryCoreWlanScan(timeoutMs);
-  const coreWlanUsable = isCoreWlanScanUsable(coreWlanNetworks);
-  if (coreWlanNetworks.length && (!enableSystemProfilerFallback || coreWlanUsable)) {
-    lastScanSource = 'corewlan';
-    return withScanSource(coreWlanNetworks, 'corewlan');
+function describeEmptyScan(attempt) {
+  const failed = [...attempt.commands]
+    .reverse()
+    .find((entry) => entry.phase === 'scan' && (entry.timedOut || entry.exitCode !== 0));
+
+  if (!failed) {
+    return attempt.commands.length ? 'command succeeded but no networks were parsed' : 'no networks returned';
+  }
+  if (failed.timedOut) {
+    return `${failed.command} timed out after ${failed.durationMs}ms`;
+  }
+  if (failed.error === 'ENOENT') {
+    return `${failed.command.split(' ')[0]} not found`;
+  }
+  if (failed.exitCode != null) {
+    return `${failed.command} exited with code ${failed.exitCode}`;
   }
+  return `${failed.command} failed: ${failed.error}`;
+}
 
-  if (enableSystemProfilerFallback) {
-    const profilerNetworks = await trySystemProfilerScan(timeoutMs);
-    if (profilerNetworks.length) {
-      lastScanSource = 'system_profiler';
-      return withScanSource(profilerNetworks, 'system_profiler');
-    }
+async function execFileAsync(command, args = [], options = {}) {
+  const startedAt = Date.now();
+  try {
+    const result = await execFileUntraced(command, args, options);
+    traceCommand(command, args, startedAt, null, result.stderr);
+    return result;
+  } catch (error) {
+    traceCommand(command, args, startedAt, error, error?.stderr);
+    throw error;
   }
+}
 
-  if (coreWlanNetworks.length) {
-    lastScanSource = 'corewlan';
-    return withScanSource(coreWlanNetworks, 'corewlan');
+function traceCommand(command, args, startedAt, error, stderr) {
+  const context = attemptContext.getStore();
+  if (!context || context.attempt.commands.length >= DIAGNOSTIC_COMMAND_LIMIT) {
+    return;
   }
 
-  lastScanSource = 'mac_none';
-  return [];
+  const stderrText = String(stderr || '').trim();
+  const timedOut = Boolean(error?.killed && error?.signal);
+  context.attempt.commands.push({
+    phase: context.phase,
+    command: [command, ...args].join(' '),
+    exitCode: error ? (Number.isInteger(error.code) ? error.code : null) : 0,
+    signal: error?.signal || null,
+    timedOut,
+    error:
+      error && !timedOut && !Number.isInteger(error.code)
+        ? String(error.code || error.message)
+        : null,
+    durationMs: Date.now() - startedAt,
+    stderr: stderrText.length > STDERR_EXCERPT_CHARS
+      ? `...${stderrText.slice(-STDERR_EXCERPT_CHARS)}`
+      : stderrText,
+  });
 }
 
-async function scanWindows({ timeoutMs }) {
-  const nativeNetworks = await tryWindowsNativeScan(timeoutMs);
-  if (nativeNetworks.length) {
-    lastScanSource = 'windows_native';
-    return withScanSource(nativeNetworks, 'windows_native');
+async function markAssociatedNetwork(networks, provider, options) {
+  // CoreWLAN and the simulator flag the associated AP themselves.
+  if (networks.some((network) => network.associated) || !provider.queryAssociation) {
+    return networks;
   }
 
-  const netshNetworks = await tryNetshScan(timeoutMs);
-  if (netshNetworks.length) {
-    lastScanSource = 'windows_netsh';
-    return withScanSource(netshNetworks, 'windows_netsh');
+  let association = null;
+  try {
+    association = await provider.queryAssociation(options);
+  } catch {
+    association = null;
+  }
+  if (!association) {
+    return networks;
   }
 
-  lastScanSource = 'windows_none';
-  return [];
+  // Without a BSSID (redacted or synthetic) the strongest AP on the SSID is the best guess.
+  let match = association.bssid
+    ? networks.find((network) => network.bssid === association.bssid)
+    : null;
+  if (!match && association.ssid) {
+    match = networks
+      .filter(
+        (network) =>
+          network.ssid === association.ssid &&
+          (!association.channel || !network.channel || network.channel === association.channel),
+      )
+      .sort((a, b) => b.rssi - a.rssi)[0];
+  }
+  if (!match) {
+    return networks;
+  }
+
+  return networks.map((network) =>
+    network === match
+      ? { ...network, associated: true, linkRateMbps: association.linkRateMbps ?? null }
+      : network,
+  );
 }
 
-async function scanLinux({ timeoutMs }) {
-  const nmcliNetworks = await tryNmcliScan(timeoutMs);
-  if (nmcliNetworks.length) {
-    lastScanSource = 'linux_nmcli';
-    return withScanSource(nmcliNetworks, 'linux_nmcli');
+function resolveProviderChain(providers, enableSystemProfilerFallback) {
+  if (Array.isArray(providers) && providers.length) {
+    return providers;
   }
 
-  const iwNetworks = await tryIwScan(timeoutMs);
-  if (iwNetworks.length) {
-    lastScanSource = 'linux_iw';
-    return withScanSource(iwNetworks, 'linux_iw');
+  const defaults = DEFAULT_PROVIDER_CHAINS[process.platform];
+  if (!defaults) {
+    return null;
   }
 
-  const iwctlNetworks = await tryIwctlScan(timeoutMs);
-  if (iwctlNetworks.length) {
-    lastScanSource = 'linux_iwctl';
-    return withScanSource(iwctlNetworks, 'linux_iwctl');
+  return enableSystemProfilerFallback
+    ? defaults
+    : defaults.filter((name) => name !== 'system_profiler');
+}
+
+registerScanProvider({
+  name: 'airport',
+  source: 'airport',
+  platform: 'darwin',
+  isAvailable: ({ airportPath }) =>
+    process.platform === 'darwin' && isCommandAvailable([airportPath]),
+  queryAssociation: ({ airportPath, timeoutMs }) => queryMacAssociation(airportPath, timeoutMs),
+  scan: ({ airportPath, timeoutMs }) => tryAirportScan(airportPath, timeoutMs),
+});
+
+registerScanProvider({
+  name: 'corewlan',
+  source: 'corewlan',
+  platform: 'darwin',
+  isAvailable: async () =>
+    process.platform === 'darwin' &&
+    ((await isCommandAvailable([nativeBinaryPath])) || isCommandAvailable([CLANG_PATH])),
+  isUsable: isCoreWlanScanUsable,
+  describeUnusable: describeCoreWlanScan,
+  queryAssociation: ({ airportPath, timeoutMs }) => queryMacAssociation(airportPath, timeoutMs),
+  scan: ({ timeoutMs }) => tryCoreWlanScan(timeoutMs),
+});
+
+registerScanProvider({
+  name: 'system_profiler',
+  source: 'system_profiler',
+  platform: 'darwin',
+  isAvailable: () => process.platform === 'darwin' && isCommandAvailable([SYSTEM_PROFILER_PATH]),
+  queryAssociation: ({ airportPath, timeoutMs }) => queryMacAssociation(airportPath, timeoutMs),
+  scan: ({ timeoutMs }) => trySystemProfilerScan(timeoutMs),
+});
+
+registerScanProvider({
+  name: 'windows_native',
+  source: 'windows_native',
+  platform: 'win32',
+  isAvailable: () => process.platform === 'win32' && isCommandAvailable([windowsNativeBinaryPath]),
+  queryAssociation: ({ timeoutMs }) => queryWindowsAssociation(timeoutMs),
+  scan: ({ timeoutMs }) => tryWindowsNativeScan(timeoutMs),
+});
+
+registerScanProvider({
+  name: 'netsh',
+  source: 'windows_netsh',
+  platform: 'win32',
+  isAvailable: () => process.platform === 'win32' && isCommandAvailable(NETSH_COMMANDS),
+  queryAssociation: ({ timeoutMs }) => queryWindowsAssociation(timeoutMs),
+  scan: ({ timeoutMs }) => tryNetshScan(timeoutMs),
+});
+
+registerScanProvider({
+  name: 'nmcli',
+  source: 'linux_nmcli',
+  platform: 'linux',
+  isAvailable: () => process.platform === 'linux' && isCommandAvailable(NMCLI_COMMANDS),
+  queryAssociation: ({ timeoutMs }) => queryLinuxAssociation(timeoutMs),
+  scan: ({ timeoutMs }) => tryNmcliScan(timeoutMs),
+});
+
+registerScanProvider({
+  name: 'wpa_cli',
+  source: 'linux_wpa_cli',
+  platform: 'linux',
+  isAvailable: () => process.platform === 'linux' && isCommandAvailable(WPA_CLI_COMMANDS),
+  queryAssociation: ({ timeoutMs }) => queryLinuxAssociation(timeoutMs),
+  scan: ({ timeoutMs }) => tryWpaCliScan(timeoutMs),
+});
+
+registerScanProvider({
+  name: 'iw',
+  source: 'linux_iw',
+  platform: 'linux',
+  isAvailable: () => process.platform === 'linux' && isCommandAvailable(IW_COMMANDS),
+  queryAssociation: ({ timeoutMs }) => queryLinuxAssociation(timeoutMs),
+  scan: ({ timeoutMs, target }) => tryIwScan(timeoutMs, target),
+});
+
+registerScanProvider({
+  name: 'iwctl',
+  source: 'linux_iwctl',
+  platform: 'linux',
+  isAvailable: () => process.platform === 'linux' && isCommandAvailable(IWCTL_COMMANDS),
+  queryAssociation: ({ timeoutMs }) => queryLinuxAssociation(timeoutMs),
+  scan: ({ timeoutMs }) => tryIwctlScan(timeoutMs),
+});
+
+registerScanProvider({
+  name: 'simulated',
+  source: 'simulated',
+  isAvailable: () => true,
+  scan: () => getDefaultSimulator().scan(Date.now()),
+});
+
+registerScanProvider({
+  name: 'fixture',
+  source: 'fixture',
+  isAvailable: ({ fixtureDir }) => Boolean(fixtureDir),
+  scan: ({ fixtureDir }) => tryFixtureScan(fixtureDir),
+});
+
+async function queryMacAssociation(airportPath, timeoutMs) {
+  if (!(await isCommandAvailable([airportPath]))) {
+    return null;
   }
 
-  lastScanSource = 'linux_none';
-  return [];
+  const { stdout } = await execFileAsync(airportPath, ['-I'], {
+    timeout: timeoutMs,
+    maxBuffer: 1024 * 1024,
+  });
+  return parseAirportInfoOutput(stdout);
+}
+
+async function queryWindowsAssociation(timeoutMs) {
+  const { stdout } = await execFirstAvailable(
+    NETSH_COMMANDS,
+    'netsh',
+    ['wlan', 'show', 'interfaces'],
+    {
+      timeout: Math.max(timeoutMs, 5_000),
+      maxBuffer: 1024 * 1024,
+      windowsHide: true,
+    },
+  );
+  return parseNetshInterfacesOutput(stdout);
+}
+
+async function queryLinuxAssociation(timeoutMs) {
+  if (await isCommandAvailable(NMCLI_COMMANDS)) {
+    try {
+      const { stdout } = await execFirstAvailable(
+        NMCLI_COMMANDS,
+        'nmcli',
+        ['--terse', '--fields', 'ACTIVE,BSSID,SSID,RATE', 'dev', 'wifi', 'list', '--rescan', 'no'],
+        {
+          timeout: Math.max(timeoutMs, 4_000),
+          maxBuffer: 1024 * 1024,
+        },
+      );
+      const association = parseNmcliActiveOutput(stdout);
+      if (association) {
+        return association;
+      }
+    } catch {
+      // Fall through to wpa_cli.
+    }
+  }
+
+  if (await isCommandAvailable(WPA_CLI_COMMANDS)) {
+    for (const iface of (await listWpaCliInterfaces(timeoutMs)).slice(0, MAX_SCAN_INTERFACES)) {
+      try {
+        const { stdout } = await execFirstAvailable(WPA_CLI_COMMANDS, 'wpa_cli', ['-i', iface, 'status'], {
+          timeout: Math.max(timeoutMs, 4_000),
+          maxBuffer: 1024 * 1024,
+        });
+        const association = parseWpaCliStatusOutput(stdout);
+        if (association) {
+          return association;
+        }
+      } catch {
+        // Continue to next interface.
+      }
+    }
+  }
+
+  if (!(await isCommandAvailable(IW_COMMANDS))) {
+    return null;
+  }
+
+  for (const iface of (await listIwInterfaces(timeoutMs)).slice(0, MAX_SCAN_INTERFACES)) {
+    try {
+      const { stdout } = await execFirstAvailable(IW_COMMANDS, 'iw', ['dev', iface, 'link'], {
+        timeout: Math.max(timeoutMs, 4_000),
+        maxBuffer: 1024 * 1024,
+      });
+      const association = parseIwLinkOutput(stdout);
+      if (association) {
+        return association;
+      }
+    } catch {
+      // Continue to next interface.
+    }
+  }
+
+  return null;
 }
 
 async function tryAirportScan(airportPath, timeoutMs) {
@@ -196,6 +698,22 @@ async function trySystemProfilerScan(timeoutMs) {
   }
 }
 
+async function tryFixtureScan(fixtureDir) {
+  const fixture = await readNextFixture(fixtureDir);
+  if (!fixture?.kind) {
+    return [];
+  }
+
+  const networks = fixture.kind === 'system_profiler'
+    ? applyEstimatedRssi(fixture.networks)
+    : fixture.networks;
+
+  return {
+    networks,
+    source: `fixture:${fixture.kind}`,
+  };
+}
+
 async function tryNetshScan(timeoutMs) {
   try {
     const { stdout } = await execFirstAvailable(
@@ -237,7 +755,7 @@ async function tryNmcliScan(timeoutMs) {
     const { stdout } = await execFirstAvailable(
       NMCLI_COMMANDS,
       'nmcli',
-      ['--terse', '--fields', 'BSSID,SSID,SIGNAL,CHAN,SECURITY', 'dev', 'wifi', 'list'],
+      ['--terse', '--fields', 'BSSID,SSID,SIGNAL,CHAN,FREQ,RATE,MODE,SECURITY,WPA-FLAGS,RSN-FLAGS', 'dev', 'wifi', 'list'],
       {
         timeout: Math.max(timeoutMs, 6_000),
         maxBuffer: 4 * 1024 * 1024,
@@ -249,31 +767,115 @@ async function tryNmcliScan(timeoutMs) {
   }
 }
 
-async function tryIwScan(timeoutMs) {
+// wpa_supplicant scans asynchronously: `scan` only queues a request (FAIL-BUSY while one is running)
+// and scan_results returns the last completed scan, so each tick reads the previous tick's scan.
+async function tryWpaCliScan(timeoutMs) {
+  const interfaces = await listWpaCliInterfaces(timeoutMs);
+  if (!interfaces.length) {
+    return [];
+  }
+
+  const options = {
+    timeout: Math.max(timeoutMs, 4_000),
+    maxBuffer: 4 * 1024 * 1024,
+  };
+  const scans = await Promise.all(
+    interfaces.slice(0, MAX_SCAN_INTERFACES).map(async (iface) => {
+      try {
+        await execFirstAvailable(WPA_CLI_COMMANDS, 'wpa_cli', ['-i', iface, 'scan'], options);
+      } catch {
+        // Cached results from wpa_supplicant's own background scans are still worth reading.
+      }
+
+      try {
+        const { stdout } = await execFirstAvailable(
+          WPA_CLI_COMMANDS,
+          'wpa_cli',
+          ['-i', iface, 'scan_results'],
+          options,
+        );
+        return { iface, networks: parseWpaCliScanResults(stdout) };
+      } catch {
+        return { iface, networks: [] };
+      }
+    }),
+  );
+
+  return mergeInterfaceScans(scans);
+}
+
+async function tryIwScan(timeoutMs, target) {
   const interfaces = await listIwInterfaces(timeoutMs);
   if (!interfaces.length) {
     return [];
   }
 
-  const networks = [];
-  for (const iface of interfaces.slice(0, 4)) {
-    try {
-      const { stdout } = await execFirstAvailable(
-        IW_COMMANDS,
-        'iw',
-        ['dev', iface, 'scan'],
-        {
-          timeout: Math.max(timeoutMs * 2, 8_000),
-          maxBuffer: 8 * 1024 * 1024,
-        },
-      );
-      networks.push(...parseIwScanOutput(stdout));
-    } catch {
-      // Continue to next interface.
+  const targetArgs = buildIwTargetArgs(target);
+  const scans = await Promise.all(
+    interfaces.slice(0, MAX_SCAN_INTERFACES).map(async (iface) => {
+      try {
+        return { iface, networks: await runIwScan(iface, targetArgs, timeoutMs) };
+      } catch {
+        if (!targetArgs.length) {
+          // A busy or down interface should not hold back the others.
+          return { iface, networks: [] };
+        }
+      }
+
+      // Drivers reject frequencies the radio does not support; a full scan is filtered afterwards.
+      try {
+        return { iface, networks: await runIwScan(iface, [], timeoutMs) };
+      } catch {
+        return { iface, networks: [] };
+      }
+    }),
+  );
+
+  return mergeInterfaceScans(scans);
+}
+
+async function runIwScan(iface, targetArgs, timeoutMs) {
+  const { stdout } = await execFirstAvailable(
+    IW_COMMANDS,
+    'iw',
+    ['dev', iface, 'scan', ...targetArgs],
+    {
+      timeout: Math.max(timeoutMs * 2, 8_000),
+      maxBuffer: 8 * 1024 * 1024,
+    },
+  );
+  return parseIwScanOutput(stdout);
+}
+
+function buildIwTargetArgs(target) {
+  if (!target) {
+    return [];
+  }
+
+  const args = [];
+  const bands = target.bands.length ? target.bands : ['2.4ghz', '5ghz'];
+  if (target.bands.length || target.channels.length) {
+    const frequencies = [];
+    for (const band of bands) {
+      const channels = target.channels.length ? target.channels : BAND_CHANNELS[band];
+      for (const channel of channels) {
+        const frequency = channelToFrequency(channel, band);
+        if (frequency && !frequencies.includes(frequency)) {
+          frequencies.push(frequency);
+        }
+      }
+    }
+    if (frequencies.length) {
+      args.push('freq', ...frequencies.map(String));
     }
   }
 
-  return dedupeByStrongestRssi(networks);
+  if (target.ssids.length) {
+    args.push('ssid', ...target.ssids);
+  } else if (target.passive) {
+    args.push('passive');
+  }
+  return args;
 }
 
 async function tryIwctlScan(timeoutMs) {
@@ -282,25 +884,51 @@ async function tryIwctlScan(timeoutMs) {
     return [];
   }
 
-  const networks = [];
-  for (const device of devices.slice(0, 4)) {
-    try {
-      const { stdout } = await execFirstAvailable(
-        IWCTL_COMMANDS,
-        'iwctl',
-        ['station', device, 'get-networks'],
-        {
-          timeout: Math.max(timeoutMs, 6_000),
-          maxBuffer: 1024 * 1024,
-        },
-      );
-      networks.push(...parseIwctlStationOutput(stdout, device));
-    } catch {
-      // Continue to next device.
+  const scans = await Promise.all(
+    devices.slice(0, MAX_SCAN_INTERFACES).map(async (device) => {
+      try {
+        const { stdout } = await execFirstAvailable(
+          IWCTL_COMMANDS,
+          'iwctl',
+          ['station', device, 'get-networks'],
+          {
+            timeout: Math.max(timeoutMs, 6_000),
+            maxBuffer: 1024 * 1024,
+          },
+        );
+        return { iface: device, networks: parseIwctlStationOutput(stdout) };
+      } catch {
+        return { iface: device, networks: [] };
+      }
+    }),
+  );
+
+  return mergeInterfaceScans(scans);
+}
+
+// Keeps one entry per BSSID (strongest adapter wins, as before) while recording what every
+// adapter heard in interfaceRssi, so consumers can follow each adapter as its own series.
+// Percent and star readings are kept per adapter too, for per-interface calibration.
+function mergeInterfaceScans(scans) {
+  const byBssid = new Map();
+
+  for (const { iface, networks } of scans) {
+    for (const network of networks) {
+      const existing = byBssid.get(network.bssid);
+      const interfaceRssi = { ...(existing?.interfaceRssi || {}), [iface]: network.rssi };
+      const interfaceSignalRaw = network.signalRaw
+        ? { ...(existing?.interfaceSignalRaw || {}), [iface]: network.signalRaw }
+        : existing?.interfaceSignalRaw;
+      if (!existing || network.rssi > existing.rssi) {
+        byBssid.set(network.bssid, { ...network, interface: iface, interfaceRssi, interfaceSignalRaw });
+      } else {
+        existing.interfaceRssi = interfaceRssi;
+        existing.interfaceSignalRaw = interfaceSignalRaw;
+      }
     }
   }
 
-  return dedupeByStrongestRssi(networks);
+  return Array.from(byBssid.values());
 }
 
 async function listIwInterfaces(timeoutMs) {
@@ -325,6 +953,30 @@ async function listIwInterfaces(timeoutMs) {
   }
 }
 
+async function listWpaCliInterfaces(timeoutMs) {
+  try {
+    const { stdout } = await execFirstAvailable(
+      WPA_CLI_COMMANDS,
+      'wpa_cli',
+      ['interface'],
+      {
+        timeout: Math.max(timeoutMs, 4_000),
+        maxBuffer: 1024 * 1024,
+      },
+    );
+
+    // "Selected interface 'wlan0'" then "Available interfaces:" and one name per line.
+    const listed = stdout.split(/Available interfaces:/iu)[1] ?? '';
+    const interfaces = listed
+      .split(/\r?\n/u)
+      .map((line) => line.trim())
+      .filter((name) => /^[a-zA-Z0-9_.:-]+$/u.test(name) && !name.startsWith('p2p-dev-'));
+    return Array.from(new Set(interfaces));
+  } catch {
+    return [];
+  }
+}
+
 async function listIwctlDevices(timeoutMs) {
   try {
     const { stdout } = await execFirstAvailable(
@@ -409,8 +1061,15 @@ function parseCoreWlanOutput(rawOutput) {
       ssid,
       rssi,
       channel,
-      band: inferBand(channel),
+      frequency: null,
+      band: normalizeReportedBand(network?.band) ?? inferBand(channel),
+      channelWidth: parseChannelWidth(network?.channelWidth),
+      secondaryChannelOffset: null,
+      phy: null,
       security,
+      securityDetail: parseSecurityText(security),
+      associated: network?.associated === true,
+      linkRateMbps: Number.isFinite(network?.linkRateMbps) ? network.linkRateMbps : null,
       scanSource: 'corewlan',
       rssiEstimated: false,
       bssidSynthetic: !BSSID_PATTERN.test(bssidRaw),
@@ -453,13 +1112,20 @@ function parseWindowsNativeOutput(rawOutput) {
       ? bssidRaw
       : syntheticBssid(`${ssid}::${channel || '?'}::${security}::${index + 1}`);
 
+    const frequency = Number.parseInt(String(item?.frequency ?? ''), 10);
+
     networks.push({
       bssid,
       ssid,
       rssi,
       channel,
-      band: inferBand(channel),
+      frequency: Number.isFinite(frequency) ? frequency : null,
+      band: frequencyToBand(frequency) ?? normalizeReportedBand(item?.band) ?? inferBand(channel),
+      channelWidth: parseChannelWidth(item?.channelWidth),
+      secondaryChannelOffset: null,
+      phy: typeof item?.phy === 'string' && item.phy ? item.phy.toLowerCase() : null,
       security,
+      securityDetail: parseSecurityText(security, item?.encryption),
       rssiEstimated: false,
       bssidSynthetic: !BSSID_PATTERN.test(bssidRaw),
     });
@@ -468,13 +1134,13 @@ function parseWindowsNativeOutput(rawOutput) {
   return dedupeByStrongestRssi(networks);
 }
 
-function parseIwctlStationOutput(rawOutput, deviceName) {
+function parseIwctlStationOutput(rawOutput) {
   if (!rawOutput || !rawOutput.trim()) {
     return [];
   }
 
   const networks = [];
-  let rowIndex = 0;
+  const occurrenceByKey = new Map();
 
   for (const rawLine of rawOutput.split(/\r?\n/u)) {
     const line = rawLine.trim();
@@ -499,19 +1165,28 @@ function parseIwctlStationOutput(rawOutput, deviceName) {
       continue;
     }
 
-    rowIndex += 1;
+    // Seeded without the device name so every adapter maps a network to the same synthetic BSSID.
+    const key = `${ssid}::${security}`;
+    const occurrence = (occurrenceByKey.get(key) || 0) + 1;
+    occurrenceByKey.set(key, occurrence);
     const rssi = starSignalToRssi(signalStars);
-    const bssid = syntheticBssid(`${deviceName}::${ssid}::${security}::${rowIndex}`);
+    const bssid = syntheticBssid(`${key}::${occurrence}`);
 
     networks.push({
       bssid,
       ssid,
       rssi,
       channel: '',
+      frequency: null,
       band: 'unknown',
+      channelWidth: null,
+      secondaryChannelOffset: null,
+      phy: null,
       security,
+      securityDetail: parseSecurityText(security),
       rssiEstimated: true,
       bssidSynthetic: true,
+      signalRaw: { unit: 'stars', value: signalStars },
     });
   }
 
@@ -575,6 +1250,25 @@ function phaseFromId(id) {
   return (hashCode(id) % 360) * (Math.PI / 180);
 }
 
+function parseChannelWidth(value) {
+  const width = Number.parseInt(String(value ?? ''), 10);
+  return [20, 40, 80, 160, 320].includes(width) ? width : null;
+}
+
+function normalizeReportedBand(bandText) {
+  const text = String(bandText || '').toLowerCase();
+  if (text.includes('2.4') || text === '2ghz') {
+    return '2.4ghz';
+  }
+  if (text.includes('6')) {
+    return '6ghz';
+  }
+  if (text.includes('5')) {
+    return '5ghz';
+  }
+  return null;
+}
+
 function inferBand(channelText) {
   const match = String(channelText || '').match(/\d+/u);
   if (!match) {
@@ -669,14 +1363,61 @@ async function execFirstAvailable(candidates, fallbackName, args, options) {
   throw new Error(`${fallbackName}-not-found`);
 }
 
+async function isCommandAvailable(candidates) {
+  for (const command of candidates) {
+    if (!command) {
+      continue;
+    }
+
+    const paths = isAbsolute(command) || command.includes(sep)
+      ? [command]
+      : searchPathFor(command);
+
+    for (const candidatePath of paths) {
+      try {
+        await access(candidatePath, fsConstants.X_OK);
+        return true;
+      } catch {
+        // Try next candidate path.
+      }
+    }
+  }
+
+  return false;
+}
+
+function searchPathFor(command) {
+  const directories = String(process.env.PATH || '').split(delimiter).filter(Boolean);
+  const extensions = process.platform === 'win32'
+    ? ['', ...String(process.env.PATHEXT || '.EXE;.CMD;.BAT;.COM').split(';').filter(Boolean)]
+    : [''];
+
+  const paths = [];
+  for (const directory of directories) {
+    for (const extension of extensions) {
+      paths.push(join(directory, `${command}${extension}`));
+    }
+  }
+  return paths;
+}
+
+function countCoreWlanIdentified(networks) {
+  return networks.filter(
+    (network) => (!network.bssidSynthetic || network.ssid !== HIDDEN_SSID),
+  ).length;
+}
+
+function describeCoreWlanScan(networks) {
+  const identified = countCoreWlanIdentified(networks);
+  return `only ${identified}/${networks.length} networks identified (needs ${MIN_COREWLAN_IDENTIFIED_APS} or ${Math.round(MIN_COREWLAN_IDENTIFIED_RATIO * 100)}%); grant Location Services for SSIDs/BSSIDs`;
+}
+
 function isCoreWlanScanUsable(networks) {
   if (!networks.length) {
     return false;
   }
 
-  const identified = networks.filter(
-    (network) => (!network.bssidSynthetic || network.ssid !== HIDDEN_SSID),
-  ).length;
+  const identified = countCoreWlanIdentified(networks);
 
   if (identified >= MIN_COREWLAN_IDENTIFIED_APS) {
     return true;
@@ -0,0 +1,45 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { diffClusterMembership } from '../src/changeEvents.js';
+
+const IDS = ['a', 'b', 'c', 'd'];
+
+function run(partitions, options) {
+  let state = null;
+  const changes = [];
+  for (const partition of partitions) {
+    const clusterById = new Map(IDS.map((id) => [id, partition[id] ?? 0]));
+    const result = diffClusterMembership(state, IDS, clusterById, options);
+    state = result.state;
+    changes.push(...result.changes);
+  }
+  return changes;
+}
+
+const together = { a: 1, b: 1, c: 1, d: 1 };
+const split = { a: 1, b: 1, c: 2, d: 2 };
+
+test('a re-partition that flaps back before settling is not reported', () => {
+  const flapping = [together, split, split, together, split, together, together];
+  assert.deepEqual(run(flapping, { settleSnapshots: 3 }), []);
+});
+
+test('a membership that holds for settleSnapshots is reported once per AP', () => {
+  const changes = run([together, split, split, split, split], { settleSnapshots: 3 });
+  assert.deepEqual(
+    changes.map(({ bssid, from, to }) => [bssid, from, to]),
+    [
+      ['a', ['b', 'c', 'd'], ['b']],
+      ['b', ['a', 'c', 'd'], ['a']],
+      ['c', ['a', 'b', 'd'], ['d']],
+      ['d', ['a', 'b', 'c'], ['c']],
+    ],
+  );
+});
+
+test('an AP stays quiet after reporting until quietSnapshots have passed', () => {
+  const partitions = [together, split, split, together, together, together];
+  assert.equal(run(partitions, { settleSnapshots: 2, quietSnapshots: 10 }).length, 4);
+  assert.equal(run(partitions, { settleSnapshots: 2, quietSnapshots: 0 }).length, 8);
+});
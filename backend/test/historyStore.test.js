@@ -0,0 +1,30 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import test from 'node:test';
+
+import { createHistoryStore } from '../src/historyStore.js';
+
+const BSSID = 'aa:bb:cc:dd:ee:ff';
+
+test('history buckets report mean, min, max and count per sensor', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 'wifi-history-'));
+  const store = createHistoryStore({ dir, retentionMs: 24 * 3_600_000 });
+  try {
+    await store.open();
+    const from = Math.floor(Date.now() / 60_000) * 60_000 - 60_000;
+    for (let i = 0; i < 60; i += 1) {
+      store.append(from + i * 1000, 'local', [{ bssid: BSSID, rssi: -50 - (i % 3), ssid: 'x', channel: '6' }]);
+      store.append(from + i * 1000, 'remote', [{ bssid: BSSID, rssi: -70, ssid: 'x', channel: '6' }]);
+    }
+    await store.close();
+
+    const result = await store.query({ bssid: BSSID, from, to: from + 60_000, resolutionMs: 60_000 });
+    assert.equal(result.sampleCount, 120);
+    assert.deepEqual(result.series.local, [{ t: from, rssi: -51, min: -52, max: -50, count: 60 }]);
+    assert.deepEqual(result.series.remote, [{ t: from, rssi: -70, min: -70, max: -70, count: 60 }]);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,33 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { buildChannelDensity, recommendChannels } from '../src/insights.js';
+
+test('UNII-3 APs keep rows for their own primary channels', () => {
+  const density = buildChannelDensity([
+    { bssid: 'aa:bb:cc:00:00:01', channel: '149', band: '5GHz' },
+    { bssid: 'aa:bb:cc:00:00:02', channel: '157', band: '5GHz' },
+  ]);
+
+  assert.deepEqual(
+    density.band5.map((row) => [row.channel, row.count]),
+    [
+      [149, 1],
+      [157, 1],
+    ],
+  );
+});
+
+test('5GHz bonded spans only name channels from the real channel plan', () => {
+  const density = buildChannelDensity([
+    { bssid: 'aa:bb:cc:00:00:03', channel: '157', band: '5GHz', channelWidth: 80 },
+  ]);
+
+  assert.deepEqual(
+    density.band5.map((row) => row.channel),
+    [149, 153, 157, 161],
+  );
+  for (const row of recommendChannels(density).band5) {
+    assert.ok([149, 153, 161].includes(row.channel));
+  }
+});
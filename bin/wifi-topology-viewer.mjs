@@ -1,19 +1,35 @@
 #!/usr/bin/env node
 
 import { spawn } from 'node:child_process';
-import { mkdir, writeFile } from 'node:fs/promises';
-import { dirname, isAbsolute, join, resolve } from 'node:path';
+import { existsSync } from 'node:fs';
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { hostname } from 'node:os';
+import { basename, dirname, extname, isAbsolute, join, resolve } from 'node:path';
 import { fileURLToPath } from 'node:url';
 
 import {
   buildMarkdownReport,
   formatAnalyzeSummary,
 } from '../backend/src/insights.js';
-import { runAnalyzeSession } from '../backend/src/analyze.js';
+import { importSurveyFile, runAnalyzeSession } from '../backend/src/analyze.js';
+import {
+  collectCalibrationPairs,
+  detectCalibrationInput,
+  fitCalibrationCurve,
+  readCalibrationFile,
+} from '../backend/src/calibration.js';
+import { resolveInputPath } from '../backend/src/paths.js';
+import { DEFAULT_CAPTURE_BUCKET_MS } from '../backend/src/pcapImport.js';
+import {
+  DEFAULT_AIRPORT_PATH,
+  parseScanProviderList,
+  scanWifiNetworks,
+} from '../backend/src/wifiScanner.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const projectRoot = resolve(__dirname, '..');
+const INGEST_TIMEOUT_MS = 10_000;
 
 try {
   await main();
@@ -31,6 +47,25 @@ async function main() {
     return;
   }
 
+  if (parsed.sensor) {
+    await runSensorCommand(parsed);
+    return;
+  }
+
+  if (parsed.push) {
+    throw new Error('--push requires --sensor');
+  }
+
+  if (parsed.importPath) {
+    await runImportCommand(parsed);
+    return;
+  }
+
+  if (parsed.calibrate) {
+    await runCalibrateCommand(parsed);
+    return;
+  }
+
   if (!parsed.analyze) {
     await import('../backend/src/server.js');
     return;
@@ -69,6 +104,9 @@ async function runAnalyzeCommand(options) {
       minOverlap: parsePositiveInt(process.env.MIN_OVERLAP, 8, 'MIN_OVERLAP'),
       edgeThreshold: parsePositiveFloat(process.env.EDGE_THRESHOLD, 0.6, 'EDGE_THRESHOLD'),
       maxEdges: parsePositiveInt(process.env.MAX_EDGES, 120, 'MAX_EDGES'),
+      scanProviders: parseScanProviderList(options.providers || process.env.SCAN_PROVIDERS),
+      fixtureDir: process.env.SCAN_FIXTURE_DIR ? resolveInputPath(process.env.SCAN_FIXTURE_DIR) : '',
+      calibration: loadCalibrationFromEnv(),
     });
 
     const outputPath = resolveOutputPath(options.out, options.json ? 'json' : 'md');
@@ -98,6 +136,221 @@ async function runAnalyzeCommand(options) {
   }
 }
 
+async function runImportCommand(options) {
+  try {
+    const inputPath = resolve(process.cwd(), options.importPath);
+    const defaultName = `${basename(inputPath, extname(inputPath))}.ndjson`;
+    const recordingsDir = process.env.RECORDINGS_DIR
+      ? resolveInputPath(process.env.RECORDINGS_DIR)
+      : join(projectRoot, 'recordings');
+    const outputPath = options.out ? resolve(process.cwd(), options.out) : join(recordingsDir, defaultName);
+
+    const result = await importSurveyFile({
+      inputPath,
+      outputPath: options.recording ? outputPath : null,
+      format: options.format || null,
+      bucketMs: parsePositiveInt(options.bucketMs, DEFAULT_CAPTURE_BUCKET_MS, '--bucket-ms'),
+      windowSize: parsePositiveInt(process.env.WINDOW_SIZE, 30, 'WINDOW_SIZE'),
+      evictAfterMs: parsePositiveInt(process.env.EVICT_AFTER_MS, 30_000, 'EVICT_AFTER_MS'),
+      maxAps: parsePositiveInt(process.env.MAX_APS, 40, 'MAX_APS'),
+      minOverlap: parsePositiveInt(process.env.MIN_OVERLAP, 8, 'MIN_OVERLAP'),
+      edgeThreshold: parsePositiveFloat(process.env.EDGE_THRESHOLD, 0.6, 'EDGE_THRESHOLD'),
+      maxEdges: parsePositiveInt(process.env.MAX_EDGES, 120, 'MAX_EDGES'),
+    });
+
+    process.stdout.write(
+      options.json ? `${JSON.stringify(result.summary, null, 2)}\n` : `${formatAnalyzeSummary(result.summary)}\n`,
+    );
+    process.stderr.write(`[import] ${formatImportStats(result.stats)}\n`);
+    if (result.outputPath) {
+      process.stderr.write(`[import] wrote ${result.scanCount} snapshots to ${result.outputPath}\n`);
+    }
+    process.exitCode = 0;
+  } catch (error) {
+    const exitCode = Number.isFinite(error?.exitCode) ? error.exitCode : 1;
+    process.stderr.write(`[import] ${error?.message || 'failed'}\n`);
+    process.exitCode = exitCode;
+  }
+}
+
+// Scans with the reference and target providers back to back each tick and fits the target's
+// readings to the reference dBm, so mixed-source data lands on one scale.
+async function runCalibrateCommand(options) {
+  try {
+    const durationSec = parsePositiveInt(options.duration, 120, '--duration');
+    const scanIntervalMs = parsePositiveInt(options.scanInterval, 1000, '--scan-interval');
+    const [reference] = parseScanProviderList(options.reference);
+    const [target] = parseScanProviderList(options.target);
+    const scanOptions = {
+      airportPath: process.env.AIRPORT_PATH || DEFAULT_AIRPORT_PATH,
+      timeoutMs: parsePositiveInt(process.env.SCAN_TIMEOUT_MS, 5000, 'SCAN_TIMEOUT_MS'),
+      enableSystemProfilerFallback: true,
+      fixtureDir: process.env.SCAN_FIXTURE_DIR ? resolveInputPath(process.env.SCAN_FIXTURE_DIR) : '',
+    };
+
+    process.stderr.write(`[calibrate] fitting ${target} against ${reference} for ${durationSec}s\n`);
+    const pairs = [];
+    let input = null;
+    let source = null;
+    const endAt = Date.now() + durationSec * 1000;
+    while (Date.now() < endAt) {
+      const startedAt = Date.now();
+      const referenceNetworks = await scanWifiNetworks({ ...scanOptions, providers: [reference] });
+      const targetNetworks = await scanWifiNetworks({ ...scanOptions, providers: [target] });
+      if (targetNetworks.length) {
+        input ??= detectCalibrationInput(targetNetworks);
+        source ??= targetNetworks[0].scanSource;
+        pairs.push(...collectCalibrationPairs(referenceNetworks, targetNetworks, input));
+      }
+
+      const remainingMs = scanIntervalMs - (Date.now() - startedAt);
+      if (remainingMs > 0) {
+        await new Promise((resolveDelay) => {
+          setTimeout(resolveDelay, remainingMs);
+        });
+      }
+    }
+
+    if (!source) {
+      throw new Error(`${target} returned no networks`);
+    }
+    const fit = fitCalibrationCurve(pairs, input);
+    const outputPath = options.out
+      ? resolve(process.cwd(), options.out)
+      : process.env.RSSI_CALIBRATION_FILE
+        ? resolveInputPath(process.env.RSSI_CALIBRATION_FILE)
+        : resolve(process.cwd(), 'rssi-calibration.json');
+
+    // Other sources in an existing file are kept; only this source's entry is replaced.
+    const table = existsSync(outputPath) ? JSON.parse(await readFile(outputPath, 'utf8')) : {};
+    const { input: entryInput, points, offsetDb } = fit.entry;
+    table[source] = { input: entryInput, points, offsetDb };
+    await writeOutputFile(outputPath, `${formatCalibrationJson(table)}\n`);
+
+    process.stdout.write(`${formatCalibrationJson({ [source]: table[source] })}\n`);
+    process.stderr.write(
+      `[calibrate] ${source}: ${fit.pairCount} readings from ${fit.bssidCount} BSSIDs,`
+        + ` error vs ${reference} ${fit.rmseBeforeDb} dB -> ${fit.rmseAfterDb} dB RMS\n`,
+    );
+    process.stderr.write(`[calibrate] wrote ${outputPath}\n`);
+    process.exitCode = 0;
+  } catch (error) {
+    process.stderr.write(`[calibrate] ${error?.message || 'failed'}\n`);
+    process.exitCode = 1;
+  }
+}
+
+// One [reading, dBm] pair per line keeps hand edits of the curve readable.
+function formatCalibrationJson(table) {
+  return JSON.stringify(table, null, 2).replace(
+    /\[\s+(-?[\d.]+),\s+(-?[\d.]+)\s+\]/gu,
+    '[$1, $2]',
+  );
+}
+
+function loadCalibrationFromEnv() {
+  const file = process.env.RSSI_CALIBRATION_FILE;
+  return file ? readCalibrationFile(resolveInputPath(file)) : null;
+}
+
+function formatImportStats(stats) {
+  if (stats.format === 'pcap') {
+    return `${stats.format}: ${stats.packets} packets, ${stats.beacons} beacons, ${stats.probeResponses} probe responses`
+      + ` (skipped ${stats.skippedLinkType} non-radiotap, ${stats.skippedBadFcs} bad FCS, ${stats.skippedNoSignal} without signal)`;
+  }
+  return `${stats.format}: ${stats.records} records, ${stats.accessPoints} access points, ${stats.samples} samples`
+    + ` (skipped ${stats.skippedInvalid} invalid or non-AP, ${stats.skippedNoSignal} without signal)`;
+}
+
+async function runSensorCommand(options) {
+  if (!options.push) {
+    throw new Error('--sensor requires --push <url>');
+  }
+
+  const ingestUrl = resolveIngestUrl(options.push);
+  const sensorId = options.sensorId || defaultSensorId();
+  const scanIntervalMs = parsePositiveInt(options.scanInterval, 1000, '--scan-interval');
+  const scanProviders = parseScanProviderList(options.providers || process.env.SCAN_PROVIDERS);
+  const token = options.token || process.env.INGEST_TOKEN || '';
+  const calibration = loadCalibrationFromEnv();
+  const headers = { 'Content-Type': 'application/json' };
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+
+  let stopped = false;
+  const stop = () => {
+    stopped = true;
+  };
+  process.once('SIGINT', stop);
+  process.once('SIGTERM', stop);
+
+  process.stderr.write(`[sensor] ${sensorId} pushing to ${ingestUrl} every ${scanIntervalMs}ms\n`);
+
+  let healthy = false;
+  while (!stopped) {
+    const startedAt = Date.now();
+
+    try {
+      const networks = await scanWifiNetworks({
+        airportPath: process.env.AIRPORT_PATH || DEFAULT_AIRPORT_PATH,
+        timeoutMs: parsePositiveInt(process.env.SCAN_TIMEOUT_MS, 5000, 'SCAN_TIMEOUT_MS'),
+        enableSystemProfilerFallback: true,
+        providers: scanProviders,
+        fixtureDir: process.env.SCAN_FIXTURE_DIR ? resolveInputPath(process.env.SCAN_FIXTURE_DIR) : '',
+        calibration,
+      });
+
+      const response = await fetch(ingestUrl, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ sensorId, t: startedAt, networks }),
+        signal: AbortSignal.timeout(INGEST_TIMEOUT_MS),
+      });
+      const payload = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(payload.error || `ingest failed (${response.status})`);
+      }
+
+      if (!healthy) {
+        process.stderr.write(`[sensor] pushed ${payload.accepted ?? networks.length} networks\n`);
+        healthy = true;
+      }
+    } catch (error) {
+      process.stderr.write(`[sensor] ${error?.message || 'push failed'}\n`);
+      healthy = false;
+    }
+
+    const remainingMs = scanIntervalMs - (Date.now() - startedAt);
+    if (!stopped && remainingMs > 0) {
+      await new Promise((resolvePromise) => {
+        setTimeout(resolvePromise, remainingMs);
+      });
+    }
+  }
+}
+
+function resolveIngestUrl(input) {
+  let url;
+  try {
+    url = new URL(input);
+  } catch {
+    throw new Error('--push must be an http(s) URL, e.g. http://viewer.local:8787');
+  }
+
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new Error('--push must be an http(s) URL, e.g. http://viewer.local:8787');
+  }
+  if (url.pathname === '/' || url.pathname === '') {
+    url.pathname = '/ingest';
+  }
+  return url.toString();
+}
+
+function defaultSensorId() {
+  return hostname().replace(/[^A-Za-z0-9._-]+/gu, '-').slice(0, 64) || 'sensor';
+}
+
 function parseArgs(argv) {
   const options = {
     analyze: false,
@@ -106,6 +359,18 @@ function parseArgs(argv) {
     out: '',
     noServer: false,
     scanInterval: '1000',
+    providers: '',
+    sensor: false,
+    push: '',
+    sensorId: '',
+    token: '',
+    importPath: '',
+    bucketMs: String(DEFAULT_CAPTURE_BUCKET_MS),
+    format: '',
+    recording: true,
+    calibrate: false,
+    reference: 'iw',
+    target: 'nmcli',
     help: false,
   };
 
@@ -122,6 +387,91 @@ function parseArgs(argv) {
       continue;
     }
 
+    if (arg === '--sensor') {
+      options.sensor = true;
+      continue;
+    }
+
+    if (arg === '--push') {
+      const next = argv[i + 1];
+      if (!next) {
+        throw new Error('--push requires a viewer URL');
+      }
+      options.push = next;
+      i += 1;
+      continue;
+    }
+
+    if (arg === '--sensor-id') {
+      const next = argv[i + 1];
+      if (!next || !/^[A-Za-z0-9._-]{1,64}$/u.test(next)) {
+        throw new Error('--sensor-id requires 1-64 letters, digits, ".", "_" or "-"');
+      }
+      options.sensorId = next;
+      i += 1;
+      continue;
+    }
+
+    if (arg === '--token') {
+      const next = argv[i + 1];
+      if (!next) {
+        throw new Error('--token requires a value');
+      }
+      options.token = next;
+      i += 1;
+      continue;
+    }
+
+    if (arg === '--import') {
+      const next = argv[i + 1];
+      if (!next) {
+        throw new Error('--import requires a capture or survey file');
+      }
+      options.importPath = next;
+      i += 1;
+      continue;
+    }
+
+    if (arg === '--bucket-ms') {
+      const next = argv[i + 1];
+      if (!next) {
+        throw new Error('--bucket-ms requires a value (ms)');
+      }
+      options.bucketMs = next;
+      i += 1;
+      continue;
+    }
+
+    if (arg === '--format') {
+      const next = argv[i + 1];
+      if (!next) {
+        throw new Error('--format requires one of pcap, airodump, netxml, kismet');
+      }
+      options.format = next;
+      i += 1;
+      continue;
+    }
+
+    if (arg === '--calibrate') {
+      options.calibrate = true;
+      continue;
+    }
+
+    if (arg === '--reference' || arg === '--target') {
+      const next = argv[i + 1];
+      if (!next) {
+        throw new Error(`${arg} requires a scan provider name`);
+      }
+      options[arg.slice(2)] = next;
+      i += 1;
+      continue;
+    }
+
+    if (arg === '--no-recording') {
+      options.recording = false;
+      continue;
+    }
+
     if (arg === '--json') {
       options.json = true;
       continue;
@@ -162,6 +512,16 @@ function parseArgs(argv) {
       continue;
     }
 
+    if (arg === '--providers') {
+      const next = argv[i + 1];
+      if (!next) {
+        throw new Error('--providers requires a comma-separated provider list');
+      }
+      options.providers = next;
+      i += 1;
+      continue;
+    }
+
     throw new Error(`Unknown argument: ${arg}`);
   }
 
@@ -222,5 +582,8 @@ function printUsage() {
   process.stdout.write('wifi-topology-viewer\n\n');
   process.stdout.write('Usage:\n');
   process.stdout.write('  wifi-topology-viewer\n');
-  process.stdout.write('  wifi-topology-viewer --analyze --duration 120 [--json] [--out <path>] [--no-server] [--scan-interval <ms>]\n');
+  process.stdout.write('  wifi-topology-viewer --analyze --duration 120 [--json] [--out <path>] [--no-server] [--scan-interval <ms>] [--providers <list>]\n');
+  process.stdout.write('  wifi-topology-viewer --import <capture.pcapng|-01.csv|.netxml|.json> [--format <name>] [--out <recording.ndjson>] [--no-recording] [--json] [--bucket-ms <ms>]\n');
+  process.stdout.write('  wifi-topology-viewer --calibrate [--reference iw] [--target nmcli] [--duration 120] [--scan-interval <ms>] [--out <calibration.json>]\n');
+  process.stdout.write('  wifi-topology-viewer --sensor --push <url> [--sensor-id <id>] [--token <token>] [--scan-interval <ms>] [--providers <list>]\n');
 }
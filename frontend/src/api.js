@@ -45,6 +45,10 @@ export function updateConfig(payload) {
   });
 }
 
+export function fetchEvents(limit = 40) {
+  return request(`/events?limit=${limit}`);
+}
+
 export function fetchRecordStatus() {
   return request('/record/status');
 }
@@ -5,12 +5,16 @@ import {
 
 const MINIMAL_MODE_STORAGE_KEY = 'wifiTopologyViewer.minimalMode';
 const SUBTLE_MOTION_STORAGE_KEY = 'wifiTopologyViewer.subtleMotion';
+const COLLAPSE_DEVICES_STORAGE_KEY = 'wifiTopologyViewer.collapseDevices';
 const LIST_ROOM_STORAGE_KEY = 'wifiTopologyViewer.listRoom';
 
 const LIST_ROOM_MIN = 30;
 const LIST_ROOM_MAX = 80;
 const LIST_ROOM_DEFAULT = 62;
 const DENSITY_BAR_WIDTH = 8;
+const BAND6_PSC_CHANNELS = new Set(Array.from({ length: 15 }, (_, index) => 5 + index * 16));
+const EVENT_FEED_SIZE = 40;
+const WARN_EVENT_KINDS = new Set(['ap_evicted', 'security_changed', 'ssid_changed']);
 
 function clamp(value, min, max) {
   return Math.max(min, Math.min(max, value));
@@ -43,6 +47,9 @@ function resolveBand(ap) {
   if (text.includes('2.4')) {
     return '2.4';
   }
+  if (text.includes('6')) {
+    return '6';
+  }
   if (text.includes('5')) {
     return '5';
   }
@@ -64,6 +71,7 @@ function resolveBand(ap) {
 function buildChannelDensity(aps) {
   const channel24 = new Map();
   const channel5 = new Map();
+  const channel6 = new Map();
 
   for (const ap of aps) {
     const channel = Number.parseInt(ap.channel, 10);
@@ -76,20 +84,105 @@ function buildChannelDensity(aps) {
       channel24.set(channel, (channel24.get(channel) || 0) + 1);
     } else if (band === '5') {
       channel5.set(channel, (channel5.get(channel) || 0) + 1);
+    } else if (band === '6') {
+      channel6.set(channel, (channel6.get(channel) || 0) + 1);
     }
   }
 
   const toRows = (map) =>
     [...map.entries()]
-      .map(([channel, count]) => ({ channel, count }))
+      .map(([channel, count]) => ({ channel, count, psc: false }))
       .sort((a, b) => a.channel - b.channel);
 
   return {
     band24: toRows(channel24),
     band5: toRows(channel5),
+    band6: toRows(channel6).map((row) => ({ ...row, psc: BAND6_PSC_CHANNELS.has(row.channel) })),
   };
 }
 
+function formatBssLoad(bssLoad) {
+  if (!bssLoad) {
+    return '';
+  }
+
+  const parts = [];
+  if (Number.isFinite(bssLoad.stationCount)) {
+    parts.push(`${bssLoad.stationCount} sta`);
+  }
+  if (Number.isFinite(bssLoad.channelUtilization)) {
+    parts.push(`${Math.round(bssLoad.channelUtilization * 100)}% busy`);
+  }
+  return parts.join(' ');
+}
+
+function formatRoaming(roaming, wps) {
+  const parts = [];
+  if (roaming) {
+    const amendments = [
+      roaming.neighborReport ? 'k' : '',
+      roaming.bssTransition ? 'v' : '',
+      roaming.fastTransition ? 'r' : '',
+    ].filter(Boolean);
+    if (amendments.length) {
+      parts.push(`11${amendments.join('/')}`);
+    }
+  }
+  if (wps) {
+    parts.push(wps.locked ? 'WPS locked' : 'WPS');
+  }
+  return parts.join(' ');
+}
+
+function formatScanTarget(target) {
+  if (!target) {
+    return '';
+  }
+
+  const parts = [];
+  if (target.bands?.length) {
+    parts.push(target.bands.map((band) => band.replace('ghz', 'GHz')).join('/'));
+  }
+  if (target.channels?.length) {
+    parts.push(`ch ${target.channels.join(',')}`);
+  }
+  if (target.ssids?.length) {
+    parts.push(target.ssids.map((ssid) => truncate(ssid, 12)).join(','));
+  }
+  return parts.length ? `target ${parts.join(' ')}` : '';
+}
+
+function formatChangeEvent(event) {
+  const name = truncate(event.ssid || '<hidden>', 18);
+  switch (event.kind) {
+    case 'ap_appeared':
+      return `+ ${name} appeared${Number.isFinite(event.rssi) ? ` (${event.rssi} dBm)` : ''}`;
+    case 'ap_evicted':
+      return `- ${name} gone`;
+    case 'ssid_changed':
+      return `${truncate(String(event.from), 14)} renamed ${truncate(String(event.to), 14)}`;
+    case 'channel_changed':
+      return `${name} ch ${event.from} → ${event.to}`;
+    case 'band_changed':
+      return `${name} band ${event.from} → ${event.to}`;
+    case 'security_changed':
+      return `${name} ${event.from} → ${event.to}`;
+    case 'rssi_step':
+      return `${name} ${event.deltaDb > 0 ? '+' : ''}${Math.round(event.deltaDb)} dB step (${Math.round(event.to)} dBm)`;
+    case 'cluster_changed':
+      return event.to?.length ? `${name} joined cluster of ${event.to.length + 1}` : `${name} left its cluster`;
+    default:
+      return `${name} ${event.kind}`;
+  }
+}
+
+function formatClockTime(t) {
+  const date = new Date(t);
+  return [date.getHours(), date.getMinutes(), date.getSeconds()]
+    .map((part) => String(part).padStart(2, '0'))
+    .join(':');
+}
+
 function buildDensityBar(count, maxCount) {
   const safeMax = Math.max(1, maxCount);
   const units = clamp(Math.round((count / safeMax) * DENSITY_BAR_WIDTH), 1, DENSITY_BAR_WIDTH);
@@ -168,6 +261,10 @@ export function createHud(container, handlers = {}) {
             <input data-role="subtle-motion" type="checkbox" />Subtle motion
           </label>
           <p class="control-hint">Add small drifting motion to nodes</p>
+          <label class="checkbox-label collapse-devices-toggle">
+            <input data-role="collapse-devices" type="checkbox" />Collapse devices
+          </label>
+          <p class="control-hint">One node per physical AP, badged with its SSIDs</p>
 
           <h2>Runtime</h2>
           <div class="control-grid">
@@ -176,7 +273,26 @@ export function createHud(container, handlers = {}) {
             <label>edge threshold<input data-role="edge-threshold" type="number" min="0.05" max="0.98" step="0.01" /></label>
             <label>min overlap<input data-role="min-overlap" type="number" min="4" max="80" step="1" /></label>
           </div>
+          <label>scan providers<input data-role="scan-providers" type="text" placeholder="auto" /></label>
+          <div class="control-grid">
+            <label>target bands<input data-role="scan-bands" type="text" placeholder="all" title="comma-separated: 2.4, 5, 6" /></label>
+            <label>target channels<input data-role="scan-channels" type="text" placeholder="all" title="comma-separated channel numbers" /></label>
+          </div>
+          <label>target SSIDs<input data-role="scan-ssids" type="text" placeholder="all" title="comma-separated, up to 8" /></label>
+          <label class="checkbox-label">
+            <input data-role="scan-passive" type="checkbox" />Passive scan (iw, no SSID target)
+          </label>
+          <label class="checkbox-label">
+            <input data-role="adaptive-scan" type="checkbox" />Adaptive scan interval
+          </label>
+          <p class="control-hint">Back off while scans repeat, speed up on movement</p>
           <button data-role="apply-config" class="control-btn">apply config</button>
+          <label>sensor view
+            <select data-role="sensor-view">
+              <option value="local">local</option>
+              <option value="merged">merged</option>
+            </select>
+          </label>
 
           <h2>Capture</h2>
           <label>record path<input data-role="record-path" type="text" placeholder="recordings/session.ndjson" /></label>
@@ -218,6 +334,20 @@ export function createHud(container, handlers = {}) {
               <p class="channel-density-title">5GHz</p>
               <ul data-role="channel-density-5" class="channel-density-list"></ul>
             </div>
+            <div class="channel-density-band">
+              <p class="channel-density-title">6GHz</p>
+              <ul data-role="channel-density-6" class="channel-density-list"></ul>
+            </div>
+          </section>
+
+          <section class="scanner-attempts">
+            <h2>Scanner</h2>
+            <ul data-role="scanner-attempts" class="scanner-attempt-list"></ul>
+          </section>
+
+          <section class="event-feed">
+            <h2>Events</h2>
+            <ul data-role="event-feed" class="event-feed-list"></ul>
           </section>
 
           <p data-role="control-msg" class="control-msg">ready</p>
@@ -240,13 +370,21 @@ export function createHud(container, handlers = {}) {
   const controlMessageEl = container.querySelector('[data-role="control-msg"]');
   const minimalModeInput = container.querySelector('[data-role="minimal-mode"]');
   const subtleMotionInput = container.querySelector('[data-role="subtle-motion"]');
+  const collapseDevicesInput = container.querySelector('[data-role="collapse-devices"]');
   const listRoomInput = container.querySelector('[data-role="list-room"]');
   const listRoomValueEl = container.querySelector('[data-role="list-room-value"]');
   const scanIntervalInput = container.querySelector('[data-role="scan-interval"]');
   const windowSizeInput = container.querySelector('[data-role="window-size"]');
   const edgeThresholdInput = container.querySelector('[data-role="edge-threshold"]');
   const minOverlapInput = container.querySelector('[data-role="min-overlap"]');
+  const scanProvidersInput = container.querySelector('[data-role="scan-providers"]');
+  const scanBandsInput = container.querySelector('[data-role="scan-bands"]');
+  const scanChannelsInput = container.querySelector('[data-role="scan-channels"]');
+  const scanSsidsInput = container.querySelector('[data-role="scan-ssids"]');
+  const scanPassiveInput = container.querySelector('[data-role="scan-passive"]');
+  const adaptiveScanInput = container.querySelector('[data-role="adaptive-scan"]');
   const applyConfigBtn = container.querySelector('[data-role="apply-config"]');
+  const sensorViewSelect = container.querySelector('[data-role="sensor-view"]');
 
   const recordPathInput = container.querySelector('[data-role="record-path"]');
   const recordToggleBtn = container.querySelector('[data-role="record-toggle"]');
@@ -259,6 +397,9 @@ export function createHud(container, handlers = {}) {
 
   const channelDensity24El = container.querySelector('[data-role="channel-density-24"]');
   const channelDensity5El = container.querySelector('[data-role="channel-density-5"]');
+  const channelDensity6El = container.querySelector('[data-role="channel-density-6"]');
+  const scannerAttemptsEl = container.querySelector('[data-role="scanner-attempts"]');
+  const eventFeedEl = container.querySelector('[data-role="event-feed"]');
 
   let recordingEnabled = false;
   let replayEnabled = false;
@@ -266,6 +407,7 @@ export function createHud(container, handlers = {}) {
   let visualSettings = {
     minimalMode: loadBooleanPreference(MINIMAL_MODE_STORAGE_KEY, false),
     subtleMotion: loadBooleanPreference(SUBTLE_MOTION_STORAGE_KEY, true),
+    collapseDevices: loadBooleanPreference(COLLAPSE_DEVICES_STORAGE_KEY, false),
   };
   let listRoomPercent = loadNumberPreference(
     LIST_ROOM_STORAGE_KEY,
@@ -275,6 +417,7 @@ export function createHud(container, handlers = {}) {
   );
   let selectedBssid = null;
   let lastSnapshot = null;
+  let feedEvents = [];
 
   function setConnection(status) {
     statusEl.textContent = status;
@@ -303,14 +446,17 @@ export function createHud(container, handlers = {}) {
       ...nextSettings,
       minimalMode: Boolean((nextSettings.minimalMode ?? visualSettings.minimalMode)),
       subtleMotion: Boolean((nextSettings.subtleMotion ?? visualSettings.subtleMotion)),
+      collapseDevices: Boolean((nextSettings.collapseDevices ?? visualSettings.collapseDevices)),
     };
 
     minimalModeInput.checked = visualSettings.minimalMode;
     subtleMotionInput.checked = visualSettings.subtleMotion;
+    collapseDevicesInput.checked = visualSettings.collapseDevices;
 
     if (persist) {
       saveBooleanPreference(MINIMAL_MODE_STORAGE_KEY, visualSettings.minimalMode);
       saveBooleanPreference(SUBTLE_MOTION_STORAGE_KEY, visualSettings.subtleMotion);
+      saveBooleanPreference(COLLAPSE_DEVICES_STORAGE_KEY, visualSettings.collapseDevices);
     }
 
     if (emit) {
@@ -357,7 +503,11 @@ export function createHud(container, handlers = {}) {
       const items = rows.map((row) => {
         const li = document.createElement('li');
         li.className = 'channel-density-row';
-        li.textContent = `ch ${row.channel} ${buildDensityBar(row.count, maxCount)} (${row.count})`;
+        const pscMark = row.psc ? '*' : '';
+        li.textContent = `ch ${row.channel}${pscMark} ${buildDensityBar(row.count, maxCount)} (${row.count})`;
+        if (row.psc) {
+          li.title = 'preferred scanning channel';
+        }
         return li;
       });
       targetEl.replaceChildren(...items);
@@ -365,6 +515,78 @@ export function createHud(container, handlers = {}) {
 
     renderBand(channelDensity24El, density.band24);
     renderBand(channelDensity5El, density.band5);
+    renderBand(channelDensity6El, density.band6);
+  }
+
+  function renderScannerAttempts(attempts) {
+    if (!attempts.length) {
+      const empty = document.createElement('li');
+      empty.className = 'scanner-attempt-row empty';
+      empty.textContent = '(no scan yet)';
+      scannerAttemptsEl.replaceChildren(empty);
+      return;
+    }
+
+    const items = attempts.map((attempt) => {
+      const li = document.createElement('li');
+      const ok = attempt.outcome === 'selected' || attempt.outcome === 'fallback';
+      li.className = `scanner-attempt-row${ok ? ' ok' : ''}`;
+      const detail = ok ? `${attempt.parsedCount} APs` : attempt.outcome;
+      const reason = !ok && attempt.reason ? `: ${attempt.reason}` : '';
+      li.textContent = `${ok ? '✓' : '✗'} ${attempt.provider} ${detail} (${attempt.durationMs}ms)${reason}`;
+      if (attempt.reason) {
+        li.title = attempt.reason;
+      }
+      return li;
+    });
+    scannerAttemptsEl.replaceChildren(...items);
+  }
+
+  // Newest first. The startup fetch can land after live events, so batches are merged by time and
+  // id rather than prepended. Replayed events carry the recording's ids and timestamps, so they are
+  // keyed apart from live ones and ordered by when they arrived.
+  function addEvents(events = []) {
+    const keyOf = (event) => `${event.replay ? 'replay' : 'live'}:${event.id}`;
+    const seen = new Set(feedEvents.map(({ event }) => keyOf(event)));
+    const receivedAt = Date.now();
+    const incoming = events
+      .filter((event) => event && !seen.has(keyOf(event)))
+      .map((event) => ({ event, order: event.replay ? receivedAt : event.t }));
+    if (!incoming.length && feedEvents.length) {
+      return;
+    }
+
+    feedEvents = [...feedEvents, ...incoming]
+      .sort((a, b) => b.order - a.order || b.event.id - a.event.id)
+      .slice(0, EVENT_FEED_SIZE);
+    renderEventFeed();
+  }
+
+  function renderEventFeed() {
+    if (!feedEvents.length) {
+      const empty = document.createElement('li');
+      empty.className = 'event-feed-row empty';
+      empty.textContent = '(no changes yet)';
+      eventFeedEl.replaceChildren(empty);
+      return;
+    }
+
+    const items = feedEvents.map(({ event }) => {
+      const li = document.createElement('li');
+      li.className = `event-feed-row${WARN_EVENT_KINDS.has(event.kind) ? ' warn' : ''}`;
+      li.dataset.bssid = event.bssid;
+      li.textContent = `${formatClockTime(event.t)} ${formatChangeEvent(event)}`;
+      li.title = `${event.kind} • ${event.bssid} • ${event.sensorId}`;
+      return li;
+    });
+    eventFeedEl.replaceChildren(...items);
+  }
+
+  function handleEventFeedClick(event) {
+    const row = event.target.closest('[data-bssid]');
+    if (row) {
+      setSelectedBssid(row.dataset.bssid);
+    }
   }
 
   function handleCollapseToggle() {
@@ -379,6 +601,10 @@ export function createHud(container, handlers = {}) {
     setVisualSettings({ subtleMotion: subtleMotionInput.checked });
   }
 
+  function handleCollapseDevicesChange() {
+    setVisualSettings({ collapseDevices: collapseDevicesInput.checked });
+  }
+
   function handleListRoomInput() {
     setListRoomPercent(listRoomInput.value);
   }
@@ -417,6 +643,53 @@ export function createHud(container, handlers = {}) {
     windowSizeInput.value = String(config.windowSize ?? 30);
     edgeThresholdInput.value = String(config.edgeThreshold ?? 0.6);
     minOverlapInput.value = String(config.minOverlap ?? 8);
+    scanProvidersInput.value = (config.scanProviders || []).join(',');
+    adaptiveScanInput.checked = config.scanMode === 'adaptive';
+    scanBandsInput.value = (config.scanTarget?.bands || []).map((band) => band.replace('ghz', '')).join(',');
+    scanChannelsInput.value = (config.scanTarget?.channels || []).join(',');
+    scanSsidsInput.value = (config.scanTarget?.ssids || []).join(',');
+    scanPassiveInput.checked = config.scanTarget?.passive === true;
+    if (Array.isArray(config.availableScanProviders)) {
+      scanProvidersInput.title = `comma-separated, empty = auto (${config.availableScanProviders.join(', ')})`;
+    }
+    if (config.sensorView) {
+      syncSensorOptions([], config.sensorView);
+    }
+  }
+
+  function syncSensorOptions(sensors, view) {
+    const ids = ['local', 'merged', ...sensors.map((sensor) => sensor.sensorId).filter((id) => id !== 'local')];
+    if (view && !ids.includes(view)) {
+      ids.push(view);
+    }
+
+    const current = Array.from(sensorViewSelect.options).map((option) => option.value);
+    if (current.join('\n') !== ids.join('\n')) {
+      sensorViewSelect.replaceChildren(
+        ...ids.map((id) => {
+          const option = document.createElement('option');
+          option.value = id;
+          option.textContent = id;
+          return option;
+        }),
+      );
+    }
+    if (view && document.activeElement !== sensorViewSelect) {
+      sensorViewSelect.value = view;
+    }
+  }
+
+  async function handleSensorViewChange() {
+    sensorViewSelect.disabled = true;
+    try {
+      const next = await handlers.applyConfig?.({ sensorView: sensorViewSelect.value });
+      setConfig(next);
+      setControlMessage(`showing ${sensorViewSelect.value} sensor view`);
+    } catch (error) {
+      setControlMessage(error.message || 'sensor view update failed', true);
+    } finally {
+      sensorViewSelect.disabled = false;
+    }
   }
 
   function setRecording(status) {
@@ -447,6 +720,14 @@ export function createHud(container, handlers = {}) {
         windowSize: Number.parseInt(windowSizeInput.value, 10),
         edgeThreshold: Number.parseFloat(edgeThresholdInput.value),
         minOverlap: Number.parseInt(minOverlapInput.value, 10),
+        scanProviders: scanProvidersInput.value.trim(),
+        scanMode: adaptiveScanInput.checked ? 'adaptive' : 'fixed',
+        scanTarget: {
+          bands: scanBandsInput.value.trim(),
+          channels: scanChannelsInput.value.trim(),
+          ssids: scanSsidsInput.value.trim(),
+          passive: scanPassiveInput.checked,
+        },
       };
 
       const next = await handlers.applyConfig?.(payload);
@@ -496,22 +777,30 @@ export function createHud(container, handlers = {}) {
   }
 
   applyConfigBtn.addEventListener('click', handleApplyConfig);
+  sensorViewSelect.addEventListener('change', handleSensorViewChange);
   recordToggleBtn.addEventListener('click', handleRecordToggle);
   replayToggleBtn.addEventListener('click', handleReplayToggle);
   exportReportBtn.addEventListener('click', handleExportReport);
+  eventFeedEl.addEventListener('click', handleEventFeedClick);
   collapseToggleBtn.addEventListener('click', handleCollapseToggle);
   minimalModeInput.addEventListener('change', handleMinimalModeChange);
   subtleMotionInput.addEventListener('change', handleSubtleMotionChange);
+  collapseDevicesInput.addEventListener('change', handleCollapseDevicesChange);
   listRoomInput.addEventListener('input', handleListRoomInput);
 
   setCollapsed(true);
   setListRoomPercent(listRoomPercent, { persist: true });
   setVisualSettings({}, { persist: true, emit: true });
   renderChannelDensity([]);
+  renderScannerAttempts([]);
+  renderEventFeed();
 
   function update(snapshot) {
     lastSnapshot = snapshot;
-    const aps = [...(snapshot.aps ?? [])].sort((a, b) => b.rssi - a.rssi);
+    // The associated AP is pinned first so every other row reads as a comparison against it.
+    const aps = [...(snapshot.aps ?? [])].sort(
+      (a, b) => Number(Boolean(b.associated)) - Number(Boolean(a.associated)) || b.rssi - a.rssi,
+    );
     const visible = aps.slice(0, 22);
 
     if (selectedBssid && !visible.some((ap) => ap.bssid === selectedBssid)) {
@@ -524,18 +813,30 @@ export function createHud(container, handlers = {}) {
       }
     }
 
-    countsEl.textContent = `${aps.length} APs tracked • mode ${snapshot.meta?.mode || 'live'}`;
+    const staleRatio = snapshot.meta?.staleRatio ?? 0;
+    const staleText = staleRatio > 0 ? ` • ${Math.round(staleRatio * 100)}% stale` : '';
+    countsEl.textContent = `${aps.length} APs tracked • mode ${snapshot.meta?.mode || 'live'}${staleText}`;
 
     const scanSource = snapshot.meta?.scanSource ?? 'unknown';
     const scanIntervalMs = snapshot.meta?.scanIntervalMs ?? 'n/a';
     const edgeThreshold = snapshot.meta?.edgeThreshold ?? 'n/a';
-    scanEl.textContent = `scan ${scanIntervalMs}ms • ${scanSource} • edge>${edgeThreshold}`;
+    const scanCadence =
+      snapshot.meta?.scanMode === 'adaptive'
+        ? `scan ~${snapshot.meta.effectiveScanIntervalMs ?? scanIntervalMs}ms adaptive`
+        : `scan ${scanIntervalMs}ms`;
+    const targetText = formatScanTarget(snapshot.meta?.scanTarget);
+    scanEl.textContent = `${scanCadence} • ${scanSource} • edge>${edgeThreshold}${targetText ? ` • ${targetText}` : ''}`;
+    scanEl.title = snapshot.meta?.scanSchedule?.reason ? `interval: ${snapshot.meta.scanSchedule.reason}` : '';
 
     const clusterSizes = snapshot.meta?.clusterSizes || [];
     clustersEl.textContent = clusterSizes.length
       ? `clusters ${clusterSizes.join(' / ')}`
       : 'clusters none';
 
+    if (Array.isArray(snapshot.meta?.sensors)) {
+      syncSensorOptions(snapshot.meta.sensors, snapshot.meta.sensorView);
+    }
+
     if (snapshot.meta?.recording !== undefined) {
       recordingEnabled = Boolean(snapshot.meta.recording);
       recordToggleBtn.textContent = recordingEnabled ? 'stop recording' : 'start recording';
@@ -547,6 +848,9 @@ export function createHud(container, handlers = {}) {
     }
 
     renderChannelDensity(aps);
+    if (Array.isArray(snapshot.meta?.scanAttempts)) {
+      renderScannerAttempts(snapshot.meta.scanAttempts);
+    }
 
     const rows = [];
     for (const ap of visible) {
@@ -556,6 +860,9 @@ export function createHud(container, handlers = {}) {
       if (selectedBssid && ap.bssid === selectedBssid) {
         row.classList.add('is-selected');
       }
+      if (ap.associated) {
+        row.classList.add('is-associated');
+      }
       row.style.setProperty('--cluster-color', clusterColor(ap.clusterId));
 
       const left = document.createElement('div');
@@ -564,11 +871,32 @@ export function createHud(container, handlers = {}) {
       const ssid = document.createElement('p');
       ssid.className = 'network-ssid';
       ssid.textContent = truncate(ap.ssid || '<hidden>');
+      if (ap.associated) {
+        const badge = document.createElement('span');
+        badge.className = 'network-badge';
+        badge.textContent = Number.isFinite(ap.linkRateMbps)
+          ? `connected ${Math.round(ap.linkRateMbps)} Mbps`
+          : 'connected';
+        ssid.appendChild(badge);
+      }
 
       const meta = document.createElement('p');
       meta.className = 'network-meta';
       const clusterText = ap.clusterId ? `C${ap.clusterId} (${ap.clusterSize})` : 'solo';
-      meta.textContent = `${clusterText} • ch ${ap.channel || '?'} • ${ap.band || 'unknown'} • ${ap.security || 'UNKNOWN'}`;
+      const radioText = [ap.channelWidth ? `${ap.channelWidth}MHz` : '', ap.phy || ''].filter(Boolean).join(' ');
+      const vendorText = ap.vendor || (ap.randomizedMac ? 'randomized' : 'unknown');
+      meta.textContent = `${clusterText} • ${vendorText} • ch ${ap.channel || '?'} • ${ap.band || 'unknown'}${radioText ? ` ${radioText}` : ''} • ${ap.security || 'UNKNOWN'}`;
+      const loadText = formatBssLoad(ap.bssLoad);
+      if (loadText) {
+        meta.textContent += ` • ${loadText}`;
+      }
+      const roamingText = formatRoaming(ap.roaming, ap.wps);
+      if (roamingText) {
+        meta.textContent += ` • ${roamingText}`;
+      }
+      if (ap.stale) {
+        meta.textContent += ' • cached';
+      }
 
       left.appendChild(ssid);
       left.appendChild(meta);
@@ -617,6 +945,7 @@ export function createHud(container, handlers = {}) {
     setReplay,
     setSelectedBssid,
     setControlMessage,
+    addEvents,
     update,
   };
 }
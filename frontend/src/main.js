@@ -2,6 +2,7 @@ import './styles.css';
 
 import {
   fetchConfig,
+  fetchEvents,
   fetchMarkdownReport,
   fetchRecordStatus,
   fetchReplayStatus,
@@ -58,6 +59,9 @@ const socket = connectSnapshotStream({
     scene.update(snapshot);
     hud.update(snapshot);
   },
+  onEvent(event) {
+    hud.addEvents([event]);
+  },
   onStatus(status) {
     hud.setConnection(status);
   },
@@ -67,15 +71,17 @@ void bootstrapControls();
 
 async function bootstrapControls() {
   try {
-    const [config, recordStatus, replayStatus] = await Promise.all([
+    const [config, recordStatus, replayStatus, eventLog] = await Promise.all([
       fetchConfig(),
       fetchRecordStatus(),
       fetchReplayStatus(),
+      fetchEvents(),
     ]);
 
     hud.setConfig(config);
     hud.setRecording(recordStatus);
     hud.setReplay(replayStatus);
+    hud.addEvents(eventLog.events);
   } catch (error) {
     hud.setControlMessage(error.message || 'backend unavailable', true);
   }
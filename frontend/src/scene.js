@@ -72,6 +72,78 @@ function createGlowTexture() {
   return texture;
 }
 
+function drawBadge(canvas, text) {
+  const ctx = canvas.getContext('2d');
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+  ctx.fillStyle = 'rgba(3, 22, 12, 0.82)';
+  ctx.strokeStyle = 'rgba(120, 255, 180, 0.7)';
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  ctx.roundRect(2, 2, canvas.width - 4, canvas.height - 4, 12);
+  ctx.fill();
+  ctx.stroke();
+
+  ctx.fillStyle = '#b8ffd6';
+  ctx.font = '600 22px ui-monospace, Menlo, monospace';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(text, canvas.width / 2, canvas.height / 2 + 1);
+}
+
+// Merges APs that share a deviceId into the strongest member, placed at the members' centroid.
+function collapseDevices(aps, positions, selectedBssid) {
+  const membersByDevice = new Map();
+  for (const ap of aps) {
+    const deviceId = ap.deviceId || ap.bssid;
+    if (!membersByDevice.has(deviceId)) {
+      membersByDevice.set(deviceId, []);
+    }
+    membersByDevice.get(deviceId).push(ap);
+  }
+
+  const nodeIdByBssid = new Map();
+  const collapsedAps = [];
+  const collapsedPositions = {};
+
+  for (const [deviceId, members] of membersByDevice.entries()) {
+    // Keep the selected BSSID addressable so list and scene selection stay in sync.
+    const nodeId = members.some((member) => member.bssid === selectedBssid) ? selectedBssid : deviceId;
+    const strongest = members.reduce((best, member) => (member.rssi > best.rssi ? member : best));
+    const centroid = { x: 0, y: 0, z: 0 };
+    let placed = 0;
+
+    for (const member of members) {
+      nodeIdByBssid.set(member.bssid, nodeId);
+      const position = positions[member.bssid];
+      if (position) {
+        centroid.x += position.x;
+        centroid.y += position.y;
+        centroid.z += position.z;
+        placed += 1;
+      }
+    }
+
+    if (placed) {
+      collapsedPositions[nodeId] = {
+        x: centroid.x / placed,
+        y: centroid.y / placed,
+        z: centroid.z / placed,
+      };
+    }
+
+    collapsedAps.push({
+      ...strongest,
+      bssid: nodeId,
+      associated: members.some((member) => member.associated),
+      deviceSsids: Array.from(new Set(members.map((member) => member.ssid || '<hidden>'))),
+      deviceBssidCount: members.length,
+    });
+  }
+
+  return { aps: collapsedAps, positions: collapsedPositions, nodeIdByBssid };
+}
+
 function createClusterColorGetter() {
   const cache = new Map([[0, new THREE.Color(0x5bff9d)]]);
   return (clusterId) => {
@@ -117,6 +189,7 @@ function createSpritePool(scene, glowTexture) {
       baseScale: 0.1,
       baseOpacity: 0,
       motionSeed: 0,
+      badge: null,
     };
 
     sprite.userData.node = node;
@@ -266,6 +339,22 @@ export function createWifiScene(container, handlers = {}) {
   selectionRing.visible = false;
   scene.add(selectionRing);
 
+  const associatedRingMaterial = new THREE.MeshBasicMaterial({
+    color: new THREE.Color(0xffd36b),
+    transparent: true,
+    opacity: 0.7,
+    depthWrite: false,
+    depthTest: false,
+    side: THREE.DoubleSide,
+    blending: THREE.AdditiveBlending,
+  });
+  const associatedRing = new THREE.Mesh(
+    new THREE.RingGeometry(0.86, 0.92, 64),
+    associatedRingMaterial,
+  );
+  associatedRing.visible = false;
+  scene.add(associatedRing);
+
   const composer = new EffectComposer(renderer);
   composer.addPass(new RenderPass(scene, camera));
   const bloomPass = new UnrealBloomPass(
@@ -293,7 +382,9 @@ export function createWifiScene(container, handlers = {}) {
   const visualSettings = {
     minimalMode: false,
     subtleMotion: false,
+    collapseDevices: false,
   };
+  let lastSnapshot = null;
 
   let hoveredNode = null;
   let selectedBssid = null;
@@ -336,9 +427,43 @@ export function createWifiScene(container, handlers = {}) {
     node.sprite.visible = false;
     node.sprite.scale.setScalar(0.1);
     node.material.opacity = 0;
+    setNodeBadge(node, '');
     freePool.push(node);
   }
 
+  function setNodeBadge(node, text) {
+    if (!text) {
+      if (node.badge) {
+        node.badge.sprite.visible = false;
+      }
+      return;
+    }
+
+    if (!node.badge) {
+      const canvas = document.createElement('canvas');
+      canvas.width = 384;
+      canvas.height = 44;
+      const texture = new THREE.CanvasTexture(canvas);
+      const material = new THREE.SpriteMaterial({
+        map: texture,
+        transparent: true,
+        depthWrite: false,
+        depthTest: false,
+      });
+      const sprite = new THREE.Sprite(material);
+      sprite.scale.set(17, 17 * (canvas.height / canvas.width), 1);
+      scene.add(sprite);
+      node.badge = { canvas, texture, material, sprite, text: '' };
+    }
+
+    if (node.badge.text !== text) {
+      drawBadge(node.badge.canvas, text);
+      node.badge.texture.needsUpdate = true;
+      node.badge.text = text;
+    }
+    node.badge.sprite.visible = true;
+  }
+
   function setSelectedBssid(nextBssid, emit = true) {
     const normalized = nextBssid || null;
     if (selectedBssid === normalized) {
@@ -371,6 +496,10 @@ export function createWifiScene(container, handlers = {}) {
     if (nextSettings.subtleMotion !== undefined) {
       visualSettings.subtleMotion = Boolean(nextSettings.subtleMotion);
     }
+    const previousCollapseDevices = visualSettings.collapseDevices;
+    if (nextSettings.collapseDevices !== undefined) {
+      visualSettings.collapseDevices = Boolean(nextSettings.collapseDevices);
+    }
 
     const showDecor = !visualSettings.minimalMode;
     edgeLines.visible = showDecor;
@@ -394,6 +523,10 @@ export function createWifiScene(container, handlers = {}) {
       coverageMesh.count = 0;
       coverageMesh.instanceMatrix.needsUpdate = true;
     }
+
+    if (visualSettings.collapseDevices !== previousCollapseDevices && lastSnapshot) {
+      update(lastSnapshot);
+    }
   }
 
   function hideTooltip() {
@@ -414,8 +547,27 @@ export function createWifiScene(container, handlers = {}) {
     const distance = estimateDistanceMetersFromRssi(ap.rssi);
     const stability = Number.isFinite(ap.stability) ? ap.stability.toFixed(2) : '--';
 
-    tooltipTitleEl.textContent = ssid;
-    tooltipMetaEl.textContent = `${rssi} dBm • ch ${channel} • ${band} • stab ${stability} • ${formatDistanceMeters(distance)}`;
+    const title = ap.deviceBssidCount > 1
+      ? `${ap.deviceSsids.join(' · ')} (${ap.deviceBssidCount} BSSIDs)`
+      : ssid;
+    tooltipTitleEl.textContent = ap.associated ? `${title} (connected)` : title;
+    const vendor = ap.vendor || (ap.randomizedMac ? 'randomized MAC' : 'unknown vendor');
+    tooltipMetaEl.textContent = `${vendor} • ${rssi} dBm • ch ${channel} • ${band} • stab ${stability} • ${formatDistanceMeters(distance)}`;
+    if (ap.associated && Number.isFinite(ap.linkRateMbps)) {
+      tooltipMetaEl.textContent += ` • link ${Math.round(ap.linkRateMbps)} Mbps`;
+    }
+    const sensorReadings = Object.entries(ap.sensorRssi || {});
+    if (sensorReadings.length > 1) {
+      const readings = sensorReadings
+        .sort((a, b) => b[1] - a[1])
+        .map(([sensorId, value]) => `${sensorId} ${value}`);
+      tooltipMetaEl.textContent += ` • heard by ${readings.join(' / ')} dBm`;
+    }
+    if (ap.roaming?.fastTransition) {
+      tooltipMetaEl.textContent += ap.roaming.mobilityDomain
+        ? ` • FT ${ap.roaming.mobilityDomain}`
+        : ' • FT';
+    }
     tooltipPairEl.hidden = true;
 
     if (selectedBssid && ap.bssid !== selectedBssid) {
@@ -521,9 +673,15 @@ export function createWifiScene(container, handlers = {}) {
 
   function update(snapshot) {
     frameId += 1;
+    lastSnapshot = snapshot;
 
-    const positions = snapshot.positions ?? {};
-    const aps = (snapshot.aps ?? []).slice(0, MAX_RENDER_NODES);
+    let positions = snapshot.positions ?? {};
+    let aps = snapshot.aps ?? [];
+    let nodeIdByBssid = null;
+    if (visualSettings.collapseDevices) {
+      ({ aps, positions, nodeIdByBssid } = collapseDevices(aps, positions, selectedBssid));
+    }
+    aps = aps.slice(0, MAX_RENDER_NODES);
     const clusterById = new Map(aps.map((ap) => [ap.bssid, ap.clusterId || 0]));
     const edgeThreshold = Number.isFinite(snapshot.meta?.edgeThreshold)
       ? snapshot.meta.edgeThreshold
@@ -557,6 +715,7 @@ export function createWifiScene(container, handlers = {}) {
       }
       node.baseOpacity = isSelected ? 1 : ap.rssiEstimated ? 0.64 : 0.92;
       node.material.opacity = node.baseOpacity;
+      setNodeBadge(node, ap.deviceBssidCount > 1 ? truncateLabel(ap.deviceSsids.join(' · '), 28) : '');
     }
 
     for (const [id, node] of activePoolById.entries()) {
@@ -615,8 +774,14 @@ export function createWifiScene(container, handlers = {}) {
           continue;
         }
 
-        const a = positions[edge.a];
-        const b = positions[edge.b];
+        const idA = nodeIdByBssid?.get(edge.a) ?? edge.a;
+        const idB = nodeIdByBssid?.get(edge.b) ?? edge.b;
+        if (idA === idB) {
+          continue;
+        }
+
+        const a = positions[idA];
+        const b = positions[idB];
         if (!a || !b) {
           continue;
         }
@@ -630,8 +795,8 @@ export function createWifiScene(container, handlers = {}) {
         edgePositions[base + 5] = b.z;
 
         const corrIntensity = clamp((edge.corr - edgeThreshold) / (1 - edgeThreshold), 0, 1);
-        const colorA = getClusterColor(clusterById.get(edge.a) || 0);
-        const colorB = getClusterColor(clusterById.get(edge.b) || 0);
+        const colorA = getClusterColor(clusterById.get(idA) || 0);
+        const colorB = getClusterColor(clusterById.get(idB) || 0);
         tempColor.copy(colorA).lerp(colorB, 0.5).multiplyScalar(0.28 + corrIntensity * 0.5);
 
         edgeColors[base] = tempColor.r;
@@ -680,8 +845,12 @@ export function createWifiScene(container, handlers = {}) {
     }
 
     const selectedNode = selectedBssid ? activePoolById.get(selectedBssid) : null;
+    let associatedNode = null;
 
     for (const node of activePoolById.values()) {
+      if (node.ap?.associated) {
+        associatedNode = node;
+      }
       const isSelected = selectedNode === node;
       const isHovered = hoveredNode === node;
 
@@ -708,6 +877,10 @@ export function createWifiScene(container, handlers = {}) {
       }
       node.sprite.scale.set(scale, scale, 1);
 
+      if (node.badge?.sprite.visible) {
+        node.badge.sprite.position.set(posX, posY + node.baseScale * 0.45 + 2.4, posZ);
+      }
+
       if (isSelected) {
         node.material.opacity = 1;
       } else if (isHovered) {
@@ -728,6 +901,15 @@ export function createWifiScene(container, handlers = {}) {
       selectionRing.visible = false;
     }
 
+    if (associatedNode) {
+      associatedRing.visible = true;
+      associatedRing.position.copy(associatedNode.sprite.position);
+      associatedRing.quaternion.copy(camera.quaternion);
+      associatedRing.scale.setScalar(associatedNode.baseScale * 1.3);
+    } else {
+      associatedRing.visible = false;
+    }
+
     composer.render();
   }
 
@@ -757,6 +939,11 @@ export function createWifiScene(container, handlers = {}) {
       for (const node of spritePool) {
         scene.remove(node.sprite);
         node.material.dispose();
+        if (node.badge) {
+          scene.remove(node.badge.sprite);
+          node.badge.material.dispose();
+          node.badge.texture.dispose();
+        }
       }
 
       edgeGeometry.dispose();
@@ -765,6 +952,8 @@ export function createWifiScene(container, handlers = {}) {
       coverageMaterial.dispose();
       selectionRing.geometry.dispose();
       selectionRingMaterial.dispose();
+      associatedRing.geometry.dispose();
+      associatedRingMaterial.dispose();
       worldSphere.geometry.dispose();
       worldSphereMaterial.dispose();
       innerSphere.geometry.dispose();
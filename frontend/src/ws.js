@@ -3,6 +3,7 @@ const DEFAULT_WS_URL = 'ws://localhost:8787/ws';
 export function connectSnapshotStream({
   url = DEFAULT_WS_URL,
   onSnapshot,
+  onEvent,
   onStatus,
 }) {
   let socket = null;
@@ -28,6 +29,8 @@ export function connectSnapshotStream({
         const payload = JSON.parse(event.data);
         if (payload.type === 'snapshot') {
           onSnapshot?.(payload);
+        } else if (payload.type === 'event') {
+          onEvent?.(payload);
         }
       } catch {
         // Ignore malformed data without breaking stream processing.
@@ -0,0 +1,88 @@
+import { writeFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const REGISTRY_URLS = [
+  'https://standards-oui.ieee.org/oui/oui.csv',
+  'https://standards-oui.ieee.org/oui28/mam.csv',
+  'https://standards-oui.ieee.org/oui36/oui36.csv',
+];
+
+const outputPath = join(dirname(fileURLToPath(import.meta.url)), '..', 'backend', 'data', 'oui.tsv');
+
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n') {
+      row.push(field.replace(/\r$/u, ''));
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+async function main() {
+  const vendorByPrefix = new Map();
+
+  for (const url of REGISTRY_URLS) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`failed to download ${url}: ${response.status}`);
+    }
+
+    // Columns: Registry, Assignment, Organization Name, Organization Address.
+    for (const [, assignment, organization] of parseCsvRows(await response.text()).slice(1)) {
+      const prefix = String(assignment || '').trim().toUpperCase();
+      const name = String(organization || '').replace(/\s+/gu, ' ').trim();
+      if (/^[0-9A-F]{6,9}$/u.test(prefix) && name) {
+        vendorByPrefix.set(prefix, name);
+      }
+    }
+  }
+
+  const lines = [...vendorByPrefix.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([prefix, name]) => `${prefix}\t${name}`);
+
+  writeFileSync(
+    outputPath,
+    `# IEEE MA-L / MA-M / MA-S assignments: <hex prefix>\\t<organization>. Regenerate with \`node scripts/update-oui.mjs\`.\n${lines.join('\n')}\n`,
+  );
+  console.log(`[oui] wrote ${lines.length} prefixes to ${outputPath}`);
+}
+
+main().catch((error) => {
+  console.error(`[oui] ${error.message}`);
+  process.exit(1);
+});